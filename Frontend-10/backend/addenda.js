@@ -0,0 +1,172 @@
+/**********************************************************************
+  Corrigenda / Addenda
+  - An addendum PDF is read against the current values of a Contract;
+    the model returns only the fields it changes and the checklist
+    items it adds or removes
+  - applyChanges() folds that into the Contract; every state is kept
+    as a numbered version (1 = original extraction). Changes whose
+    quote is not in the addendum are held back as unverified
+  - carryAmendments() re-applies them when another run is accepted
+  - diffVersions() → what changed between two versions
+**********************************************************************/
+
+const { fieldValue } = require('./fields');
+const { fieldSchema } = require('./structured');
+
+const addendumSchema = keys => ({
+  type: 'object',
+  required: ['changes'],
+  properties: {
+    changes: fieldSchema(keys),
+    addedSubmittals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['item'],
+        properties: {
+          item: { type: 'string', minLength: 1 },
+          page: { type: ['integer', 'null'] },
+          reason: { type: ['string', 'null'] },
+        },
+      },
+    },
+    removedSubmittals: { type: 'array', items: { type: 'string' } },
+  },
+});
+
+const addendumPrompt = (name, txt, templateFields, fields, submittals) => `
+You are an expert construction-contract analyst.
+The document below is a corrigendum / addendum to a tender. The tender's CURRENT values are:
+${templateFields.map(f => `• ${f.key} (${f.label}): ${JSON.stringify(fieldValue(fields[f.key]))}`).join('\n')}
+CURRENT list of documents the bidder must submit:
+${submittals.map(s => `• ${s.item}`).join('\n') || '• (none)'}
+
+Task: report ONLY what this addendum changes. Return *strict* JSON:
+interface Evidence{ value:string|null; page:number|null; quote:string|null; }
+interface Response{
+  changes: { [field:string]: Evidence };   // only fields the addendum changes, with the complete new value
+  addedSubmittals: { item:string; page:number|null; reason?:string }[];
+  removedSubmittals: string[];             // items of the CURRENT list the addendum deletes, as written there
+}
+RULES
+• Use the field names above. Leave out every field the addendum does not change.
+• For a changed date keep the other dates of the field as they are and put the new one in.
+• "page" is the number in the nearest [[PAGE n]] marker; "quote" is copied verbatim from the addendum.
+• Never invent changes. An empty "changes" object is a valid answer.
+ADDENDUM «${name}»: <<<${txt}>>>`;
+
+/* ───────────────── Applying changes ────────────────────────────── */
+const norm = s => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const SAME_ITEM_THRESHOLD = 0.8;   // share of words two checklist item names have in common
+
+// Same item when the words match, allowing for punctuation, plurals and a
+// word or two more in a long name; "Bid Form" is not "Bid Form – Annexure"
+const words = s => new Set(norm(s).split(' ').filter(Boolean).map(w => w.replace(/(?<=\w{3})s$/, '')));
+const sameItem = (a, b) => {
+  const x = words(a), y = words(b);
+  if (!x.size || !y.size) return false;
+  const shared = [...x].filter(w => y.has(w)).length;
+  return shared / (x.size + y.size - shared) >= SAME_ITEM_THRESHOLD;
+};
+
+/**
+ * current: { fields, submittals, calendar } (plain objects)
+ * changes: { key: evidence } for the changed fields; only verified ones
+ * (quote found in the addendum) are applied, the others are returned
+ * as unverified for a reviewer to confirm
+ * → { fields, submittals, changedFields, unverified, added, removed, removedIds }
+ */
+function applyChanges(current, { changes, added, removed }, addendumName) {
+  const fields = { ...current.fields };
+  const changedFields = [];
+  const unverified = [];
+  for (const [k, f] of Object.entries(changes)) {
+    if (f.value == null || norm(f.value) === norm(fieldValue(fields[k]))) continue;
+    if (!f.verified) {
+      unverified.push({ key: k, value: f.value, page: f.page ?? null, quote: f.quote ?? null, note: f.note || null });
+      continue;
+    }
+    fields[k] = { ...f, amendedBy: addendumName };
+    changedFields.push(k);
+  }
+
+  const removedItems = [];
+  let submittals = current.submittals.filter(s => {
+    const gone = removed.some(r => sameItem(r, s.item));
+    if (gone) removedItems.push(s);
+    return !gone;
+  });
+  const addedItems = added.filter(a => !submittals.some(s => sameItem(s.item, a.item)));
+  submittals = [...submittals, ...addedItems.map(a => ({ ...a, amendedBy: addendumName }))];
+
+  return {
+    fields,
+    submittals,
+    changedFields,
+    unverified,
+    added: addedItems.map(a => a.item),
+    removed: removedItems.map(s => s.item),
+    removedIds: removedItems.map(s => s._id).filter(Boolean)
+  };
+}
+
+/**
+ * A re-run reads the tender's own files, not its addenda: fields and
+ * checklist items the addenda changed keep their amended state on top
+ * of the run's output. removed: names of the items addenda deleted
+ */
+function carryAmendments(current, output, removed) {
+  const fields = { ...output.fields };
+  for (const [k, f] of Object.entries(current.fields || {})) if (f && f.amendedBy) fields[k] = f;
+  const kept = output.submittals.filter(s => !removed.some(r => sameItem(r, s.item)));
+  const added = (current.submittals || []).filter(s => s.amendedBy && !kept.some(x => sameItem(x.item, s.item)));
+  return { fields, submittals: [...kept, ...added] };
+}
+
+// Events of the re-parsed date field replace those of the same type
+const mergeCalendar = (calendar, events) => [
+  ...calendar.filter(e => !events.some(n => n.type === e.type)),
+  ...events,
+].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+/* ───────────────── Versions ────────────────────────────────────── */
+const snapshot = (contract, meta) => ({
+  ...meta,
+  createdAt: new Date(),
+  fields: contract.fields || {},
+  submittals: (contract.submittals || []).map(s => ({
+    item: s.item, page: s.page ?? null, file: s.file ?? null, filePage: s.filePage ?? null, mandatory: s.mandatory !== false
+  })),
+});
+
+/**
+ * before / after: version entries (or anything with fields + submittals)
+ * → { fields: [{ key, before, after, page, file, filePage, quote }], submittals: { added, removed } }
+ */
+function diffVersions(before, after) {
+  const keys = [...new Set([...Object.keys(before.fields || {}), ...Object.keys(after.fields || {})])];
+  const fields = [];
+  for (const k of keys) {
+    const a = (before.fields || {})[k], b = (after.fields || {})[k];
+    if (norm(fieldValue(a)) === norm(fieldValue(b))) continue;
+    fields.push({
+      key: k,
+      before: fieldValue(a),
+      after: fieldValue(b),
+      page: (b && b.page) ?? null,
+      file: (b && b.file) ?? null,
+      filePage: (b && b.filePage) ?? null,
+      quote: (b && b.quote) ?? null,
+    });
+  }
+  const has = (list, item) => list.some(s => norm(s.item) === norm(item.item));
+  return {
+    fields,
+    submittals: {
+      added: after.submittals.filter(s => !has(before.submittals, s)),
+      removed: before.submittals.filter(s => !has(after.submittals, s)),
+    },
+  };
+}
+
+module.exports = { addendumSchema, addendumPrompt, applyChanges, carryAmendments, mergeCalendar, snapshot, diffVersions };
@@ -0,0 +1,443 @@
+/**********************************************************************
+  Bills of Quantities
+  - extractBoq(buffer, filename) → line items (item no, description,
+    unit, quantity, rate, amount) from the tables of a PDF, or from
+    an .xlsx / .csv
+  - PDF tables are read from pdf.js text positions rather than the
+    flattened page text: the header row ("Item No / Description / Unit
+    / Quantity / Rate / Amount") fixes the columns, and descriptions
+    that wrap over several lines or onto the next page are joined
+  - Arithmetic checks: quantity × rate ≠ amount, and subtotals, carried
+    forward and grand totals that don't add up to the items above them
+  - Stored per contract in the boqs collection; uploaded PDFs are read
+    automatically, BOQ sheets can be added later
+  - A sheet needs a header row as above; workbooks of notes such as
+    "TSERC building.xlsx" (key information and submittal lists) have
+    no BOQ table and yield no items, only a warning
+**********************************************************************/
+
+const mongoose = require('mongoose');
+const { openPdf } = require('./pdfText');
+const { readSheets } = require('./templateImport');
+
+const TOLERANCE = Number(process.env.BOQ_TOLERANCE) || 1;   // rupees, for rounding
+
+const COLUMNS = ['item', 'description', 'unit', 'quantity', 'rate', 'amount'];
+const NUMERIC = ['quantity', 'rate', 'amount'];
+
+// Tried in this order: "Unit Rate" is a rate, "Total Amount" an amount
+const HEADER_RES = [
+  ['rate', /^(unit\s+)?rates?\b/i],
+  ['amount', /^(total\s+)?(amount|cost)\b|^total$/i],
+  ['quantity', /^(qty|qnty|quantity|quantities)\b/i],
+  ['unit', /^(units?|uom)\b/i],
+  ['description', /^(description|particulars|item\s+description|name\s+of\s+(the\s+)?item)/i],
+  ['item', /^(s\.?\s*no|sl\.?\s*no|sr\.?\s*no|item(\s*no)?|no|ref|code)\.?$/i],
+];
+
+const ITEM_NO_RE = /^(?:[a-z]{0,3}[-/]?\d+(?:\.\d+)*[a-z]?\.?|\(?[a-z]\)|\(?[ivx]{1,5}[.)]|\([ivx]{1,5}\)|[a-z]\.?)$/i;
+const TOTAL_RE = /\b(sub[-\s]?total|grand\s+total|total|carried\s+(?:over|forward)|c\s*\/\s*f|brought\s+forward|b\s*\/\s*f)\b/i;
+const PAGE_FOOTER_RE = /\bpage\s+\d+(\s*(of|\/)\s*\d+)?\b/i;
+
+const headerColumn = text => {
+  const t = text.replace(/\s+/g, ' ').trim();
+  if (!t || t.length > 40) return null;
+  const hit = HEADER_RES.find(([, re]) => re.test(t));
+  return hit ? hit[0] : null;
+};
+
+// A usable BOQ header names the description, the quantity and a rate or amount
+const isBoqHeader = cols => cols.description != null && cols.quantity != null && (cols.rate != null || cols.amount != null);
+
+// "24,68,400.00" → 2468400; blanks, dashes and words → null
+function parseNumber(text) {
+  const s = String(text == null ? '' : text).replace(/[₹,\s]|\/-$|^rs\.?/gi, '');
+  return /^-?\d*\.?\d+$/.test(s) ? Number(s) : null;
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+const fmt = n => n.toLocaleString('en-IN', { maximumFractionDigits: 2 });
+
+/* ───────────────── PDF tables ──────────────────────────────────── */
+const LINE_GAP = 3;   // points between baselines of one visual line
+
+// Text items of a page, grouped into lines top to bottom
+async function pageLines(doc, n) {
+  const page = await doc.getPage(n);
+  try {
+    const { items } = await page.getTextContent();
+    const tokens = items
+      .filter(it => it.str.trim())
+      .map(it => ({ str: it.str.trim(), x: it.transform[4], y: it.transform[5], right: it.transform[4] + it.width }))
+      .sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+    for (const t of tokens) {
+      const line = lines[lines.length - 1];
+      if (line && line.y - t.y <= LINE_GAP) line.tokens.push(t);
+      else lines.push({ y: t.y, tokens: [t] });
+    }
+    lines.forEach(l => l.tokens.sort((a, b) => a.x - b.x));
+    return { lines, height: page.view[3] - page.view[1] };
+  } finally {
+    page.cleanup();
+  }
+}
+
+// The header may span two lines ("ITEM" over "NO."); its words give
+// each column's extent
+function findPdfHeader(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].tokens.some(t => headerColumn(t.str) === 'description')) continue;
+    const band = lines.filter(l => Math.abs(l.y - lines[i].y) <= 15);
+    const cols = {};
+    for (const t of band.flatMap(l => l.tokens)) {
+      const name = headerColumn(t.str);
+      if (!name) continue;
+      const c = cols[name] || (cols[name] = { name, left: t.x, right: t.right });
+      c.left = Math.min(c.left, t.x);
+      c.right = Math.max(c.right, t.right);
+    }
+    if (isBoqHeader(cols)) return { cols, bottom: Math.min(...band.map(l => l.y)) };
+  }
+  return null;
+}
+
+// Text columns are matched on where a word starts, figures (right-aligned)
+// on where they end; boundaries sit in the gaps between header words
+function columnLayout(cols) {
+  const list = Object.values(cols).sort((a, b) => a.left - b.left);
+  const bounds = list.slice(0, -1).map((c, i) => {
+    const next = list[i + 1];
+    if (next.name === 'description') return c.right + 4;
+    if (c.name === 'description') return next.left - 6;
+    return (c.right + next.left) / 2;
+  });
+  const descIndex = list.findIndex(c => c.name === 'description');
+  const textEnd = descIndex < bounds.length ? bounds[descIndex] : Infinity;
+  const columnOf = t => {
+    const key = t.x < textEnd ? t.x : t.right;
+    const i = bounds.findIndex(b => key < b);
+    return list[i === -1 ? list.length - 1 : i].name;
+  };
+  return { columnOf, textEnd };
+}
+
+// Table rows of one page as { item, description, unit, quantity, rate, amount } strings
+function pdfRows(lines, height, header) {
+  const { columnOf, textEnd } = columnLayout(header.cols);
+  const rows = [];
+  for (const line of lines) {
+    if (line.y >= header.bottom - 1) continue;
+    const text = line.tokens.map(t => t.str).join(' ');
+    if (PAGE_FOOTER_RE.test(text) || (line.y < height * 0.06 && /^\d+$/.test(text))) continue;
+    // Prose running across the figure columns: the table has ended
+    if (line.tokens.some(t => t.x < textEnd && t.right > textEnd + 20)) break;
+    const cells = {};
+    for (const t of line.tokens) {
+      const col = columnOf(t);
+      // Figures split into several text items ("2" "4,68,4" "00.00") are rejoined
+      cells[col] = cells[col] == null ? t.str : cells[col] + (NUMERIC.includes(col) ? '' : ' ') + t.str;
+    }
+    rows.push(cells);
+  }
+  return rows;
+}
+
+async function pdfTables(buffer) {
+  const doc = await openPdf(buffer);
+  const rows = [];
+  try {
+    for (let n = 1; n <= doc.numPages; n++) {
+      const { lines, height } = await pageLines(doc, n);
+      const header = findPdfHeader(lines);
+      if (header) rows.push(...pdfRows(lines, height, header).map(r => ({ ...r, page: n })));
+    }
+  } finally {
+    await doc.destroy();
+  }
+  return rows;
+}
+
+/* ───────────────── Sheets ──────────────────────────────────────── */
+// Every sheet with a BOQ header row; a repeated header row is skipped
+function sheetTables(sheets) {
+  const rows = [];
+  for (const { name, rows: cells } of sheets) {
+    let cols = null;
+    cells.forEach((r, i) => {
+      const found = {};
+      r.forEach((c, j) => {
+        const col = headerColumn(c);
+        if (col && found[col] == null) found[col] = j;
+      });
+      if (isBoqHeader(found)) {
+        cols = found;
+        return;
+      }
+      if (!cols || !r.some(c => c.trim())) return;
+      const row = { sheet: name, row: i + 1 };
+      for (const col of COLUMNS) if (cols[col] != null && r[cols[col]]) row[col] = r[cols[col]].replace(/\s+/g, ' ').trim();
+      rows.push(row);
+    });
+  }
+  return rows;
+}
+
+/* ───────────────── Line items ──────────────────────────────────── */
+const totalKind = label => {
+  if (/grand\s+total/i.test(label)) return 'grandTotal';
+  if (/carried|c\s*\/\s*f/i.test(label)) return 'carriedForward';
+  if (/brought|b\s*\/\s*f/i.test(label)) return 'broughtForward';
+  return 'subtotal';
+};
+
+const where = r => (r.page != null ? { page: r.page } : { sheet: r.sheet, row: r.row });
+
+/**
+ * rows → { items, totals, entries } in table order
+ * wrap: lines without an item number continue the previous description
+ * (PDF); otherwise they are section headings (sheets)
+ */
+function assemble(rows, { wrap }) {
+  const entries = [];
+  let current = null;
+  let section = null;
+  for (const r of rows) {
+    let item = r.item || '';
+    let description = r.description || '';
+    // Text in the item column that is no item number belongs to the description
+    if (item && !ITEM_NO_RE.test(item)) {
+      description = `${item} ${description}`.trim();
+      item = '';
+    }
+    const figures = Object.fromEntries(NUMERIC.map(k => [k, parseNumber(r[k])]));
+    const hasFigures = NUMERIC.some(k => figures[k] != null);
+
+    if (!item && TOTAL_RE.test(description) && figures.amount != null) {
+      entries.push({ total: { ...where(r), kind: totalKind(description), label: description, amount: figures.amount } });
+      current = null;
+      continue;
+    }
+    const continues = !item && current && (wrap ? !(hasFigures && current.amount != null) : !description && hasFigures);
+    if (continues) {
+      if (description) current.description = `${current.description} ${description}`.trim();
+      if (!current.unit && r.unit) current.unit = r.unit;
+      for (const k of NUMERIC) if (current[k] == null && figures[k] != null) current[k] = figures[k];
+      continue;
+    }
+    if (!item && !hasFigures) {
+      // Headings between items
+      if (description) section = description;
+      continue;
+    }
+    current = {
+      ...where(r), section, itemNo: item, description, unit: r.unit || '', ...figures
+    };
+    entries.push({ item: current });
+  }
+  return {
+    entries,
+    items: entries.filter(e => e.item).map(e => e.item),
+    totals: entries.filter(e => e.total).map(e => e.total)
+  };
+}
+
+/* ───────────────── Arithmetic checks ───────────────────────────── */
+const tolerance = expected => Math.max(TOLERANCE, Math.abs(expected) * 1e-4);
+
+// → { expected, difference } when quantity × rate ≠ amount
+function amountIssue(item) {
+  if (item.quantity == null || item.rate == null || item.amount == null) return null;
+  const expected = round2(item.quantity * item.rate);
+  const difference = round2(item.amount - expected);
+  return Math.abs(difference) > tolerance(expected) ? { expected, difference } : null;
+}
+
+/**
+ * Walks the entries in order. A subtotal may cover the items since the
+ * previous subtotal or everything so far; carried forward is everything
+ * so far, brought forward the last carried amount; a grand total is all
+ * items or the sum of the subtotals
+ */
+function checkEntries(entries) {
+  const issues = [];
+  let all = 0, section = 0, subtotals = 0, carried = null;
+  const totalIssue = (t, expected) => {
+    const difference = round2(t.amount - expected);
+    issues.push({
+      ...where(t), type: t.kind, label: t.label, expected, actual: t.amount, difference,
+      message: `${t.label}: ${fmt(t.amount)} but the items add up to ${fmt(expected)}`
+    });
+  };
+  const matches = (amount, ...candidates) => candidates.some(c => c != null && Math.abs(amount - c) <= tolerance(c));
+
+  for (const e of entries) {
+    if (e.item) {
+      const it = e.item;
+      const bad = amountIssue(it);
+      if (bad) {
+        issues.push({
+          ...where(it), type: 'amount', itemNo: it.itemNo, expected: bad.expected, actual: it.amount, difference: bad.difference,
+          message: `Item ${it.itemNo || '(unnumbered)'}: ${fmt(it.quantity)} × ${fmt(it.rate)} = ${fmt(bad.expected)}, not ${fmt(it.amount)}`
+        });
+      }
+      if (it.amount != null) {
+        all = round2(all + it.amount);
+        section = round2(section + it.amount);
+      }
+      continue;
+    }
+    const t = e.total;
+    if (t.kind === 'broughtForward') {
+      if (carried != null && !matches(t.amount, carried)) totalIssue(t, carried);
+    } else if (t.kind === 'carriedForward') {
+      if (!matches(t.amount, all)) totalIssue(t, all);
+      carried = t.amount;
+    } else if (t.kind === 'grandTotal') {
+      if (!matches(t.amount, all, subtotals || null)) totalIssue(t, all);
+    } else {
+      if (!matches(t.amount, section, all)) totalIssue(t, section);
+      subtotals = round2(subtotals + t.amount);
+      section = 0;
+    }
+  }
+  return issues;
+}
+
+/* ───────────────── Extraction ──────────────────────────────────── */
+/**
+ * → { kind: 'pdf' | 'sheet', items, totals, issues, warnings }
+ * Items and totals carry page (PDF) or sheet and row (spreadsheets)
+ */
+async function extractBoq(buffer, filename) {
+  const isPdf = /\.pdf$/i.test(filename);
+  const rows = isPdf ? await pdfTables(buffer) : sheetTables(await readSheets(buffer, filename));
+  const { entries, items, totals } = assemble(rows, { wrap: isPdf });
+  const warnings = [];
+  if (!items.length) warnings.push(`No bill of quantities table found in ${filename}`);
+  else if (!items.some(it => it.amount != null)) warnings.push('No amounts filled in (rates to be quoted?)');
+  return { kind: isPdf ? 'pdf' : 'sheet', items, totals, issues: checkEntries(entries), warnings };
+}
+
+// The PDFs of an upload; pages are renumbered like the package
+// files: [{ name, buffer }], fileInfo: combineFiles() output
+async function packageBoq(files, fileInfo) {
+  const found = [];
+  for (let j = 0; j < files.length; j++) {
+    if (!files[j].buffer) continue;
+    const boq = await extractBoq(files[j].buffer, files[j].name);
+    if (!boq.items.length) continue;
+    const shift = x => ({ ...x, filePage: x.page, page: fileInfo[j].firstPage + x.page - 1 });
+    found.push({
+      name: files[j].name,
+      ...boq,
+      items: boq.items.map(shift),
+      totals: boq.totals.map(shift),
+      issues: boq.issues.map(shift)
+    });
+  }
+  return found;
+}
+
+/* ───────────────── Storage ─────────────────────────────────────── */
+const placed = {
+  _id: false,
+  source: String,      // file name
+  page: Number,        // package page (PDF)
+  filePage: Number,
+  sheet: String,       // spreadsheets
+  row: Number
+};
+
+const BoqSchema = new mongoose.Schema({
+  contract: { type: mongoose.Schema.Types.ObjectId, ref: 'Contract', required: true, unique: true },
+  sources: [{
+    _id: false,
+    name: String,
+    kind: { type: String, enum: ['pdf', 'sheet'] },
+    items: Number,
+    warnings: [String],
+    extractedAt: Date
+  }],
+  items: [{
+    ...placed,
+    section: String,
+    itemNo: String,
+    description: String,
+    unit: String,
+    quantity: Number,
+    rate: Number,
+    amount: Number
+  }],
+  totals: [{ ...placed, kind: String, label: String, amount: Number }],
+  issues: [{
+    ...placed,
+    type: { type: String },   // amount | subtotal | carriedForward | broughtForward | grandTotal
+    itemNo: String,
+    label: String,
+    expected: Number,
+    actual: Number,
+    difference: Number,
+    message: String
+  }],
+  updatedAt: Date
+}, { collection: 'boqs' });
+
+const Boq = mongoose.model('Boq', BoqSchema);
+
+// Replaces whatever an earlier extraction of the same file stored. One
+// upsert, so files saved at the same time neither create two records
+// nor drop each other's items
+async function saveBoq(contractId, name, boq) {
+  const tag = x => ({ ...x, source: name });
+  // Update pipelines are not cast by mongoose
+  const cast = new Boq({
+    contract: contractId,
+    sources: [{ name, kind: boq.kind, items: boq.items.length, warnings: boq.warnings, extractedAt: new Date() }],
+    items: boq.items.map(tag),
+    totals: boq.totals.map(tag),
+    issues: boq.issues.map(tag)
+  }).toObject();
+  const replace = (list, key) => ({
+    $concatArrays: [
+      { $filter: { input: { $ifNull: [`$${list}`, []] }, cond: { $ne: [`$$this.${key}`, { $literal: name }] } } },
+      { $literal: cast[list] }
+    ]
+  });
+  return Boq.findOneAndUpdate(
+    { contract: contractId },
+    [{
+      $set: {
+        sources: replace('sources', 'name'),
+        items: replace('items', 'source'),
+        totals: replace('totals', 'source'),
+        issues: replace('issues', 'source'),
+        updatedAt: new Date()
+      }
+    }],
+    { upsert: true, new: true }
+  );
+}
+
+/* ───────────────── CSV ─────────────────────────────────────────── */
+// Text starting with = + - @ would run as a formula in Excel; a leading ' keeps it text
+const csvCell = v => {
+  let s = v == null ? '' : String(v);
+  if (typeof v === 'string' && /^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// One line per item; Check is blank unless quantity × rate ≠ amount
+function toCsv(boq) {
+  const head = ['Source', 'Page', 'Sheet', 'Row', 'Section', 'Item No', 'Description', 'Unit', 'Quantity', 'Rate', 'Amount', 'Check'];
+  const lines = boq.items.map(it => {
+    const bad = amountIssue(it);
+    return [
+      it.source, it.page, it.sheet, it.row, it.section, it.itemNo, it.description, it.unit,
+      it.quantity, it.rate, it.amount, bad ? `Expected ${bad.expected}` : ''
+    ];
+  });
+  return [head, ...lines].map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { Boq, parseNumber, amountIssue, extractBoq, packageBoq, saveBoq, toCsv };
@@ -0,0 +1,212 @@
+/**********************************************************************
+  Tender Calendar
+  - parseImportantDates(text, pages) → typed events (document sale,
+    pre-bid meeting, bid deadline, bid openings) with a timezone-aware
+    datetime and the source quote each one was read from
+  - toIcs(tenders) → iCalendar feed the bid team can subscribe to
+  - Dates are read day-first (Indian style); TENDER_TZ sets the zone
+**********************************************************************/
+
+const { findQuote } = require('./pdfText');
+
+const TENDER_TZ = process.env.TENDER_TZ || 'Asia/Kolkata';
+
+const EVENT_TYPES = {
+  documentSaleStart: 'Tender document sale starts',
+  documentSaleEnd: 'Tender document sale ends',
+  preBidMeeting: 'Pre-bid meeting',
+  bidSubmissionDeadline: 'Bid submission deadline',
+  technicalBidOpening: 'Technical bid opening',
+  financialBidOpening: 'Financial bid opening',
+};
+
+// Order matters: the first pattern that matches a segment names it.
+// The gap between "open" and the bid kind stays within one clause, so
+// "Technical Bid Opening: 06/03/2019. Price Bid Opening: …" is two events
+const KEYWORDS = [
+  ['preBidMeeting', /pre[\s-]*bid/i],
+  ['financialBidOpening', /(financial|price|commercial)\s+(bid|proposal|cover|part)s?[^.;:]{0,20}open|open\w*[^.;:]{0,40}(financial|price|commercial|part[\s-]*(b|ii|2)\b|cover[\s-]*(2|ii)\b)/i],
+  ['technicalBidOpening', /(technical|tech\.)\s+(bid|proposal|cover|part)s?[^.;:]{0,20}open|open\w*[^.;:]{0,40}(technical|tech\.|part[\s-]*(a|i|1)\b|cover[\s-]*(1|i)\b|bids?\b|tenders?\b)/i],
+  ['bidSubmissionDeadline', /(last|due|closing)\s+date.{0,40}(submi|receipt)|(submi\w*|receipt)\s+of\s+(bids?|tenders?|proposals?)|bid\s+(submission|due)/i],
+  ['documentSale', /(sale|download\w*|issue|availability|purchase)\s+of\s+(tender|bid)?\s*(documents?|forms?)|(tender|bid)\s+documents?\s+(sale|download)/i],
+];
+
+/* ───────────────── Date / time parsing ─────────────────────────── */
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE_RES = [
+  // 12.07.2018, 12/07/18, 12-07-2018
+  [new RegExp('\\b(\\d{1,2})[./-](\\d{1,2})[./-](\\d{4}|\\d{2})\\b'), m => [m[3], m[2], m[1]]],
+  // 2018-07-12
+  [new RegExp('\\b(\\d{4})-(\\d{1,2})-(\\d{1,2})\\b'), m => [m[1], m[2], m[3]]],
+  // 12th July 2018, 12-Jul-2018
+  [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s.,-]*${MONTH}[\\s.,-]*(\\d{4})\\b`, 'i'), m => [m[3], MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1, m[1]]],
+  // July 12, 2018
+  [new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'i'), m => [m[3], MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, m[2]]],
+];
+const TIME_RE = /\b(\d{1,2})(?:[:.](\d{2}))?\s*(a\.?m\.?|p\.?m\.?|hrs?\.?|hours)\b|\b(\d{1,2}):(\d{2})\b|\b([01]\d|2[0-3])([0-5]\d)\s*(?:hrs?\.?|hours)\b/i;
+
+function findDates(text) {
+  const out = [];
+  for (const [re, pick] of DATE_RES) {
+    const g = new RegExp(re.source, re.flags.includes('g') ? re.flags : re.flags + 'g');
+    for (const m of text.matchAll(g)) {
+      let [y, mo, d] = pick(m).map(Number);
+      if (y < 100) y += 2000;
+      if (mo < 1 || mo > 12 || d < 1 || d > 31) continue;
+      if (out.some(o => m.index < o.end && o.index < m.index + m[0].length)) continue;
+      out.push({ y, mo, d, index: m.index, end: m.index + m[0].length });
+    }
+  }
+  return out.sort((a, b) => a.index - b.index);
+}
+
+function findTime(text) {
+  const m = TIME_RE.exec(text);
+  if (!m) return null;
+  if (m[4]) return { h: Number(m[4]), mi: Number(m[5]) };
+  if (m[6]) return { h: Number(m[6]), mi: Number(m[7]) };
+  let h = Number(m[1]);
+  const mi = Number(m[2] || 0);
+  const suffix = m[3].toLowerCase();
+  if (suffix.startsWith('p') && h < 12) h += 12;
+  if (suffix.startsWith('a') && h === 12) h = 0;
+  return h < 24 && mi < 60 ? { h, mi } : null;
+}
+
+// Offset of `tz` from UTC (minutes) at a given instant, via Intl
+function tzOffset(utcMs, tz) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(utcMs)).map(p => [p.type, p.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - utcMs) / 60000);
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+// Wall-clock time in `tz` → UTC instant plus an ISO string with offset
+function zoned({ y, mo, d }, time, tz) {
+  const wall = Date.UTC(y, mo - 1, d, time ? time.h : 0, time ? time.mi : 0);
+  const offset = tzOffset(wall - tzOffset(wall, tz) * 60000, tz);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return {
+    date: new Date(wall - offset * 60000),
+    local: time
+      ? `${y}-${pad(mo)}-${pad(d)}T${pad(time.h)}:${pad(time.mi)}:00${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+      : `${y}-${pad(mo)}-${pad(d)}`,
+  };
+}
+
+/* ───────────────── Event extraction ────────────────────────────── */
+// Cut the text at every event keyword so each segment holds one event
+function segments(text) {
+  const cuts = [];
+  for (const [type, re] of KEYWORDS) {
+    const g = new RegExp(re.source, 'gi');
+    for (const m of text.matchAll(g)) cuts.push({ type, index: m.index, end: m.index + m[0].length });
+  }
+  cuts.sort((a, b) => a.index - b.index);
+  // A hit inside an earlier keyword ("…date for submission of bids") is not a new event
+  const kept = [];
+  for (const c of cuts) {
+    if (!kept.length || c.index >= kept[kept.length - 1].end) kept.push(c);
+  }
+  return kept.map((c, i) => ({
+    type: c.type,
+    text: text.slice(c.index, i + 1 < kept.length ? kept[i + 1].index : undefined).replace(/[\s;,|•]+$/, '').trim(),
+  }));
+}
+
+// fallbackPage: page of the ImportantDates evidence, used when a segment
+// is not found verbatim in the PDF (the field value may be reworded)
+function parseImportantDates(text, pages = [], { tz = TENDER_TZ, fallbackPage = null } = {}) {
+  if (!text) return [];
+  const events = [];
+  const add = (type, date, time, quote) => {
+    if (events.some(e => e.type === type)) return;
+    const hit = findQuote(quote, fallbackPage, pages);
+    events.push({
+      type,
+      label: EVENT_TYPES[type],
+      ...zoned(date, time, tz),
+      allDay: !time,
+      timezone: tz,
+      quote,
+      page: hit.found ? hit.page : fallbackPage,
+      verified: hit.found,
+    });
+  };
+
+  for (const seg of segments(String(text))) {
+    const dates = findDates(seg.text);
+    if (!dates.length) continue;
+    const timeAfter = i => findTime(seg.text.slice(dates[i].end, dates[i + 1] ? dates[i + 1].index : undefined))
+      || (i === 0 ? findTime(seg.text.slice(0, dates[0].index)) : null);
+
+    if (seg.type === 'documentSale') {
+      // "from 12.07.2018 to 10.08.2018" → start and end; a single date is the last day
+      if (dates.length > 1) {
+        add('documentSaleStart', dates[0], timeAfter(0), seg.text);
+        add('documentSaleEnd', dates[1], timeAfter(1), seg.text);
+      } else {
+        add('documentSaleEnd', dates[0], timeAfter(0), seg.text);
+      }
+    } else {
+      add(seg.type, dates[0], timeAfter(0), seg.text);
+    }
+  }
+  return events.sort((a, b) => a.date - b.date);
+}
+
+/* ───────────────── iCalendar ───────────────────────────────────── */
+const icsEscape = s => String(s || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// RFC 5545: lines longer than 75 octets continue on a line starting with a space
+function fold(line) {
+  const out = [];
+  let cur = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch) > 75) { out.push(cur); cur = ' ' + ch; } else cur += ch;
+  }
+  out.push(cur);
+  return out.join('\r\n');
+}
+
+const icsStamp = d => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * tenders: [{ _id, pdfName, name?, calendar: [event] }]
+ */
+function toIcs(tenders, calName = 'Tender deadlines') {
+  const now = icsStamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Contract Analyzer//Tender Calendar//EN',
+    'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', `X-WR-CALNAME:${icsEscape(calName)}`,
+  ];
+  for (const t of tenders) {
+    for (const e of t.calendar || []) {
+      const start = e.allDay
+        ? `DTSTART;VALUE=DATE:${e.local.replace(/-/g, '').slice(0, 8)}`
+        : `DTSTART:${icsStamp(new Date(e.date))}`;
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${t._id}-${e.type}@contract-analyzer`,
+        `DTSTAMP:${now}`,
+        start,
+        `SUMMARY:${icsEscape(`${e.label} – ${t.name || t.pdfName}`)}`,
+        `DESCRIPTION:${icsEscape(`${e.quote}${e.page ? ` (page ${e.page})` : ''}`)}`,
+      );
+      if (e.type === 'bidSubmissionDeadline') {
+        lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', 'TRIGGER:-P1D', `DESCRIPTION:${icsEscape(e.label)}`, 'END:VALARM');
+      }
+      lines.push('END:VEVENT');
+    }
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { EVENT_TYPES, TENDER_TZ, KEYWORDS, findDates, parseImportantDates, toIcs };
@@ -0,0 +1,74 @@
+/**********************************************************************
+  Bid Submission Checklist
+  - Each submittal carries status / assignee / due date / notes
+  - applyItemUpdate() validates a PATCH body onto one item
+  - checklistProgress() summarises a tender: open mandatory documents
+    against the bid submission deadline
+**********************************************************************/
+
+const STATUSES = ['not started', 'in preparation', 'ready', 'submitted'];
+const DONE = ['ready', 'submitted'];
+const EDITABLE = ['status', 'assignee', 'dueDate', 'notes', 'mandatory'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Returns an error message, or null once the update has been applied
+function applyItemUpdate(item, body = {}) {
+  const keys = Object.keys(body).filter(k => EDITABLE.includes(k));
+  if (!keys.length) return `Nothing to update (editable: ${EDITABLE.join(', ')})`;
+
+  if ('status' in body && !STATUSES.includes(body.status)) {
+    return `Invalid status "${body.status}" (use one of: ${STATUSES.join(', ')})`;
+  }
+  if ('dueDate' in body && body.dueDate != null && isNaN(new Date(body.dueDate))) {
+    return `Invalid dueDate "${body.dueDate}"`;
+  }
+  if ('mandatory' in body && typeof body.mandatory !== 'boolean') return 'mandatory must be true or false';
+
+  for (const k of keys) {
+    if (k === 'dueDate') item.dueDate = body.dueDate == null ? null : new Date(body.dueDate);
+    else if (k === 'mandatory' || k === 'status') item[k] = body[k];
+    else item[k] = body[k] == null ? '' : String(body[k]);
+  }
+  item.updatedAt = new Date();
+  return null;
+}
+
+// Items with no due date of their own are due at the bid deadline
+function checklistProgress(contract, now = new Date()) {
+  const items = contract.submittals || [];
+  const deadlineEvent = (contract.calendar || []).find(e => e.type === 'bidSubmissionDeadline');
+  const deadline = deadlineEvent ? new Date(deadlineEvent.date) : null;
+
+  const byStatus = Object.fromEntries(STATUSES.map(s => [s, 0]));
+  items.forEach(i => { byStatus[i.status || 'not started']++; });
+
+  const open = items.filter(i => i.mandatory !== false && !DONE.includes(i.status || 'not started'));
+  const overdue = open.filter(i => {
+    const due = i.dueDate ? new Date(i.dueDate) : deadline;
+    return due && due < now;
+  });
+
+  return {
+    total: items.length,
+    mandatory: items.filter(i => i.mandatory !== false).length,
+    byStatus,
+    done: items.filter(i => DONE.includes(i.status)).length,
+    percentDone: items.length ? Math.round(items.filter(i => DONE.includes(i.status)).length / items.length * 100) : 100,
+    mandatoryOpen: open.length,
+    deadline,
+    daysToDeadline: deadline ? Math.ceil((deadline - now) / DAY) : null,
+    unassignedOpen: open.filter(i => !i.assignee).length,
+    overdue: overdue.map(i => ({ _id: i._id, item: i.item, assignee: i.assignee || null, dueDate: i.dueDate || deadline })),
+  };
+}
+
+// Sort order for progress summaries: soonest deadline first; tenders without
+// a deadline, or with one that is not a valid date, go last
+const dueTime = p => {
+  const ms = p.deadline ? new Date(p.deadline).getTime() : NaN;
+  return Number.isFinite(ms) ? ms : Number.MAX_SAFE_INTEGER;
+};
+const byDeadline = (a, b) => dueTime(a) - dueTime(b);
+
+module.exports = { STATUSES, applyItemUpdate, checklistProgress, byDeadline };
@@ -0,0 +1,95 @@
+/**********************************************************************
+  Map-Reduce Helpers for Large Tenders
+  - chunkPages(pages) → prompt-sized chunks that keep [[PAGE n]] markers
+  - mergeFields(results) → one value per field, conflicts kept as notes
+  - mergeSubmittals(results) → de-duplicated checklist
+**********************************************************************/
+
+const CHUNK_CHARS = Number(process.env.CHUNK_CHARS) || 100000;
+
+// Sentence-based splitter from the tester pipelines (testers/gem3…).
+// Text after the last full stop is kept, and a "sentence" longer than a
+// chunk (a table, a list without stops) is cut every max characters
+const smartChunks = (txt, max = 8000, ov = 300) => {
+  if (txt.length <= max) return [txt];
+  const s = (txt.match(/[^.!?]+(?:[.!?]+|$)/g) || [txt])
+    .filter(sent => sent.trim())
+    .flatMap(sent => (sent.length > max ? sent.match(new RegExp(`[^]{1,${max}}`, 'g')) : [sent]));
+  const out = []; let cur = '';
+  for (const sent of s) {
+    if (cur.length + sent.length > max && cur) {
+      out.push(cur.trim());
+      const words = Math.floor(ov / 6);
+      const overlap = words ? cur.split(' ').slice(-words).join(' ') : '';
+      // No overlap when it would push the chunk over max
+      cur = overlap && overlap.length + 1 + sent.length <= max ? overlap + ' ' + sent : sent;
+    } else cur += (cur ? ' ' : '') + sent.trim();
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+};
+
+// Whole pages are packed together; a page too big on its own is split
+// with smartChunks and every piece repeats its page marker.
+// firstPage numbers the markers of a later file in a tender package
+function chunkPages(pages, max = CHUNK_CHARS, firstPage = 1) {
+  const chunks = []; let cur = '';
+  const flush = () => { if (cur) chunks.push(cur); cur = ''; };
+
+  pages.forEach((text, i) => {
+    const marker = `[[PAGE ${i + firstPage}]]`;
+    const block = `${marker} ${text}`;
+    if (block.length > max) {
+      flush();
+      const room = max - marker.length - 1;
+      smartChunks(text, room, Math.min(300, Math.floor(room / 10))).forEach(part => chunks.push(`${marker} ${part}`));
+      return;
+    }
+    if (cur.length + block.length + 1 > max) flush();
+    cur += (cur ? '\n' : '') + block;
+  });
+  flush();
+  return chunks;
+}
+
+/* ───────────────── Reduce ──────────────────────────────────────── */
+const norm = s => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// results: one verifyFields() output per chunk, in document order
+function mergeFields(results, keys) {
+  const out = {};
+  for (const k of keys) {
+    const found = results.map(r => r[k]).filter(f => f && f.value != null);
+    if (!found.length) {
+      out[k] = { value: null, page: null, quote: null, verified: false, note: null };
+      continue;
+    }
+    // Verified evidence beats unverified; otherwise the earliest chunk wins
+    const chosen = found.find(f => f.verified) || found[0];
+    const others = [];
+    for (const f of found) {
+      if (norm(f.value) === norm(chosen.value)) continue;
+      if (others.some(o => norm(o.value) === norm(f.value))) continue;
+      others.push({ value: f.value, page: f.page, quote: f.quote, verified: f.verified });
+    }
+    out[k] = others.length
+      ? { ...chosen, conflicts: others, note: [chosen.note, `Chunks disagree (${others.length + 1} distinct values)`].filter(Boolean).join('; ') }
+      : chosen;
+  }
+  return out;
+}
+
+function mergeSubmittals(results) {
+  const byItem = new Map();
+  for (const s of results.flat()) {
+    const key = norm(s.item);
+    if (!key) continue;
+    const prev = byItem.get(key);
+    if (!prev) { byItem.set(key, { ...s }); continue; }
+    if (!prev.pageVerified && s.pageVerified) Object.assign(prev, { page: s.page, modelPage: s.modelPage, pageVerified: true });
+    if (s.reason && !prev.reason.includes(s.reason)) prev.reason = [prev.reason, s.reason].filter(Boolean).join('; ');
+  }
+  return [...byItem.values()];
+}
+
+module.exports = { CHUNK_CHARS, smartChunks, chunkPages, mergeFields, mergeSubmittals };
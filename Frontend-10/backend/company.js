@@ -0,0 +1,121 @@
+/**********************************************************************
+  Company Profiles
+  - The bidder's own record, kept once and checked against every
+    tender's eligibility criteria (see eligibility.js)
+  - Annual turnover and net worth per financial year ("2021-22"),
+    solvency / credit certificates, completed projects with their
+    values, and certifications / registrations with expiry dates
+  - Amounts may be sent as numbers (INR) or as text ("₹18.5 Cr",
+    "2,35,00,000"); they are stored as INR numbers
+**********************************************************************/
+
+const mongoose = require('mongoose');
+const { parseAmount } = require('./money');
+
+const CompanySchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  turnovers: [{ _id: false, year: String, amount: Number }],   // year: financial year "2021-22"
+  netWorth: [{ _id: false, year: String, amount: Number }],
+  solvency: [{ _id: false, amount: Number, issuedBy: String, issuedOn: Date }],
+  projects: [{
+    name: { type: String, required: true },
+    client: String,
+    value: Number,          // contract value executed, INR
+    startedOn: Date,
+    completedOn: Date,      // null while ongoing
+    description: String     // nature of work: "metro viaduct", "office building", …
+  }],
+  certifications: [{ _id: false, name: String, number: String, validUntil: Date }],
+  notes: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { collection: 'companies' });
+
+const Company = mongoose.model('Company', CompanySchema);
+
+/* ───────────────── Validation ──────────────────────────────────── */
+// "2021-22", "FY 2021-2022", "2021/22" → "2021-22"
+function financialYear(text) {
+  const m = String(text || '').match(/^\s*(?:fy\s*)?(\d{4})\s*[-/–]\s*(\d{2}|\d{4})\s*$/i);
+  if (!m) return null;
+  const start = Number(m[1]);
+  const end = Number(m[2].length === 4 ? m[2] : String(start).slice(0, 2) + m[2]);
+  return end === start + 1 ? `${start}-${String(end % 100).padStart(2, '0')}` : null;
+}
+
+// Plain numbers are INR; text goes through the money parser
+const toAmount = v => {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v !== 'string') return null;
+  if (/^\s*-?\d+(\.\d+)?\s*$/.test(v)) return Number(v);
+  const parsed = parseAmount(v);
+  return parsed && parsed.amount != null ? parsed.amount : null;
+};
+
+const toDate = v => {
+  if (v == null || v === '') return null;
+  const d = new Date(v);
+  return isNaN(d) ? undefined : d;
+};
+
+const LISTS = {
+  // [entry → error | null] after normalising the entry in place
+  turnovers: yearly,
+  netWorth: yearly,
+  solvency: e => {
+    e.amount = toAmount(e.amount);
+    if (e.amount == null) return 'amount must be an amount in INR';
+    e.issuedOn = toDate(e.issuedOn);
+    return e.issuedOn === undefined ? 'issuedOn must be a date' : null;
+  },
+  projects: e => {
+    if (typeof e.name !== 'string' || !e.name.trim()) return 'name is required';
+    if (e.value == null || e.value === '') e.value = null;
+    else if ((e.value = toAmount(e.value)) == null) return 'value must be an amount in INR';
+    for (const k of ['startedOn', 'completedOn']) {
+      e[k] = toDate(e[k]);
+      if (e[k] === undefined) return `${k} must be a date`;
+    }
+    return null;
+  },
+  certifications: e => {
+    if (typeof e.name !== 'string' || !e.name.trim()) return 'name is required';
+    e.validUntil = toDate(e.validUntil);
+    return e.validUntil === undefined ? 'validUntil must be a date' : null;
+  },
+};
+
+function yearly(e) {
+  e.year = financialYear(e.year);
+  if (!e.year) return 'year must be a financial year like 2021-22';
+  // Net worth can be negative
+  e.amount = toAmount(e.amount);
+  return e.amount == null ? 'amount must be an amount in INR' : null;
+}
+
+// Normalises body in place; returns an error message or null
+function validateCompany(body = {}, { partial = false } = {}) {
+  if (!partial || 'name' in body) {
+    if (typeof body.name !== 'string' || !body.name.trim()) return 'name is required';
+    body.name = body.name.trim();
+  }
+  for (const [key, check] of Object.entries(LISTS)) {
+    if (!(key in body)) continue;
+    if (!Array.isArray(body[key])) return `${key} must be an array`;
+    body[key] = body[key].map(e => ({ ...e }));
+    for (const [i, e] of body[key].entries()) {
+      const error = check(e);
+      if (error) return `${key}[${i}]: ${error}`;
+    }
+  }
+  for (const key of ['turnovers', 'netWorth']) {
+    const years = (body[key] || []).map(e => e.year);
+    const dup = years.find((y, i) => years.indexOf(y) !== i);
+    if (dup) return `${key}: ${dup} is listed twice`;
+  }
+  return null;
+}
+
+const COMPANY_KEYS = ['name', ...Object.keys(LISTS), 'notes'];
+
+module.exports = { Company, COMPANY_KEYS, financialYear, validateCompany };
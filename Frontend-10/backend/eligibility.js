@@ -0,0 +1,395 @@
+/**********************************************************************
+  Eligibility Go / No-Go
+  - parseCriteria(text, { estimatedCost }) → the EligibilityCriteria
+    prose as structured thresholds: turnover, net worth, liquid assets /
+    solvency, similar works and certifications; requirements it can't
+    read are kept as 'other'
+  - assessEligibility(contract, company) → pass / fail / needs-evidence
+    for each criterion with the required and actual numbers behind it,
+    and an overall go / no-go / needs-evidence verdict
+  - "30% of the estimated cost" uses the contract's EstimatedCost;
+    "last 3 financial years" counts back from the bid submission
+    deadline (today when it isn't known)
+**********************************************************************/
+
+const { fieldValue, isEvidence } = require('./fields');
+const { findAmounts } = require('./money');
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const toCount = w => (w == null ? null : NUMBER_WORDS[w.toLowerCase()] || (/^\d+$/.test(w) ? Number(w) : null));
+
+const CRITERION_RES = [
+  ['turnover', /turn\s*-?\s*over/i],
+  ['netWorth', /net\s*-?\s*worth/i],
+  ['liquidity', /liquid\s+assets?|solvency|credit\s+facilit|working\s+capital|liquidity/i],
+  ['similarWork', /similar\s+(?:nature\s+of\s+)?works?|\b(?:executed|completed)\b.{0,120}\bworks?\b|\bworks?\b.{0,60}\b(?:executed|completed)\b/i],
+  ['certification', /\bISO\s*[-:]?\s*\d{4,5}|\bclass\s*[-–]?\s*(?:I{1,3}|[1-3]|A{1,2})\b|\bregistered\s+(?:as|with|under)\b|\blicen[cs]e[ds]?\b/i],
+];
+const REQUIREMENT_RE = /\b(should|shall|must|required|minimum|min\.|at\s+least|not\s+less\s+than|≥)/i;
+const YEARS_RE = /\b(?:last|preceding|past)\s+(\w+)\s+(?:financial\s+years?|f\.?\s*ys?\b|years?)/i;
+const FY_RANGE_RE = /\b(20\d\d)\s*-\s*(\d{2,4})\s*(?:to|–|-)\s*(20\d\d)\s*-\s*(\d{2,4})\b/;
+const PERCENT_OF_RE = /(\d+(?:\.\d+)?)\s*(?:%|per\s*cent|percent)\s+of\s+(?:the\s+)?(?:estimated|tender|contract|project|put\s+to\s+tender|ecv|approximate)/i;
+
+/* ───────────────── Financial years ─────────────────────────────── */
+const fyStart = d => (d.getUTCMonth() >= 3 ? d.getUTCFullYear() : d.getUTCFullYear() - 1);
+const fyLabel = y => `${y}-${String((y + 1) % 100).padStart(2, '0')}`;
+
+// "2017-18 to 2021-22" → both ends and the years between, latest first
+function yearRange(text) {
+  const m = text.match(FY_RANGE_RE);
+  if (!m) return null;
+  const from = Number(m[1]), to = Number(m[3]);
+  if (to < from || to - from > 15) return null;
+  return Array.from({ length: to - from + 1 }, (_, i) => fyLabel(to - i));
+}
+
+// The n complete financial years before the one `date` falls in
+const lastYears = (n, date) => Array.from({ length: n }, (_, i) => fyLabel(fyStart(date) - 1 - i));
+
+/* ───────────────── Parsing ─────────────────────────────────────── */
+// List items: new lines, bullets, and markers like "a.", "(ii)", "3)"
+const splitItems = text => String(text)
+  .split(/\n+|•|(?:^|\s)(?=(?:\(?[a-h]|\(?[ivx]{1,4}|\d{1,2})[.)]\s+[A-Z])/)
+  .map(s => s.replace(/^\s*(?:[-*]|\(?(?:[a-h]|[ivx]{1,4}|\d{1,2})[.)])\s*/, '').trim())
+  .filter(Boolean);
+
+const splitSentences = item => item.split(/(?<=[a-z)\d]{2}\.)\s+(?=[A-Z])/).filter(s => s.trim());
+
+// "Positive net worth last 2 FYs, liquidity ≥₹221 Cr, turnover …" or "ISO 9001
+// certification and registration as Class-I contractor": a sentence naming
+// several requirements is split at its commas and "and"s, so none is dropped
+const requirementsIn = text => CRITERION_RES.reduce((n, [kind, re]) => n + (kind === 'certification'
+  ? (text.match(new RegExp(re.source, 'gi')) || []).length
+  : Number(re.test(text))), 0);
+const splitFragments = sentence => (requirementsIn(sentence) > 1 ? sentence.split(/[,;]\s+|\s+and\s+/i) : [sentence]);
+
+const maxAgeMonths = text => {
+  const m = text.match(/not\s+(?:be\s+)?older\s+than\s+(\w+)\s+months?/i);
+  return m ? toCount(m[1]) : null;
+};
+
+// A rupee amount, or a percentage of the estimated cost
+function amountIn(text, estimatedCost) {
+  const found = findAmounts(text);
+  if (found.length) return { amount: found[0].amount, percent: null };
+  const pct = text.match(PERCENT_OF_RE);
+  if (!pct) return null;
+  const percent = Number(pct[1]);
+  return { amount: estimatedCost ? Math.round(estimatedCost * percent) / 100 : null, percent };
+}
+
+function yearsIn(text) {
+  const range = yearRange(text);
+  if (range) return { financialYears: range, years: range.length };
+  const m = text.match(YEARS_RE);
+  return { financialYears: null, years: m ? toCount(m[1]) : null };
+}
+
+// average | any | each | atLeast (count years out of the period)
+function yearlyBasis(text) {
+  const k = text.match(/\b(\w+)\s+(?:financial\s+)?years?\s+(?:out\s+)?of\s+(?:the\s+)?(?:last|preceding|past)\s+(\w+)/i);
+  if (k && toCount(k[1])) return { basis: 'atLeast', count: toCount(k[1]), of: toCount(k[2]) };
+  if (/\baverage\b/i.test(text)) return { basis: 'average' };
+  if (/\bany\s+(?:one\s+)?(?:financial\s+)?year\b/i.test(text)) return { basis: 'any' };
+  if (/\beach\b|\bevery\b|\ball\s+(?:the\s+)?(?:last|preceding)/i.test(text)) return { basis: 'each' };
+  return null;
+}
+
+// Years checked and how: "2 years out of last 5" gives both
+function period(text, basis) {
+  const b = yearlyBasis(text) || { basis };
+  const { of, ...rest } = b;
+  const y = yearsIn(text);
+  return { ...y, years: y.years || of || null, ...rest };
+}
+
+function similarWorkOptions(text, estimatedCost) {
+  // "three works of 40% or two works of 50% or one work of 80%"
+  const parts = text.split(/\bor\b/i).filter(p => amountIn(p, estimatedCost));
+  return (parts.length ? parts : [text]).map(p => {
+    const c = p.match(/\b(one|two|three|four|five|six|\d)\s+(?:\w+\s+){0,3}?works?\b/i);
+    const a = amountIn(p, estimatedCost) || {};
+    return { count: (c && toCount(c[1])) || 1, amount: a.amount ?? null, percent: a.percent ?? null };
+  });
+}
+
+function certificationName(text) {
+  const iso = text.match(/\bISO\s*[-:]?\s*(\d{4,5})/i);
+  if (iso) return `ISO ${iso[1]}`;
+  const cls = text.match(/\bclass\s*[-–]?\s*(I{1,3}|[1-3]|A{1,2})\b/i);
+  if (cls) return `Class-${cls[1].toUpperCase()}`;
+  const reg = text.match(/\bregistered\s+(?:as|with|under)\s+([^.,;]{3,60})/i);
+  return reg ? reg[1].trim() : text.slice(0, 80);
+}
+
+// One sentence → a threshold, or null when it states none
+function parseSentence(text, estimatedCost) {
+  const hit = CRITERION_RES.find(([, re]) => re.test(text));
+  if (!hit) return null;
+  const kind = hit[0];
+  const money = amountIn(text, estimatedCost);
+  switch (kind) {
+    case 'turnover':
+      if (!money) return null;
+      return { kind, required: money.amount, percent: money.percent, ...period(text, 'average') };
+    case 'netWorth':
+      return {
+        kind,
+        required: money ? money.amount : 0,
+        percent: money ? money.percent : null,
+        positive: !money,
+        ...period(text, 'each')
+      };
+    case 'liquidity':
+      if (!money) return null;
+      return { kind, required: money.amount, percent: money.percent, maxAgeMonths: maxAgeMonths(text) };
+    case 'similarWork':
+      if (!money) return null;
+      return {
+        kind,
+        options: similarWorkOptions(text, estimatedCost),
+        aggregate: /put\s+together|aggregate|cumulative|in\s+total|combined/i.test(text),
+        perYear: /\bany\s+one\s+(?:financial\s+)?year\b/i.test(text),
+        ...yearsIn(text)
+      };
+    default:
+      return { kind, name: certificationName(text) };
+  }
+}
+
+/**
+ * text: the EligibilityCriteria value (prose or a list)
+ * → [{ kind, text, …threshold }] in document order
+ */
+function parseCriteria(text, { estimatedCost = null } = {}) {
+  const criteria = [];
+  for (const item of splitItems(Array.isArray(text) ? text.join('\n') : text || '')) {
+    let last = null;
+    let added = false;
+    for (const sentence of splitSentences(item)) {
+      const fragments = splitFragments(sentence);
+      for (const fragment of fragments) {
+        const parsed = parseSentence(fragment, estimatedCost);
+        if (parsed) {
+          last = { ...parsed, text: fragment.trim() };
+          criteria.push(last);
+          added = true;
+        } else if (fragments.length > 1 && (REQUIREMENT_RE.test(fragment) || /[≥≤]|\bpositive\b/i.test(fragment))) {
+          // A requirement of its own in a list of them ("bid capacity ≥ …")
+          criteria.push({ kind: 'other', text: fragment.trim() });
+          added = true;
+        } else if (last) {
+          // Conditions that qualify the threshold before them ("… during the last 3 years")
+          const text = `${last.text} ${fragment.trim()}`;
+          const again = last.kind !== 'certification' && parseSentence(text, estimatedCost);
+          Object.assign(last, again && again.kind === last.kind ? again : {}, { text });
+          if (last.kind === 'liquidity' && last.maxAgeMonths == null) last.maxAgeMonths = maxAgeMonths(fragment);
+        }
+      }
+    }
+    if (!added && REQUIREMENT_RE.test(item) && item.length >= 20) criteria.push({ kind: 'other', text: item });
+  }
+  return criteria;
+}
+
+/* ───────────────── Assessment ──────────────────────────────────── */
+const inr = n => {
+  if (n == null) return null;
+  const sign = n < 0 ? '-' : '';
+  const a = Math.abs(n);
+  if (a >= 1e7) return `${sign}₹${(a / 1e7).toFixed(2)} Cr`;
+  if (a >= 1e5) return `${sign}₹${(a / 1e5).toFixed(2)} lakh`;
+  return `${sign}₹${a.toLocaleString('en-IN')}`;
+};
+const dateText = d => new Date(d).toISOString().slice(0, 10);
+
+const verdictOf = (status, extra) => ({ status, ...extra });
+
+// Turnover and net worth: one value per financial year in the period
+function yearlyCheck(entries, c, refDate, meets, describe) {
+  const years = c.financialYears || lastYears(c.years || (c.basis === 'each' ? 1 : 3), refDate);
+  const byYear = new Map((entries || []).map(e => [e.year, e.amount]));
+  const values = years.map(year => ({ year, amount: byYear.has(year) ? byYear.get(year) : null }));
+  const known = values.filter(v => v.amount != null);
+  const missing = values.filter(v => v.amount == null).map(v => v.year);
+  const ok = known.filter(v => meets(v.amount));
+  const actual = known.map(v => `${v.year}: ${inr(v.amount)}`).join(', ') || 'none on record';
+  const gap = missing.length ? `; no figure for ${missing.join(', ')}` : '';
+  let status;
+  let detail;
+  switch (c.basis) {
+    case 'any':
+      status = ok.length ? 'pass' : missing.length ? 'needs-evidence' : 'fail';
+      detail = ok.length ? `${ok[0].year} meets it` : `No year meets it${gap}`;
+      break;
+    case 'atLeast':
+      status = ok.length >= c.count ? 'pass' : ok.length + missing.length < c.count ? 'fail' : 'needs-evidence';
+      detail = `${ok.length} of ${years.length} years meet it (${c.count} needed)${gap}`;
+      break;
+    case 'each': {
+      const bad = known.filter(v => !meets(v.amount));
+      status = bad.length ? 'fail' : missing.length ? 'needs-evidence' : 'pass';
+      detail = bad.length ? `${bad.map(v => v.year).join(', ')} below it` : `Every year meets it${gap}`;
+      break;
+    }
+    default: {
+      if (missing.length) return verdictOf('needs-evidence', { required: describe, actual, detail: `Average needs every year${gap}`, years });
+      const avg = known.reduce((s, v) => s + v.amount, 0) / known.length;
+      status = meets(avg) ? 'pass' : 'fail';
+      detail = `Average ${inr(Math.round(avg))} over ${years.length} years`;
+    }
+  }
+  return verdictOf(status, { required: describe, actual, detail, years });
+}
+
+function liquidityCheck(company, c, refDate) {
+  const latest = [...(company.solvency || [])].sort((a, b) => (b.issuedOn || 0) - (a.issuedOn || 0))[0];
+  const required = `${inr(c.required)}${c.maxAgeMonths ? `, certificate not older than ${c.maxAgeMonths} months` : ''}`;
+  if (!latest) return verdictOf('needs-evidence', { required, actual: 'none on record', detail: 'Add a solvency / credit certificate to the profile' });
+  const actual = `${inr(latest.amount)}${latest.issuedOn ? ` (${dateText(latest.issuedOn)}${latest.issuedBy ? `, ${latest.issuedBy}` : ''})` : ''}`;
+  if (latest.amount < c.required) return verdictOf('fail', { required, actual, detail: `Short by ${inr(c.required - latest.amount)}` });
+  if (c.maxAgeMonths) {
+    const limit = new Date(refDate);
+    limit.setUTCMonth(limit.getUTCMonth() - c.maxAgeMonths);
+    if (!latest.issuedOn || latest.issuedOn < limit) {
+      return verdictOf('needs-evidence', { required, actual, detail: `A certificate issued after ${dateText(limit)} is needed` });
+    }
+  }
+  return verdictOf('pass', { required, actual, detail: 'Certificate covers the amount' });
+}
+
+function similarWorkCheck(company, c, refDate) {
+  // Named financial years, or the last N years before the deadline
+  const fys = c.financialYears;
+  const from = fys
+    ? new Date(Date.UTC(Number(fys[fys.length - 1].slice(0, 4)), 3, 1))
+    : c.years ? new Date(Date.UTC(refDate.getUTCFullYear() - c.years, refDate.getUTCMonth(), refDate.getUTCDate())) : null;
+  const to = fys ? new Date(Date.UTC(Number(fys[0].slice(0, 4)) + 1, 2, 31)) : refDate;
+  const projects = company.projects || [];
+  const done = projects.filter(p => p.completedOn && p.value != null && p.completedOn <= to && (!from || p.completedOn >= from));
+  const undated = projects.filter(p => !p.completedOn || p.value == null).length;
+  const window = fys ? ` completed in ${fys[fys.length - 1]} to ${fys[0]}` : from ? ` completed since ${dateText(from)}` : '';
+  const required = c.options.map(o => (o.amount == null
+    ? `${o.count} work(s) of ${o.percent}% of the estimated cost (not known)`
+    : `${c.aggregate ? `works totalling ${inr(o.amount)}${c.perYear ? ' in one financial year' : ''}` : `${o.count} work(s) each of ${inr(o.amount)}`}${o.percent ? ` (${o.percent}% of the estimated cost)` : ''}`)).join(' or ') + window;
+
+  let best = null;
+  for (const o of c.options) {
+    if (o.amount == null) continue;
+    let used;
+    let met;
+    if (c.aggregate && c.perYear) {
+      // Values put together within one financial year
+      const byYear = new Map();
+      for (const p of done) {
+        const y = fyLabel(fyStart(p.completedOn));
+        byYear.set(y, [...(byYear.get(y) || []), p]);
+      }
+      const [, list] = [...byYear].sort((a, b) => sum(b[1]) - sum(a[1]))[0] || [null, []];
+      used = list;
+      met = sum(list) >= o.amount;
+    } else if (c.aggregate) {
+      used = done;
+      met = sum(done) >= o.amount;
+    } else {
+      used = done.filter(p => p.value >= o.amount);
+      met = used.length >= o.count;
+    }
+    if (met) { best = { option: o, used }; break; }
+  }
+  const evidence = best ? best.used.map(p => ({ _id: p._id, name: p.name, value: p.value, completedOn: p.completedOn })) : [];
+  const actual = `${done.length} completed project(s) on record${window}` + (done.length ? `, largest ${inr(Math.max(...done.map(p => p.value)))}` : '');
+  if (best) {
+    return verdictOf('pass', {
+      required, actual, evidence,
+      detail: `${best.used.map(p => `${p.name} (${inr(p.value)})`).join(', ')}; check that the works are of similar nature`
+    });
+  }
+  if (c.options.every(o => o.amount == null)) return verdictOf('needs-evidence', { required, actual, detail: 'The estimated cost is needed to work out the threshold' });
+  return verdictOf(undated ? 'needs-evidence' : 'fail', {
+    required, actual, evidence,
+    detail: undated ? `${undated} project(s) lack a value or completion date` : 'No combination of projects meets it'
+  });
+}
+
+const sum = list => list.reduce((s, p) => s + p.value, 0);
+const normName = s => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+// Whole words: "Class-I" is in "Class I Civil Contractor", not in "Class II"
+const namedIn = (name, text) => new RegExp(`\\b${name}\\b`).test(text);
+
+function certificationCheck(company, c, refDate) {
+  const want = normName(c.name);
+  const cert = (company.certifications || []).find(x => {
+    const have = normName(x.name);
+    return have && (namedIn(want, have) || namedIn(have, want));
+  });
+  if (!cert) return verdictOf('needs-evidence', { required: c.name, actual: 'not on record', detail: 'Add the certificate / registration to the profile' });
+  const actual = `${cert.name}${cert.number ? ` (${cert.number})` : ''}${cert.validUntil ? `, valid until ${dateText(cert.validUntil)}` : ''}`;
+  if (cert.validUntil && cert.validUntil < refDate) return verdictOf('fail', { required: c.name, actual, detail: 'Expired before the bid deadline' });
+  return verdictOf('pass', { required: c.name, actual, detail: 'On record' });
+}
+
+function assessCriterion(company, c, refDate) {
+  switch (c.kind) {
+    case 'turnover':
+      return yearlyCheck(company.turnovers, c, refDate, v => c.required != null && v >= c.required,
+        c.required == null ? `${c.percent}% of the estimated cost (not known)` : `${inr(c.required)} (${c.basis === 'atLeast' ? `${c.count} years` : c.basis})`);
+    case 'netWorth':
+      return yearlyCheck(company.netWorth, c, refDate, v => (c.positive ? v > 0 : v >= c.required),
+        c.positive ? 'positive' : inr(c.required));
+    case 'liquidity':
+      return c.required == null
+        ? verdictOf('needs-evidence', { required: `${c.percent}% of the estimated cost`, actual: null, detail: 'The estimated cost is needed to work out the threshold' })
+        : liquidityCheck(company, c, refDate);
+    case 'similarWork':
+      return similarWorkCheck(company, c, refDate);
+    case 'certification':
+      return certificationCheck(company, c, refDate);
+    default:
+      return verdictOf('needs-evidence', { required: null, actual: null, detail: 'Check by hand' });
+  }
+}
+
+/* ───────────────── Per tender ──────────────────────────────────── */
+// The template's eligibility field: EligibilityCriteria, or one named like it
+const criteriaField = fields => {
+  const key = 'EligibilityCriteria' in (fields || {}) ? 'EligibilityCriteria' : Object.keys(fields || {}).find(k => /eligib|qualif/i.test(k));
+  return key ? { key, field: fields[key] } : null;
+};
+
+const bidDeadline = contract => {
+  const e = (contract.calendar || []).find(x => x.type === 'bidSubmissionDeadline' && x.date);
+  return e ? new Date(e.date) : null;
+};
+
+/**
+ * contract: plain object with fields / calendar; company: plain profile
+ * → { verdict, referenceDate, source, criteria: [{ …criterion, status, required, actual, detail, evidence? }], summary }
+ */
+function assessEligibility(contract, company, { now = new Date() } = {}) {
+  const fields = contract.fields || {};
+  const found = criteriaField(fields);
+  const estimate = isEvidence(fields.EstimatedCost) && fields.EstimatedCost.money ? fields.EstimatedCost.money.amount : null;
+  const deadline = bidDeadline(contract);
+  const refDate = deadline || now;
+  const criteria = found ? parseCriteria(fieldValue(found.field), { estimatedCost: estimate }) : [];
+  const assessed = criteria.map(c => ({ ...c, ...assessCriterion(company, c, refDate) }));
+
+  const count = s => assessed.filter(a => a.status === s).length;
+  const summary = { pass: count('pass'), fail: count('fail'), 'needs-evidence': count('needs-evidence') };
+  const verdict = summary.fail ? 'no-go' : assessed.length && !summary['needs-evidence'] ? 'go' : 'needs-evidence';
+  return {
+    verdict,
+    referenceDate: refDate,
+    referenceDateSource: deadline ? 'bid submission deadline' : 'today',
+    estimatedCost: estimate,
+    source: found && isEvidence(found.field)
+      ? { key: found.key, page: found.field.page ?? null, file: found.field.file ?? null, filePage: found.field.filePage ?? null }
+      : found && { key: found.key },
+    criteria: assessed,
+    summary,
+    ...(!assessed.length && { note: found && fieldValue(found.field) ? 'No thresholds could be read from the eligibility criteria' : 'The tender has no eligibility criteria extracted' })
+  };
+}
+
+module.exports = { parseCriteria, assessEligibility, lastYears };
@@ -0,0 +1,304 @@
+/**********************************************************************
+  Evaluation Harness
+  - Scores the extraction against hand-made answer sheets laid out
+    like "Comparision of answers of different contracts.xlsx"
+    (S.No | Term | Manual | <other sources>…)
+  - Runs the pipeline on each PDF with the configured provider
+    (LLM_FIXTURES=replay for an offline, repeatable run), or scores
+    an existing output: another column of the sheet, or a
+    question/answer CSV such as the roberta-base-squad2 output
+  - Per field: precision, recall, exact-match rate and mean token F1;
+    submittals are matched item by item
+
+  Usage
+    node evaluate.js --pdf tender.pdf --truth answers.xlsx [--column Manual]
+    node evaluate.js --cases cases.json   ([{ pdf, truth, column?, sheet? }])
+    node evaluate.js --truth answers.xlsx --predictions Gemini
+    node evaluate.js --truth answers.xlsx --predictions output.csv
+  Options: --provider (rules = no LLM), --model, --threshold 0.5, --json report.json
+**********************************************************************/
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { readRows, standardField } = require('./templateImport');
+const { DEFAULT_FIELDS } = require('./templates');
+const { parseAmount } = require('./money');
+const { fieldValue } = require('./fields');
+
+const FIELD_LIST = DEFAULT_FIELDS.map(f => f.key);
+const SUBMITTAL_TERM = /submittals|documents? to be submitted/i;
+const DEFAULT_THRESHOLD = 0.5;
+
+/* ───────────────── Ground truth / predictions ──────────────────── */
+// One item per line, without bullets or numbering
+const splitItems = text => String(text || '')
+  .split(/\r?\n|;\s+/)
+  .map(s => s.replace(/^\s*(?:[-–•*]|\d+[.)]|\(?[a-z]\))\s*/i, '').trim())
+  .filter(s => s.length > 2);
+
+/**
+ * Sheet with a Term (or Question) column and one column per source.
+ * → { fields: { key: value|null }, submittals: [item] | null }
+ * Terms that are not FIELD_LIST aspects are ignored; the first row of
+ * a key wins ("Important Dates (…)" appears three times).
+ */
+async function readAnswers(file, { column = 'Manual', sheet } = {}) {
+  let rows = await readRows(fs.readFileSync(file), path.basename(file), { sheet });
+  const header = rows.findIndex(r => r.some(c => /^(term|questions?)$/i.test(c)));
+  if (header < 0) throw new Error(`${file}: no "Term" or "Question" column`);
+  const termCol = rows[header].findIndex(c => /^(term|questions?)$/i.test(c));
+  const answerCol = rows[header].findIndex(c => c.toLowerCase() === String(column).toLowerCase());
+  if (answerCol < 0) {
+    throw new Error(`${file}: no column "${column}" (have: ${rows[header].filter(Boolean).join(', ')})`);
+  }
+  rows = rows.slice(header + 1);
+
+  const fields = {};
+  let submittals = null;
+  for (const r of rows) {
+    const term = (r[termCol] || '').trim();
+    if (!term) continue;
+    const answer = (r[answerCol] || '').trim() || null;
+    if (SUBMITTAL_TERM.test(term)) {
+      submittals = [...(submittals || []), ...splitItems(answer)];
+      continue;
+    }
+    const std = standardField(term);
+    if (std && !(std.key in fields)) fields[std.key] = answer;
+  }
+  return { fields, submittals };
+}
+
+// Question/answer CSV (roberta-base-squad2 style); the sheet reader copes
+// with the header being called "question"
+const readPredictionCsv = file => readAnswers(file, { column: 'answer' });
+
+// Runs the pipeline on one PDF without touching the database
+async function extractAnswers(pdf, { provider, model } = {}) {
+  const { getProvider } = require('./providers');
+  const { schemaCalls, rulesMode, extractContract } = require('./pipeline');
+  const llm = getProvider({ provider, model });
+  const { ask, log } = schemaCalls(llm);
+  const started = Date.now();
+  const out = await extractContract(path.basename(pdf), [{ name: path.basename(pdf), buffer: fs.readFileSync(pdf) }],
+    path.basename(pdf), ask, DEFAULT_FIELDS, { rules: rulesMode(llm) });
+  return {
+    fields: Object.fromEntries(FIELD_LIST.map(k => [k, fieldValue(out.fields[k])])),
+    submittals: out.submittals.map(s => s.item),
+    meta: { provider: llm.name, model: llm.model, mode: llm.mode, ms: Date.now() - started, llmCalls: log.calls.length, repairRetries: log.repairRetries },
+  };
+}
+
+/* ───────────────── Matching ────────────────────────────────────── */
+const STOP = new Set(['the', 'of', 'a', 'an', 'and', 'or', 'to', 'in', 'for', 'on', 'at', 'by', 'with', 'from', 'is', 'be', 'as']);
+
+const normText = s => String(s ?? '')
+  .toLowerCase()
+  .replace(/₹|\brs\b\.?|\binr\b|rupees/g, ' inr ')
+  .replace(/\bltd\b\.?/g, 'limited')
+  .replace(/\bpvt\b\.?/g, 'private')
+  .replace(/\bgovt\b\.?/g, 'government')
+  .replace(/[^a-z0-9.]+/g, ' ')
+  .replace(/\.(?!\d)/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const tokens = s => normText(s).split(' ').filter(w => w && !STOP.has(w));
+
+// SQuAD-style token overlap F1
+function tokenF1(a, b) {
+  const x = tokens(a), y = tokens(b);
+  if (!x.length || !y.length) return x.length === y.length ? 1 : 0;
+  const counts = new Map();
+  x.forEach(w => counts.set(w, (counts.get(w) || 0) + 1));
+  let common = 0;
+  for (const w of y) {
+    if (counts.get(w) > 0) { common++; counts.set(w, counts.get(w) - 1); }
+  }
+  if (!common) return 0;
+  const precision = common / y.length, recall = common / x.length;
+  return 2 * precision * recall / (precision + recall);
+}
+
+// Same first amount ("₹ 1105.42 Crores" = "INR 1105.42 Cr")
+const sameMoney = (a, b) => {
+  const x = parseAmount(a), y = parseAmount(b);
+  return !!(x && y && x.amount != null && x.amount === y.amount);
+};
+
+/**
+ * → { exact, match, f1 }: exact after normalization (or the same amount),
+ * match when exact, one answer contains the other, or token F1 ≥ threshold
+ */
+function compareValues(truth, predicted, threshold = DEFAULT_THRESHOLD) {
+  const t = normText(truth), p = normText(predicted);
+  const exact = t === p || sameMoney(truth, predicted);
+  const f1 = exact ? 1 : tokenF1(truth, predicted);
+  const contains = Math.min(t.length, p.length) >= 4 && (t.includes(p) || p.includes(t));
+  return { exact, match: exact || contains || f1 >= threshold, f1 };
+}
+
+// Greedy one-to-one item matching by token F1
+function matchItems(truth, predicted, threshold = DEFAULT_THRESHOLD) {
+  const free = predicted.map((p, i) => i);
+  const pairs = [];
+  for (const t of truth) {
+    let best = -1, bestScore = 0;
+    for (const i of free) {
+      const c = compareValues(t, predicted[i], threshold);
+      const score = c.match ? Math.max(c.f1, 0.5) : 0;
+      if (score > bestScore) { best = i; bestScore = score; }
+    }
+    if (best >= 0) {
+      pairs.push({ truth: t, predicted: predicted[best] });
+      free.splice(free.indexOf(best), 1);
+    }
+  }
+  return { matched: pairs, missed: truth.filter(t => !pairs.some(p => p.truth === t)), extra: free.map(i => predicted[i]) };
+}
+
+/* ───────────────── Scoring ─────────────────────────────────────── */
+const ratio = (a, b) => (b ? a / b : null);
+
+/**
+ * cases: [{ name, truth: { fields, submittals }, predicted: { fields, submittals } }]
+ * Only fields the sheet answers (or marks empty) are scored.
+ */
+function score(cases, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const perField = Object.fromEntries(FIELD_LIST.map(k => [k, { tp: 0, fp: 0, fn: 0, exact: 0, answered: 0, f1: 0 }]));
+  const sub = { tp: 0, predicted: 0, truth: 0 };
+  const details = [];
+
+  for (const c of cases) {
+    const detail = { name: c.name, fields: {}, submittals: null };
+    for (const k of FIELD_LIST) {
+      if (!(k in c.truth.fields)) continue;
+      const t = c.truth.fields[k];
+      const p = c.predicted.fields[k] ?? null;
+      const s = perField[k];
+      if (t == null) {
+        if (p != null) s.fp++;
+        detail.fields[k] = { truth: null, predicted: p, match: p == null };
+        continue;
+      }
+      s.answered++;
+      const cmp = p == null ? { exact: false, match: false, f1: 0 } : compareValues(t, p, threshold);
+      s.f1 += cmp.f1;
+      if (cmp.exact) s.exact++;
+      if (cmp.match) s.tp++;
+      else {
+        s.fn++;
+        if (p != null) s.fp++;
+      }
+      detail.fields[k] = { truth: t, predicted: p, ...cmp };
+    }
+    if (c.truth.submittals) {
+      const m = matchItems(c.truth.submittals, c.predicted.submittals || [], threshold);
+      sub.tp += m.matched.length;
+      sub.truth += c.truth.submittals.length;
+      sub.predicted += (c.predicted.submittals || []).length;
+      detail.submittals = m;
+    }
+    details.push(detail);
+  }
+
+  const fields = Object.fromEntries(Object.entries(perField)
+    .filter(([, s]) => s.answered || s.fp)
+    .map(([k, s]) => [k, {
+      n: s.answered,
+      precision: ratio(s.tp, s.tp + s.fp),
+      recall: ratio(s.tp, s.tp + s.fn),
+      exactMatch: ratio(s.exact, s.answered),
+      f1: ratio(s.f1, s.answered),
+    }]));
+  const total = Object.values(perField).reduce((a, s) => ({
+    tp: a.tp + s.tp, fp: a.fp + s.fp, fn: a.fn + s.fn, exact: a.exact + s.exact, answered: a.answered + s.answered, f1: a.f1 + s.f1,
+  }), { tp: 0, fp: 0, fn: 0, exact: 0, answered: 0, f1: 0 });
+
+  return {
+    threshold,
+    cases: cases.length,
+    fields,
+    overall: {
+      precision: ratio(total.tp, total.tp + total.fp),
+      recall: ratio(total.tp, total.tp + total.fn),
+      exactMatch: ratio(total.exact, total.answered),
+      f1: ratio(total.f1, total.answered),
+    },
+    submittals: sub.truth || sub.predicted
+      ? { truth: sub.truth, predicted: sub.predicted, matched: sub.tp, precision: ratio(sub.tp, sub.predicted), recall: ratio(sub.tp, sub.truth) }
+      : null,
+    details,
+  };
+}
+
+/* ───────────────── CLI ─────────────────────────────────────────── */
+const pct = v => (v == null ? '   –  ' : `${(v * 100).toFixed(1).padStart(5)}%`);
+
+function printReport(report) {
+  const w = Math.max(...Object.keys(report.fields).map(k => k.length), 'Overall'.length) + 2;
+  console.log(`\nEvaluated ${report.cases} case(s), fuzzy threshold ${report.threshold}\n`);
+  console.log(`${'Field'.padEnd(w)}  n  Precision  Recall   Exact    F1`);
+  for (const [k, s] of Object.entries(report.fields)) {
+    console.log(`${k.padEnd(w)}${String(s.n).padStart(3)}   ${pct(s.precision)}  ${pct(s.recall)}  ${pct(s.exactMatch)}  ${pct(s.f1)}`);
+  }
+  const o = report.overall;
+  console.log(`${'Overall'.padEnd(w)}      ${pct(o.precision)}  ${pct(o.recall)}  ${pct(o.exactMatch)}  ${pct(o.f1)}`);
+  if (report.submittals) {
+    const s = report.submittals;
+    console.log(`\nSubmittals: ${s.matched} of ${s.truth} expected found, ${s.predicted} predicted → precision ${pct(s.precision).trim()}, recall ${pct(s.recall).trim()}`);
+  }
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    args[key] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const threshold = args.threshold ? Number(args.threshold) : DEFAULT_THRESHOLD;
+  const specs = args.cases
+    ? JSON.parse(fs.readFileSync(args.cases, 'utf8')).map(c => ({ ...c, base: path.dirname(args.cases) }))
+    : [{ pdf: args.pdf, truth: args.truth, column: args.column, sheet: args.sheet, predictions: args.predictions, base: '.' }];
+  if (!specs.length || specs.some(c => !c.truth || (!c.pdf && !c.predictions))) {
+    console.error('Usage: node evaluate.js --pdf <file.pdf> --truth <answers.xlsx> [--column Manual]\n' +
+      '       node evaluate.js --cases <cases.json>\n' +
+      '       node evaluate.js --truth <answers.xlsx> --predictions <column | output.csv>');
+    process.exit(2);
+  }
+
+  const cases = [];
+  for (const c of specs) {
+    const at = f => path.resolve(c.base, f);
+    const truth = await readAnswers(at(c.truth), { column: c.column || 'Manual', sheet: c.sheet });
+    let predicted;
+    if (c.predictions && /\.csv$/i.test(c.predictions)) predicted = await readPredictionCsv(at(c.predictions));
+    else if (c.predictions) predicted = await readAnswers(at(c.truth), { column: c.predictions, sheet: c.sheet });
+    else {
+      console.log(`🔄 Extracting ${c.pdf}…`);
+      predicted = await extractAnswers(at(c.pdf), { provider: args.provider, model: args.model });
+      console.log(`   ${predicted.meta.provider} / ${predicted.meta.model} (${predicted.meta.mode}): ${predicted.meta.llmCalls} LLM call(s), ${(predicted.meta.ms / 1000).toFixed(1)}s`);
+    }
+    cases.push({ name: c.name || path.basename(c.pdf || c.predictions), truth, predicted });
+  }
+
+  const report = score(cases, { threshold });
+  printReport(report);
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2));
+    console.log(`\nFull report written to ${args.json}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(e => { console.error('❌', e.message); process.exit(1); });
+}
+
+module.exports = { readAnswers, extractAnswers, compareValues, matchItems, tokenF1, score };
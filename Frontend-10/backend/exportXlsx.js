@@ -0,0 +1,95 @@
+/**********************************************************************
+  Tender Appreciation Document → Excel
+  - Same layout as the "Answer Set-2" sheet of the BMRCL key-aspects
+    workbook (S.No | Term | Synonyms | Answer, from column C, row 2),
+    plus Page and Source quote columns for the evidence
+  - Multi-line answers get one "- " row each, with S.No / Term /
+    Synonyms merged down, as in the reference sheet
+  - One worksheet per tender
+**********************************************************************/
+
+const ExcelJS = require('exceljs');
+const { tadRows } = require('./tad');
+
+const COLUMNS = [
+  { key: 'no', header: 'S.No', width: 8 },
+  { key: 'term', header: 'Term', width: 32.3 },
+  { key: 'synonyms', header: 'Synonyms / Alternate Phrases', width: 60 },
+  { key: 'answer', header: 'Answer', width: 90 },
+  { key: 'page', header: 'Page', width: 8 },
+  { key: 'quote', header: 'Source quote', width: 70 },
+];
+const FIRST_COL = 3; // column C, as in the reference sheet
+
+const border = { style: 'thin' };
+const BORDER = { top: border, left: border, bottom: border, right: border };
+
+// Excel: max 31 chars, none of []:*?/\ and unique within the workbook
+function sheetName(name, taken) {
+  const base = String(name || 'Tender').replace(/\.pdf$/i, '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 28) || 'Tender';
+  let out = base;
+  for (let i = 2; taken.has(out.toLowerCase()); i++) out = `${base.slice(0, 27 - String(i).length)} (${i})`;
+  taken.add(out.toLowerCase());
+  return out;
+}
+
+function addTenderSheet(wb, contract, name) {
+  const ws = wb.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 2 }] });
+  COLUMNS.forEach((c, i) => { ws.getColumn(FIRST_COL + i).width = c.width; });
+
+  const title = ws.getCell(1, FIRST_COL);
+  title.value = `Tender Appreciation – ${contract.pdfName}`;
+  title.font = { bold: true, size: 13 };
+
+  const header = ws.getRow(2);
+  COLUMNS.forEach((c, i) => {
+    const cell = header.getCell(FIRST_COL + i);
+    cell.value = c.header;
+    cell.font = { bold: true };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
+    cell.border = BORDER;
+  });
+
+  let r = 3;
+  for (const row of tadRows(contract)) {
+    const lines = row.lines.length ? row.lines : [{ text: 'Not specified', page: null, quote: null }];
+    const multi = lines.length > 1;
+    lines.forEach((line, i) => {
+      const values = [
+        i === 0 ? row.no : null,
+        i === 0 ? row.term : null,
+        i === 0 ? row.synonyms : null,
+        multi ? `- ${line.text}` : line.text,
+        line.page || null,
+        line.quote || null,
+      ];
+      const xr = ws.getRow(r + i);
+      values.forEach((v, j) => {
+        const cell = xr.getCell(FIRST_COL + j);
+        cell.value = v;
+        cell.border = BORDER;
+        cell.alignment = { vertical: 'top', wrapText: true };
+      });
+    });
+    if (multi) {
+      for (let j = 0; j < 3; j++) ws.mergeCells(r, FIRST_COL + j, r + lines.length - 1, FIRST_COL + j);
+    }
+    r += lines.length;
+  }
+  return ws;
+}
+
+/**
+ * contracts: Contract documents (or plain objects) with fields,
+ * submittals and calendar. Resolves to an xlsx Buffer.
+ */
+async function buildTadWorkbook(contracts) {
+  const wb = new ExcelJS.Workbook();
+  wb.creator = 'Contract Analyzer';
+  wb.created = new Date();
+  const taken = new Set();
+  for (const c of contracts) addTenderSheet(wb, c, sheetName(c.pdfName, taken));
+  return wb.xlsx.writeBuffer();
+}
+
+module.exports = { buildTadWorkbook };
@@ -0,0 +1,78 @@
+/**********************************************************************
+  Extracted Field Values
+  - Fields are stored as { value, page, quote, verified, note }
+  - Reviewed fields hold the reviewer's value; the model's is in `original`
+  - source: 'rules' marks values read by the rule-based extractor
+  - Older contracts hold bare strings; these helpers read both shapes
+  - verifyFields() checks every quote against the extracted page text
+**********************************************************************/
+
+const { findQuote } = require('./pdfText');
+
+const isEvidence = f => !!f && typeof f === 'object' && 'value' in f;
+
+const fieldValue = f => (isEvidence(f) ? f.value : f ?? null);
+
+// { key: value } for clients that only want the plain values
+const flattenFields = fields => Object.fromEntries(
+  Object.entries(fields || {}).map(([k, f]) => [k, fieldValue(f)])
+);
+
+// { key: { page, file?, filePage?, quote, verified, note, conflicts, source?, amendedBy?, review?, original?, money } } — null for legacy string fields
+const fieldEvidence = fields => Object.fromEntries(
+  Object.entries(fields || {}).map(([k, f]) => [k, isEvidence(f)
+    ? {
+      page: f.page ?? null,
+      ...(f.file !== undefined && { file: f.file, filePage: f.filePage ?? null }),
+      quote: f.quote ?? null, verified: !!f.verified,
+      note: f.note || null, conflicts: f.conflicts || [],
+      ...(f.source && { source: f.source }),
+      ...(f.amendedBy && { amendedBy: f.amendedBy }),
+      ...(f.review && { review: f.review, original: f.original ?? null }),
+      ...(f.money !== undefined && { money: f.money })
+    }
+    : null])
+);
+
+/* ───────────────── Evidence check ──────────────────────────────── */
+// true → "Yes", ["a", "b"] → "a; b"; empty answers become null
+const valueText = v => {
+  if (v == null) return null;
+  const text = typeof v === 'boolean' ? (v ? 'Yes' : 'No')
+    : Array.isArray(v) ? v.filter(x => x != null && String(x).trim()).join('; ')
+      : String(v);
+  return text === '' ? null : text;
+};
+
+// Values without a quote found in the PDF are kept but flagged unverified.
+// pages may be the tail of a document (an addendum's pages): firstPage is
+// the number of pages[0], and pages in and out are numbered document-wide
+function verifyFields(raw, keys, pages, firstPage = 1) {
+  const shift = firstPage - 1;
+  const out = {};
+  for (const k of keys) {
+    const r = raw && raw[k];
+    const e = isEvidence(r) ? r : { value: r ?? null };
+    const value = valueText(e.value);
+    const quote = e.quote ? String(e.quote) : null;
+    const page = e.page == null ? null : Number(e.page);
+
+    if (value == null) {
+      out[k] = { value: null, page: null, quote: null, verified: false, note: null };
+    } else if (!quote) {
+      out[k] = { value, page: null, quote: null, verified: false, note: 'No evidence quote returned' };
+    } else {
+      const hit = findQuote(quote, page == null ? null : page - shift, pages);
+      out[k] = {
+        value,
+        page: hit.page == null ? null : hit.page + shift,
+        quote,
+        verified: hit.found,
+        note: hit.found ? null : 'Quote not found in PDF text'
+      };
+    }
+  }
+  return out;
+}
+
+module.exports = { isEvidence, fieldValue, flattenFields, fieldEvidence, verifyFields };
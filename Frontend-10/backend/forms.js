@@ -0,0 +1,165 @@
+/**********************************************************************
+  Fill-in Forms
+  - findForms(pages, files) → the forms the bidder fills in and signs,
+    found without the LLM: pages with blank runs (______), dotted
+    leaders (……), checkboxes, empty "Name: Date:" fields and signature
+    blocks ("Signature of Bidder", "Sign & Seal")
+  - Each form is named after the heading on its first page ("ATTACHMENT
+    – 3 (CERTIFICATE …)", "ANNEXURE-C: Price/Financial Bid format") and
+    runs until the next heading, so it gets an exact page range
+  - mergeForms(submittals, forms) → the LLM's checklist with matching
+    items given the form's pages, and the other forms added
+**********************************************************************/
+
+const { pageScore } = require('./pdfText');
+
+const MIN_MARKS = 3;    // blanks etc. that make a page a form on their own
+const TITLE_WINDOW = 250;   // characters after the running header searched for a heading
+
+const MARK_RES = {
+  blanks: /_{4,}/g,
+  // Not table-of-contents leaders, which end in a page number
+  leaders: /(?:\.\s?){6,}(?![.\s…]*\d)|…{2,}(?![.\s…]*\d)/g,
+  checkboxes: /[☐☑☒□▢❑❒]|\[\s?\]/g,
+  // A label followed straight by the next label: "Date: Signature: Place:"
+  emptyFields: /\b(?:name|date|place|signature|designation|address|seal|mobile(?:\s+no\.?)?|phone|telephone|e-?mail|fax)\s*:\s*(?=(?:name|date|place|signature|designation|address|company|mobile|phone|telephone|land\s*line|e-?mail|fax|printed|seal|witness)\b)/gi,
+};
+const SIGNATURE_RE = /signature\s+of\s+(?:the\s+)?(?:bidder|tenderer|applicant|contractor|authori[sz]ed\s+signatory|witness)|\(\s*signature\b|\bsignature\s*:|\bsign(?:ature)?\s*(?:&|and|with)\s*(?:company\s+)?seal|\bcompany\s+seal\b|\bseal\s+of\s+(?:the\s+)?(?:bidder|company|firm)/i;
+
+// Headings are "ANNEXURE" or "Annexure", never "annexure" mid-sentence
+const LABEL_WORDS = ['attachment', 'annexure', 'annex', 'appendix', 'form', 'format', 'proforma', 'performa', 'schedule', 'exhibit']
+  .flatMap(w => [w.toUpperCase(), w[0].toUpperCase() + w.slice(1)]);
+const LABEL_RE = new RegExp(`\\b(${LABEL_WORDS.join('|')})\\s*[-–—:.]?\\s*(?:[Nn][Oo]\\.?\\s*)?([A-Z]{0,2}[-–]?\\d+[A-Z]?|[A-Z]{1,2}(?=[\\s:.–-])|[IVX]{1,5}\\b)`);
+const CAPS_RUN_RE = /^[\s:–—-]*((?:\(?[A-Z][A-Z0-9&/,.'’-]*\)?\s+){0,11}\(?[A-Z][A-Z0-9&/,.'’-]*[A-Z)])(?=\s|$)/;
+const FORM_NOUN_RE = /\b(form|format|letter|certificate|undertaking|declaration|guarantee|agreement|affidavit|bond|proforma|statement|details|power\s+of\s+attorney)\b/i;
+
+/* ───────────────── Page signals ────────────────────────────────── */
+function pageMarks(text) {
+  const counts = Object.fromEntries(Object.entries(MARK_RES).map(([k, re]) => [k, (text.match(re) || []).length]));
+  return { ...counts, total: Object.values(counts).reduce((a, b) => a + b, 0), signature: SIGNATURE_RE.test(text) };
+}
+
+// Strong: enough blanks on their own, or blanks next to a signature block
+const isFormPage = m => m.total >= MIN_MARKS || (m.total > 0 && m.signature);
+
+// Words every few pages start with ("Telangana State … Commission 154")
+function runningHeader(pages) {
+  const starts = pages.map(t => t.split(' ').slice(0, 10));
+  const need = Math.max(3, pages.length * 0.3);
+  let best = '';
+  for (let k = 1; k <= 10; k++) {
+    const counts = new Map();
+    for (const w of starts) if (w.length >= k) {
+      const key = w.slice(0, k).join(' ');
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const [key, n] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+    if (!key || n < need) break;
+    best = key;
+  }
+  return best;
+}
+
+const bodyOf = (text, header) => (header && text.startsWith(header) ? text.slice(header.length).replace(/^\s*\d+\s+/, '') : text);
+
+/* ───────────────── Headings ────────────────────────────────────── */
+// "ATTACHMENT – 7 DRAFT ARTICLES OF AGREEMENT", "ANNEXURE-C: Price/Financial
+// Bid format", or an upper-case heading at the top of the page
+function pageTitle(body) {
+  const head = body.slice(0, TITLE_WINDOW);
+  const label = head.match(LABEL_RE);
+  if (label) {
+    const rest = head.slice(label.index + label[0].length);
+    const caps = rest.match(CAPS_RUN_RE);
+    if (caps && /[A-Z]{3}/.test(caps[1])) return tidy(`${label[0]} ${caps[1]}`);
+    // A mixed-case title only when it names a form
+    const words = rest.replace(/^[\s:–—-]+/, '').split(/[(:.]/)[0].trim();
+    return tidy(words.split(' ').length <= 8 && FORM_NOUN_RE.test(words) ? `${label[0]}: ${words}` : label[0]);
+  }
+  const caps = head.match(CAPS_RUN_RE);
+  return caps && caps[1].split(/\s+/).length >= 2 && caps[1].replace(/[^A-Z]/g, '').length >= 8 ? tidy(caps[1]) : null;
+}
+
+const tidy = s => s.replace(/\s+/g, ' ').replace(/\s*:\s*:/, ':').replace(/[\s,.–—-]+$/, '').trim();
+
+/* ───────────────── Forms ───────────────────────────────────────── */
+const GAP_PAGES = 1;   // signal-less pages a form may run across
+
+/**
+ * pages: the package's page texts; files: combineFiles() file list
+ * → submittal-shaped items { item, page, pageEnd, pageVerified, reason, source }
+ */
+function findForms(pages, files = [{ firstPage: 1, numPages: pages.length }]) {
+  const header = runningHeader(pages);
+  const forms = [];
+  for (const f of files) {
+    let open = null;
+    const close = () => {
+      if (open && open.strong) {
+        const m = open.marks;
+        forms.push({
+          item: open.title || `Form on page ${open.page}`,
+          page: open.page,
+          pageEnd: open.last > open.page ? open.last : null,
+          modelPage: null,
+          pageVerified: true,
+          reason: `Fill-in form: ${[
+            m.blanks && `${m.blanks} blank${m.blanks > 1 ? 's' : ''}`,
+            m.leaders && `${m.leaders} dotted line${m.leaders > 1 ? 's' : ''}`,
+            m.checkboxes && `${m.checkboxes} checkbox${m.checkboxes > 1 ? 'es' : ''}`,
+            m.emptyFields && `${m.emptyFields} empty field${m.emptyFields > 1 ? 's' : ''}`,
+            m.signature && 'signature block'
+          ].filter(Boolean).join(', ')}`,
+          source: 'forms'
+        });
+      }
+      open = null;
+    };
+    for (let page = f.firstPage; page < f.firstPage + f.numPages; page++) {
+      const body = bodyOf(pages[page - 1] || '', header);
+      const marks = pageMarks(body);
+      const title = pageTitle(body);
+      const strong = isFormPage(marks);
+      const signal = marks.total > 0 || marks.signature;
+      // A heading starts a new form; more than GAP_PAGES plain pages end one
+      const gap = open ? page - open.last - 1 : 0;
+      if (open && (title || gap > GAP_PAGES || (!signal && gap >= GAP_PAGES))) close();
+      if (!open && !title && !marks.total) continue;
+      if (!open) open = { title, page, last: page, strong: false, marks: { blanks: 0, leaders: 0, checkboxes: 0, emptyFields: 0, signature: false } };
+      if (signal) open.last = page;
+      open.strong = open.strong || strong;
+      for (const k of Object.keys(MARK_RES)) open.marks[k] += marks[k];
+      open.marks.signature = open.marks.signature || marks.signature;
+    }
+    close();
+  }
+  return forms;
+}
+
+/* ───────────────── Checklist merge ─────────────────────────────── */
+const similarity = (a, b) => Math.max(pageScore(a, b), pageScore(b, a));
+const inRange = (page, form) => page != null && page >= form.page && page <= (form.pageEnd || form.page);
+
+// An LLM item names the form, or points into it and shares some words
+const sameForm = (s, form) => similarity(s.item, form.item) >= 0.8
+  || (inRange(s.page, form) && similarity(s.item, form.item) >= 0.3);
+
+function mergeForms(submittals, forms) {
+  const out = submittals.map(s => ({ ...s }));
+  for (const form of forms) {
+    const match = out.find(s => s.source !== 'forms' && !s.pageEnd && sameForm(s, form));
+    if (!match) {
+      out.push({ ...form });
+      continue;
+    }
+    Object.assign(match, {
+      page: form.page,
+      pageEnd: form.pageEnd,
+      pageVerified: true,
+      reason: [match.reason, form.reason].filter(Boolean).join('; ')
+    });
+  }
+  return out;
+}
+
+module.exports = { findForms, mergeForms, pageTitle, pageMarks };
@@ -0,0 +1,189 @@
+/**********************************************************************
+  Durable Job Queue (Mongo)
+  - Jobs survive restarts: interrupted 'running' jobs are re-queued
+  - JOB_CONCURRENCY workers per process claim jobs atomically; a
+    running job's lease is renewed until it finishes, so only jobs of
+    dead workers expire
+  - Transient LLM errors (429, quota, 5xx, network) retry with
+    exponential backoff up to JOB_MAX_ATTEMPTS; others fail at once
+**********************************************************************/
+
+const os = require('os');
+const mongoose = require('mongoose');
+
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 5;
+const BACKOFF_MS = Number(process.env.JOB_BACKOFF_MS) || 30000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+const LEASE_MS = Number(process.env.JOB_LEASE_MS) || 30 * 60 * 1000;
+const HEARTBEAT_MS = Math.min(60 * 1000, LEASE_MS / 3);
+const POLL_MS = 2000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const JobSchema = new mongoose.Schema({
+  contract: { type: mongoose.Schema.Types.ObjectId, ref: 'Contract', required: true },
+  kind: { type: String, default: 'extract' },
+  payload: mongoose.Schema.Types.Mixed,
+  status: { type: String, enum: ['queued', 'running', 'done', 'failed'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: MAX_ATTEMPTS },
+  runAfter: { type: Date, default: Date.now },
+  lockedBy: String,
+  lockedAt: Date,
+  lastError: String,
+  finishedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+}, { collection: 'jobs' });
+
+JobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+
+const Job = mongoose.model('Job', JobSchema);
+
+/* ───────────────── Error classification ────────────────────────── */
+const TRANSIENT = /\b(429|500|502|503|504)\b|quota|rate.?limit|resource.?exhausted|overloaded|unavailable|timed? ?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|fetch failed|socket hang up/i;
+
+const isTransient = err => !err.permanent && (
+  [429, 500, 502, 503, 504].includes(err.status) || TRANSIENT.test(err.message || '')
+);
+
+// Errors thrown with this flag are never retried (bad PDF, bad JSON, …)
+function permanentError(message) {
+  const e = new Error(message);
+  e.permanent = true;
+  return e;
+}
+
+const backoff = attempt => {
+  const base = Math.min(MAX_BACKOFF_MS, BACKOFF_MS * 2 ** (attempt - 1));
+  return base / 2 + Math.random() * base / 2;
+};
+
+/* ───────────────── Queue API ───────────────────────────────────── */
+const enqueue = (contract, payload = {}, kind = 'extract') =>
+  new Job({ contract, kind, payload }).save();
+
+// Claim the oldest runnable job; findOneAndUpdate keeps it atomic
+const claim = () => Job.findOneAndUpdate(
+  { status: 'queued', runAfter: { $lte: new Date() } },
+  { status: 'running', lockedBy: WORKER_ID, lockedAt: new Date(), $inc: { attempts: 1 } },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Is the worker process behind a lockedBy of this host still alive?
+function workerAlive(lockedBy) {
+  // Our own id before we have claimed anything: a previous process with the same pid
+  if (lockedBy === WORKER_ID) return false;
+  const pid = Number(lockedBy.slice(lockedBy.lastIndexOf(':') + 1));
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// Jobs left 'running' by a dead process (or with an expired lease) go back to the queue;
+// on startup the dead workers of this host are known without waiting for their lease
+async function recoverJobs({ onStartup = false } = {}) {
+  const expiry = new Date(Date.now() - LEASE_MS);
+  const filter = onStartup
+    ? { status: 'running', $or: [{ lockedBy: { $regex: `^${escapeRegex(os.hostname())}:` } }, { lockedAt: { $lt: expiry } }] }
+    : { status: 'running', lockedAt: { $lt: expiry } };
+  const candidates = (await Job.find(filter, { _id: 1, contract: 1, kind: 1, payload: 1, lockedBy: 1, lockedAt: 1 }))
+    .filter(j => j.lockedAt < expiry || !workerAlive(j.lockedBy || ''));
+  const stale = [];
+  for (const j of candidates) {
+    // Unless its worker renewed the lease in the meantime
+    const { modifiedCount } = await Job.updateOne(
+      { _id: j._id, status: 'running', lockedBy: j.lockedBy, lockedAt: j.lockedAt },
+      { status: 'queued', runAfter: new Date(), $unset: { lockedBy: 1, lockedAt: 1 } }
+    );
+    if (modifiedCount) stale.push(j);
+  }
+  return stale;
+}
+
+// Renews the lease while the job runs, so the sweep leaves it alone
+function heartbeat(job) {
+  const timer = setInterval(() => Job.updateOne({ _id: job._id, status: 'running', lockedBy: WORKER_ID }, { lockedAt: new Date() })
+    .catch(e => console.error(`❌ Job ${job._id} heartbeat failed:`, e.message)), HEARTBEAT_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// Final state of a job this worker still holds; null when its lease was lost
+// (the job was re-queued and may be running elsewhere)
+const release = (job, update) => Job.findOneAndUpdate(
+  { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+  { ...update, $unset: { lockedBy: 1, lockedAt: 1 } }
+);
+
+async function runJob(job, handlers) {
+  const stopHeartbeat = heartbeat(job);
+  let failure = null;
+  try {
+    await handlers.run(job);
+  } catch (e) {
+    failure = e;
+  } finally {
+    stopHeartbeat();
+  }
+
+  if (!failure) {
+    if (!await release(job, { status: 'done', finishedAt: new Date() })) console.warn(`⚠️  Job ${job._id} finished after losing its lease`);
+    return;
+  }
+  const e = failure;
+  const update = { lastError: e.message };
+  const retry = isTransient(e) && job.attempts < job.maxAttempts;
+  const delay = retry ? backoff(job.attempts) : 0;
+  Object.assign(update, retry
+    ? { status: 'queued', runAfter: new Date(Date.now() + delay) }
+    : { status: 'failed', finishedAt: new Date() });
+  // Another worker owns the job now; its outcome is the one that counts
+  if (!await release(job, update)) {
+    console.warn(`⚠️  Job ${job._id} lost its lease; ignoring its failure (${e.message})`);
+    return;
+  }
+  if (retry) {
+    console.warn(`⏳ Job ${job._id} attempt ${job.attempts} failed (${e.message}); retrying in ${Math.round(delay / 1000)}s`);
+    if (handlers.onRetry) await handlers.onRetry(job, e, delay);
+  } else if (handlers.onFail) {
+    await handlers.onFail(job, e);
+  }
+}
+
+/**
+ * Start the in-process workers.
+ * handlers.run(job) does the work and throws on error;
+ * handlers.onRetry / handlers.onFail keep the Contract status in step.
+ */
+function startWorkers(handlers, { concurrency = CONCURRENCY } = {}) {
+  let stopped = false;
+
+  const loop = async () => {
+    while (!stopped) {
+      let job;
+      try {
+        job = await claim();
+      } catch (e) {
+        console.error('❌ Job claim failed:', e.message);
+      }
+      if (!job) { await new Promise(res => setTimeout(res, POLL_MS)); continue; }
+      await runJob(job, handlers).catch(e => console.error(`❌ Job ${job._id} bookkeeping failed:`, e.message));
+    }
+  };
+  for (let i = 0; i < concurrency; i++) loop();
+
+  const sweep = setInterval(() => recoverJobs().catch(e => console.error('❌ Job sweep failed:', e.message)), LEASE_MS / 2);
+  sweep.unref();
+
+  console.log(`👷 ${concurrency} job worker(s) started (${WORKER_ID})`);
+  return () => { stopped = true; clearInterval(sweep); };
+}
+
+module.exports = { Job, enqueue, recoverJobs, startWorkers, isTransient, permanentError };
@@ -0,0 +1,110 @@
+/**********************************************************************
+  Monetary Field Normalizer
+  - parseAmount("Rs. 2,35,00,000/-" | "235 lakhs" | "₹2.35 Cr")
+    → { amount: 23500000, currency: 'INR', amounts, percent }
+  - findAmounts(text) → the same amounts with their positions
+  - Indian digit grouping, lakh / crore words and currency symbols
+  - normalizeMoneyFields(fields) stores the result as fields[k].money,
+    the original text stays in fields[k].value
+**********************************************************************/
+
+const { fieldValue, isEvidence } = require('./fields');
+
+const MONEY_FIELDS = ['EstimatedCost', 'TenderDocumentCost', 'EMD', 'TenderSecurity'];
+
+const SCALES = [
+  [/^(crores?|crs?\.?)$/i, 1e7],
+  [/^(lakhs?|lacs?|lkhs?)$/i, 1e5],
+  [/^(millions?|mn)$/i, 1e6],
+  [/^(billions?|bn)$/i, 1e9],
+  [/^(thousands?)$/i, 1e3],
+];
+
+const CURRENCIES = [
+  [/^(₹|rs\.?|inr|rupees?)$/i, 'INR'],
+  [/^(\$|usd|us\$)$/i, 'USD'],
+  [/^(€|eur|euros?)$/i, 'EUR'],
+];
+
+// currency?  number (1,23,456.78 or 123.4)  scale?
+const AMOUNT_RE = /(₹|\brs\.?|\binr\b|\brupees?\b|us\$|\$|\busd\b|€|\beur\b)?\s*(\d{1,3}(?:,\d{2,3})+(?:\.\d+)?|\d+(?:\.\d+)?)\s*(crores?\b|crs?\b\.?|lakhs?\b|lacs?\b|lkhs?\b|millions?\b|mn\b|billions?\b|bn\b|thousands?\b)?/gi;
+const PERCENT_RE = /(\d+(?:\.\d+)?)\s*(?:%|per\s*cent|percent)/i;
+
+const lookup = (table, token) => {
+  const hit = token && table.find(([re]) => re.test(token.trim()));
+  return hit ? hit[1] : null;
+};
+
+// Every amount in the text with its position: [{ amount, currency, text, index, end }]
+function findAmounts(text) {
+  const out = [];
+  for (const m of String(text).matchAll(AMOUNT_RE)) {
+    const [, cur, num, scaleWord] = m;
+    const currency = lookup(CURRENCIES, cur);
+    const scale = lookup(SCALES, scaleWord);
+    // A bare number (clause 3.1, year 2018) is not money; grouped digits are
+    if (!currency && !scale && !num.includes(',')) continue;
+    const amount = Math.round(Number(num.replace(/,/g, '')) * (scale || 1) * 100) / 100;
+    if (!amount) continue;
+    const lead = m[0].length - m[0].trimStart().length;
+    out.push({ amount, currency: currency || 'INR', text: m[0].trim(), index: m.index + lead, end: m.index + m[0].trimEnd().length });
+  }
+  return out;
+}
+
+function parseAmount(text) {
+  if (text == null) return null;
+  const str = String(text);
+  const amounts = [];
+
+  for (const a of findAmounts(str)) {
+    if (!amounts.some(x => x.amount === a.amount)) amounts.push({ amount: a.amount, currency: a.currency, text: a.text });
+  }
+
+  const pct = PERCENT_RE.exec(str);
+  const percent = pct ? Number(pct[1]) : null;
+  if (!amounts.length && percent == null) return null;
+
+  return {
+    amount: amounts.length ? amounts[0].amount : null,
+    currency: amounts.length ? amounts[0].currency : null,
+    amounts,
+    percent,
+  };
+}
+
+// keys: the money-typed fields of the extraction template
+function normalizeMoneyFields(fields, keys = MONEY_FIELDS) {
+  for (const k of keys) {
+    if (!isEvidence(fields[k])) continue;
+    fields[k].money = parseAmount(fieldValue(fields[k]));
+  }
+  return fields;
+}
+
+/* ───────────────── Sanity checks ───────────────────────────────── */
+const amountOf = (fields, k) => (isEvidence(fields[k]) && fields[k].money && fields[k].money.amount) || null;
+
+// Rules of thumb for Indian works tenders; warnings, not errors
+function moneyChecks(fields = {}) {
+  const warnings = [];
+  const est = amountOf(fields, 'EstimatedCost');
+  const emd = amountOf(fields, 'EMD');
+  const docCost = amountOf(fields, 'TenderDocumentCost');
+  const security = amountOf(fields, 'TenderSecurity');
+
+  if (est && emd) {
+    const ratio = emd / est * 100;
+    if (emd > est) warnings.push('EMD exceeds the estimated cost');
+    else if (ratio < 0.1 || ratio > 5) warnings.push(`EMD is ${ratio.toFixed(2)}% of the estimated cost (usually 0.5–2%)`);
+  }
+  if (est && security && security > est) warnings.push('Tender security exceeds the estimated cost');
+  if (emd && docCost && docCost > emd) warnings.push('Tender document cost exceeds the EMD');
+  for (const k of MONEY_FIELDS) {
+    const f = fields[k];
+    if (isEvidence(f) && f.value && !f.money) warnings.push(`${k} has text but no amount could be parsed`);
+  }
+  return warnings;
+}
+
+module.exports = { MONEY_FIELDS, findAmounts, parseAmount, normalizeMoneyFields, moneyChecks };
@@ -0,0 +1,100 @@
+/**********************************************************************
+  OCR Fallback for Scanned PDFs
+  - readPdf(buffer) → extractPages() plus OCR of every page whose text
+    layer has fewer than OCR_MIN_CHARS characters
+  - Those pages are rendered with pdf.js (@napi-rs/canvas) in a worker
+    thread and read by tesseract.js; the recognised text replaces the
+    page text, so chunking, quote checks and rules work on it as usual
+  - ocr: [{ page, confidence, chars }] records which pages were OCR'd
+    and how sure tesseract was (0–100)
+  - OCR=off disables it; OCR_LANG / OCR_LANG_PATH for other languages
+    (English traineddata ships with the app, others are downloaded)
+**********************************************************************/
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { createWorker } = require('tesseract.js');
+const { extractPages, preprocess } = require('./pdfText');
+
+const OCR_ENABLED = process.env.OCR !== 'off';
+const OCR_MIN_CHARS = Number(process.env.OCR_MIN_CHARS) || 50;
+const OCR_MAX_PAGES = Number(process.env.OCR_MAX_PAGES) || 100;   // ~10 s a page on one core
+const OCR_SCALE = Number(process.env.OCR_SCALE) || 2;              // 144 dpi
+const OCR_LANG = process.env.OCR_LANG || 'eng';
+
+// Blank and image-only pages
+const needsOcr = text => (text || '').replace(/\s/g, '').length < OCR_MIN_CHARS;
+
+/* ───────────────── Rendering ───────────────────────────────────── */
+// Pages are rendered in a worker thread (ocrRender.js), so a long OCR
+// job does not stall the API or the job queue's lease renewals
+function pageRenderer(buffer) {
+  const worker = new Worker(path.join(__dirname, 'ocrRender.js'), { workerData: { buffer, scale: OCR_SCALE } });
+  const waiting = new Map();
+  // Why the worker is gone: the first error wins, later renders fail at once
+  let stopped = null;
+  const stop = e => {
+    stopped = stopped || e;
+    for (const w of waiting.values()) w.reject(stopped);
+    waiting.clear();
+  };
+  worker.on('message', ({ page, png, error }) => {
+    const w = waiting.get(page);
+    waiting.delete(page);
+    if (w) error ? w.reject(new Error(error)) : w.resolve(Buffer.from(png));
+  });
+  worker.on('error', stop);
+  worker.on('exit', () => stop(new Error('PDF renderer stopped')));
+  return {
+    render: n => stopped ? Promise.reject(stopped) : new Promise((resolve, reject) => {
+      waiting.set(n, { resolve, reject });
+      worker.postMessage({ page: n });
+    }),
+    close: () => worker.terminate(),
+  };
+}
+
+/* ───────────────── Recognition ─────────────────────────────────── */
+const workerOptions = () => ({
+  langPath: process.env.OCR_LANG_PATH || (OCR_LANG === 'eng' ? require('@tesseract.js-data/eng').langPath : undefined),
+  // Keep the traineddata out of the working directory
+  cacheMethod: 'none',
+});
+
+/**
+ * → { numPages, pages, ocr: [{ page, confidence, chars, error? }] }
+ * pages are 1-based within this PDF
+ */
+async function readPdf(buffer) {
+  const { numPages, pages } = await extractPages(buffer);
+  const todo = OCR_ENABLED ? pages.map((t, i) => i + 1).filter(n => needsOcr(pages[n - 1])) : [];
+  if (!todo.length) return { numPages, pages, ocr: [] };
+  if (todo.length > OCR_MAX_PAGES) {
+    console.warn(`⚠️  ${todo.length} pages without text; only the first ${OCR_MAX_PAGES} are OCR'd (OCR_MAX_PAGES)`);
+  }
+
+  const worker = await createWorker(OCR_LANG, 1, workerOptions());
+  const renderer = pageRenderer(buffer);
+  const ocr = [];
+  try {
+    for (const n of todo.slice(0, OCR_MAX_PAGES)) {
+      const started = Date.now();
+      try {
+        const { data } = await worker.recognize(await renderer.render(n));
+        // Keep whatever text layer there was when OCR finds less
+        const text = preprocess(data.text || '');
+        if (text.length > pages[n - 1].length) pages[n - 1] = text;
+        ocr.push({ page: n, confidence: Math.round(data.confidence), chars: text.length });
+      } catch (e) {
+        ocr.push({ page: n, confidence: 0, chars: 0, error: e.message });
+      }
+      console.log(`🔍 OCR page ${n}/${numPages}: ${ocr[ocr.length - 1].confidence}% (${Date.now() - started} ms)`);
+    }
+  } finally {
+    await worker.terminate();
+    await renderer.close();
+  }
+  return { numPages, pages, ocr };
+}
+
+module.exports = { OCR_ENABLED, needsOcr, pageRenderer, readPdf };
@@ -0,0 +1,33 @@
+/**********************************************************************
+  OCR Page Rendering (worker thread)
+  - pdf.js rendering is CPU-bound, so ocr.js runs it here instead of
+    on the API's event loop; tesseract.js has worker threads of its own
+  - workerData: { buffer, scale }; messages in: { page }, out:
+    { page, png } or { page, error }
+**********************************************************************/
+
+const { parentPort, workerData } = require('worker_threads');
+const { createCanvas } = require('@napi-rs/canvas');
+const { openPdf } = require('./pdfText');
+
+const opened = openPdf(workerData.buffer);
+
+async function renderPage(doc, n) {
+  const page = await doc.getPage(n);
+  try {
+    const viewport = page.getViewport({ scale: workerData.scale });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport, canvas }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    page.cleanup();
+  }
+}
+
+parentPort.on('message', async ({ page }) => {
+  try {
+    parentPort.postMessage({ page, png: await renderPage(await opened, page) });
+  } catch (e) {
+    parentPort.postMessage({ page, error: e.message });
+  }
+});
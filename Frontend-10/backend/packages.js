@@ -0,0 +1,50 @@
+/**********************************************************************
+  Tender Packages
+  - A tender usually arrives as several PDFs (NIT, ITB, GCC, SCC, BOQ,
+    forms); all of them go into one Contract
+  - Their pages are numbered one after another into a single page
+    list, so chunking, quote checks and merging work as for one PDF
+  - files[] keeps each PDF's page range; locate() turns a package page
+    back into { file, filePage } for fields and submittals
+**********************************************************************/
+
+const { isEvidence } = require('./fields');
+
+const MAX_PACKAGE_FILES = Number(process.env.MAX_PACKAGE_FILES) || 20;
+
+/**
+ * extracted: [{ name, numPages, pages }] in upload order
+ * → { pages, files: [{ name, numPages, firstPage }] }
+ */
+function combineFiles(extracted) {
+  const pages = [];
+  const files = extracted.map(f => {
+    const entry = { name: f.name, numPages: f.pages.length, firstPage: pages.length + 1 };
+    pages.push(...f.pages);
+    return entry;
+  });
+  return { pages, files };
+}
+
+// Package page → the file it belongs to and its page number in that file
+function locate(files, page) {
+  if (page == null || !files || !files.length) return { file: null, filePage: null };
+  const f = files.find(x => page >= x.firstPage && page < x.firstPage + x.numPages);
+  return f ? { file: f.name, filePage: page - f.firstPage + 1 } : { file: null, filePage: null };
+}
+
+// Adds file / filePage next to every page reference (fields, conflicts, submittals)
+function withProvenance(fields, submittals, files) {
+  for (const f of Object.values(fields)) {
+    if (!isEvidence(f)) continue;
+    Object.assign(f, locate(files, f.page));
+    (f.conflicts || []).forEach(c => Object.assign(c, locate(files, c.page)));
+  }
+  submittals.forEach(s => Object.assign(s, locate(files, s.page), s.pageEnd && { filePageEnd: locate(files, s.pageEnd).filePage }));
+  return { fields, submittals };
+}
+
+// "NIT.pdf" for one file, "NIT.pdf + 4 more" for a package
+const packageName = names => (names.length > 1 ? `${names[0]} + ${names.length - 1} more` : names[0]);
+
+module.exports = { MAX_PACKAGE_FILES, combineFiles, locate, withProvenance, packageName };
@@ -0,0 +1,102 @@
+/**********************************************************************
+  Page-aware PDF Text
+  - extractPages(buffer) → per-page text instead of one flattened blob
+  - withPageMarkers(pages) → prompt text with explicit [[PAGE n]] markers
+  - verifyPage(item, page, pages) → checks a model-reported page number
+    against the stored page text (relocates or clears it if wrong)
+  - findQuote(quote, page, pages) → locates a verbatim evidence quote
+  - openPdf(buffer) → a pdf.js document, for work that needs the page
+    layout (OCR rendering, BOQ tables)
+**********************************************************************/
+
+const path = require('path');
+const pdf = require('pdf-parse');
+
+const preprocess = txt => txt.replace(/\s+/g, ' ').replace(/[\u00A0]/g, ' ').trim();
+
+// Same line-joining as pdf-parse's default renderer, but keeps pages apart
+async function extractPages(pdfBuffer) {
+  const pages = [];
+  // A copy of its own: the old pdf.js in pdf-parse reads past the view into
+  // the rest of its ArrayBuffer, which for a small Buffer is Node's shared pool
+  const parsed = await pdf(new Uint8Array(pdfBuffer), {
+    pagerender: pageData => pageData.getTextContent().then(content => {
+      let lastY, text = '';
+      for (const item of content.items) {
+        text += (lastY == item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = preprocess(text);
+      return text;
+    }),
+  });
+  // Pages pdf.js failed to render come back as undefined holes
+  return { numPages: parsed.numpages, pages: Array.from(pages, p => p || '') };
+}
+
+/* ───────────────── Layout (pdf.js) ────────────────────────────── */
+// pdfjs-dist is ESM only
+let pdfjs;
+const loadPdfjs = () => (pdfjs = pdfjs || import('pdfjs-dist/legacy/build/pdf.mjs'));
+const STANDARD_FONTS = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/');
+
+// The caller destroys the document when done
+async function openPdf(buffer) {
+  const { getDocument } = await loadPdfjs();
+  // A copy: pdf.js detaches the array it is given
+  return getDocument({ data: new Uint8Array(buffer), verbosity: 0, standardFontDataUrl: STANDARD_FONTS }).promise;
+}
+
+const withPageMarkers = pages => pages
+  .map((t, i) => `[[PAGE ${i + 1}]] ${t}`)
+  .join('\n');
+
+/* ───────────────── Page verification ───────────────────────────── */
+const PAGE_MATCH_THRESHOLD = 0.6;
+
+const normalize = s => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Whole words only: "form" is not in "performance"
+const pageWords = text => new Set(normalize(text).split(' '));
+const hasWord = (set, w) => set.has(w) || set.has(`${w}s`) || (w.endsWith('s') && set.has(w.slice(0, -1)));
+
+// Share of the item's significant words that occur on the page
+function pageScore(item, pageText) {
+  const words = [...new Set(normalize(item).split(' ').filter(w => w.length >= 4))];
+  if (!words.length) return 0;
+  const hay = pageWords(pageText);
+  return words.filter(w => hasWord(hay, w)).length / words.length;
+}
+
+function verifyPage(item, page, pages) {
+  const claimed = Number.isInteger(page) && page >= 1 && page <= pages.length ? page : null;
+  if (claimed && pageScore(item, pages[claimed - 1]) >= PAGE_MATCH_THRESHOLD) {
+    return { page: claimed, pageVerified: true };
+  }
+
+  // Best-scoring page wins; ties go to the page closest to the claimed one
+  let best = null;
+  pages.forEach((text, i) => {
+    const score = pageScore(item, text);
+    if (score < PAGE_MATCH_THRESHOLD) return;
+    const distance = claimed ? Math.abs(claimed - (i + 1)) : i;
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { page: i + 1, score, distance };
+    }
+  });
+  return best ? { page: best.page, pageVerified: true } : { page: null, pageVerified: false };
+}
+
+/* ───────────────── Quote verification ──────────────────────────── */
+// Case, punctuation and whitespace differences are tolerated; wording is not
+function findQuote(quote, page, pages) {
+  const needle = normalize(quote);
+  if (!needle) return { page: null, found: false };
+  const claimed = Number.isInteger(page) && page >= 1 && page <= pages.length ? page : null;
+  if (claimed && normalize(pages[claimed - 1]).includes(needle)) return { page: claimed, found: true };
+
+  const idx = pages.findIndex(t => normalize(t).includes(needle));
+  return idx === -1 ? { page: claimed, found: false } : { page: idx + 1, found: true };
+}
+
+module.exports = { preprocess, extractPages, openPdf, withPageMarkers, verifyPage, pageScore, findQuote };
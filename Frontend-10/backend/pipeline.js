@@ -0,0 +1,179 @@
+/**********************************************************************
+  Extraction Pipeline
+  - Prompts, schema-checked LLM calls and the chunk map/reduce that
+    turn PDFs into fields, submittals and calendar events
+  - Nothing here touches the database: the server stores the result
+    as a run, the evaluation harness (evaluate.js) scores it
+  - The rule-based pre-extractor (rules.js) runs first; with the
+    offline "rules" provider it is the whole extraction
+  - Scanned pages go through OCR (ocr.js) before any of this
+  - Fill-in forms are found by scanning the pages (forms.js), not by
+    the LLM, and merged into the submittals with their page ranges
+**********************************************************************/
+
+const { verifyPage } = require('./pdfText');
+const { readPdf } = require('./ocr');
+const { chunkPages, mergeFields, mergeSubmittals } = require('./chunking');
+const { permanentError } = require('./jobs');
+const { generateJson, fieldSchema, SUBMITTAL_SCHEMA } = require('./structured');
+const { verifyFields } = require('./fields');
+const { normalizeMoneyFields } = require('./money');
+const { parseImportantDates } = require('./calendar');
+const { DEFAULT_FIELDS } = require('./templates');
+const { combineFiles, withProvenance } = require('./packages');
+const { tracedProvider } = require('./runs');
+const { RULES_MODE, ruleExtract, combineWithRules, hintsFor } = require('./rules');
+const { findForms, mergeForms } = require('./forms');
+
+/* ───────────────── Helpers & Prompts ───────────────────────────── */
+// fields: the template's field definitions; descriptions guide the model
+// hints: rule-based values on this chunk's pages (RULES_MODE=confirm)
+const buildPrompt = (name, txt, fields = DEFAULT_FIELDS, hints = {}) => `
+You are an expert construction-contract analyst.
+Task: extract the following fields. Return *strict* JSON. If a field is NOT explicitly present, output null as its value.
+For every field also give the page (number in the nearest preceding [[PAGE n]] marker) and a short
+quote copied verbatim from the document that states the value. Never paraphrase the quote.
+interface Evidence{ value:string|null; page:number|null; quote:string|null; }
+interface ContractInfo{
+${fields.map(f => `  ${f.key}:Evidence;${f.description || f.type !== 'text' ? ` // ${[f.label, f.description !== f.label && f.description, f.type !== 'text' && `(${f.type})`].filter(Boolean).join(' – ')}` : ''}`).join('\n')}
+}
+${Object.keys(hints).length ? `Pattern matching found these values; confirm each one from the document, correct it, or return null:
+${Object.entries(hints).map(([k, h]) => `• ${k}: ${JSON.stringify(h.value)} (page ${h.page})`).join('\n')}
+` : ''}Document «${name}»: <<<${txt}>>>`;
+
+const submittalPrompt = (name, txt) => `
+You are an expert bid-document reviewer.
+GOAL: return an array called "submittals".  
+Include every document / certificate / schedule / form that the bidder
+must submit with the bid.
+
+Return STRICT JSON:
+interface Submittal {
+  item:  string;
+  page:  number | null;
+  reason?: string;
+}
+interface Response { submittals: Submittal[] }
+
+RULES
+• The array may be empty if the PDF does not specify submittals.
+• "page" is the number in the nearest [[PAGE n]] marker before the item.
+• If page number cannot be found, use null.
+• Never invent items. Only what is explicitly in the document.
+DOCUMENT «${name}»: <<<${txt}>>>`;
+
+// Part of every run's prompt version
+const PROMPTS = [buildPrompt, submittalPrompt];
+
+/* ───────────────── Extraction ──────────────────────────────────── */
+// Schema-checked LLM calls; failed attempts and every raw answer are logged
+function schemaCalls(llm) {
+  const trace = tracedProvider(llm);
+  const log = { repairRetries: 0, validation: [], calls: trace.calls };
+  const ask = async (stage, chunk, prompt, schema, opts) => {
+    trace.setContext({ stage, chunk });
+    try {
+      const r = await generateJson(trace.provider, prompt, schema, opts);
+      log.repairRetries += r.retries;
+      log.validation.push(...r.errors.map(x => ({ stage, chunk, ...x })));
+      return r.data;
+    } catch (e) {
+      if (e.validation) {
+        e.repairRetries = log.repairRetries + e.validation.length - 1;
+        e.validation = [...log.validation, ...e.validation.map(x => ({ stage, chunk, ...x }))];
+      }
+      throw e;
+    }
+  };
+  return { ask, log };
+}
+
+const fieldsOfType = (templateFields, type) => templateFields.filter(f => f.type === type).map(f => f.key);
+
+// Model-reported submittals with their page checked against the text;
+// firstPage as for verifyFields()
+const checkedSubmittals = (list, pages, firstPage = 1) => list.map(x => {
+  const modelPage = x.page == null ? null : Number(x.page);
+  // Only keep page numbers the stored page text backs up
+  const { page, pageVerified } = verifyPage(x.item, modelPage == null ? null : modelPage - firstPage + 1, pages);
+  return {
+    item: x.item || '',
+    modelPage,
+    page: page == null ? null : page + firstPage - 1,
+    pageVerified,
+    reason: x.reason || ''
+  };
+});
+
+// How the rule-based values are used with this provider
+const rulesMode = llm => (llm.mode === 'offline' ? 'only' : RULES_MODE);
+
+// Map/reduce over the PDFs; returns the parsed output without saving it
+// files: [{ name, buffer }] or, when re-running, [{ name, pages }]
+// rules: 'fallback' | 'confirm' | 'only' (no LLM calls at all)
+async function extractContract(docId, files, pdfName, ask, templateFields = DEFAULT_FIELDS, { rules = RULES_MODE } = {}) {
+  const extracted = [];
+  for (const f of files) extracted.push({ name: f.name, ...(f.pages ? { pages: f.pages } : await readPdf(f.buffer)) });
+  const { pages, files: fileInfo } = combineFiles(extracted);
+  // OCR'd pages, numbered like the package
+  const ocr = extracted.flatMap((e, j) => (e.ocr || []).map(o => ({
+    ...o, page: fileInfo[j].firstPage + o.page - 1, file: e.name, filePage: o.page
+  })));
+
+  if (!pages.some(Boolean)) throw permanentError(ocr.length ? 'No text found in the PDF, not even by OCR' : 'Empty or non-text PDF');
+
+  const keys = templateFields.map(f => f.key);
+  // Deterministic values first: they fill gaps the LLM leaves, or are
+  // all there is when no LLM is used
+  const found = ruleExtract(pages, keys);
+
+  // Map: every chunk gets the same two prompts; page numbers stay global
+  // across the package and no chunk spans two files
+  const chunks = rules === 'only' ? [] : fileInfo.flatMap((f, j) => chunkPages(extracted[j].pages, undefined, f.firstPage)
+    .map(text => ({ file: f.name, text })));
+  const fieldSchemaForTemplate = fieldSchema(keys);
+  const fieldResults = [];
+  const submittalResults = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const label = files.length > 1 ? `${pdfName} – ${chunks[i].file}` : pdfName;
+    const name = chunks.length === 1 ? label : `${label} (part ${i + 1} of ${chunks.length})`;
+    if (chunks.length > 1) console.log(`📋 ${docId}: chunk ${i + 1}/${chunks.length}`);
+
+    // Process submittals first; the provider's rate limiter spaces the calls
+    const submittalsData = await ask('submittals', i + 1,
+      submittalPrompt(name, chunks[i].text), SUBMITTAL_SCHEMA,
+      { temperature: 0.1, maxOutputTokens: 1024 }
+    );
+
+    // Process fields
+    const fieldsData = await ask('fields', i + 1,
+      buildPrompt(name, chunks[i].text, templateFields, rules === 'confirm' ? hintsFor(found, chunks[i].text) : {}), fieldSchemaForTemplate,
+      { temperature: 0.1, maxOutputTokens: 4096 }
+    );
+
+    // Missing keys come back as null values; unsupported quotes are flagged
+    fieldResults.push(verifyFields(fieldsData, keys, pages));
+
+    submittalResults.push(checkedSubmittals(submittalsData.submittals, pages));
+  }
+
+  // Reduce: one value per field (conflicts noted), de-duplicated submittals
+  const fields = normalizeMoneyFields(combineWithRules(mergeFields(fieldResults, keys), found), fieldsOfType(templateFields, 'money'));
+  // Calendar events come from the first date field (ImportantDates by default)
+  const dates = fields[fieldsOfType(templateFields, 'date')[0]];
+  const submittals = mergeForms(mergeSubmittals(submittalResults), findForms(pages, fileInfo));
+  withProvenance(fields, submittals, fileInfo);
+  return {
+    fields,
+    submittals,
+    calendar: dates ? parseImportantDates(dates.value, pages, { fallbackPage: dates.page }) : [],
+    fileInfo,
+    pages,
+    ocr,
+    chunks: chunks.length
+  };
+}
+
+module.exports = {
+  buildPrompt, submittalPrompt, PROMPTS, schemaCalls, fieldsOfType, checkedSubmittals, rulesMode, extractContract
+};
@@ -0,0 +1,169 @@
+/**********************************************************************
+  LLM Provider Layer
+  - One interface for Gemini, OpenAI and OpenAI-compatible endpoints
+    (Ollama, LM Studio, vLLM …)
+  - provider.generate(prompt, { system, temperature, maxOutputTokens })
+    resolves to the raw response text
+  - Default chosen per deployment (.env), overridable per request
+  - LLM_FIXTURES=record|replay stores / replays responses as JSON
+    fixtures keyed by a hash of the prompt (offline, deterministic runs)
+  - Live calls go through the shared rate limiter (rateLimit.js)
+  - provider "rules" makes no LLM calls at all: the rule-based
+    extractor (rules.js) fills what it can (fully offline mode)
+**********************************************************************/
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const OpenAI = require('openai');
+const { withRateLimit } = require('./rateLimit');
+const { rulesProvider } = require('./rules');
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash',
+  openai: 'gpt-4o-mini',
+  'openai-compatible': 'llama3.1',
+};
+
+/* ───────────────── Adapters ────────────────────────────────────── */
+function geminiProvider({ model, apiKey }) {
+  if (!apiKey) throw new Error('GEMINI_API_KEY missing for provider "gemini"');
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const client = genAI.getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    mode: 'live',
+    async generate(prompt, { system, temperature = 0.1, maxOutputTokens = 2048 } = {}) {
+      // This SDK version has no systemInstruction, so the system text leads the prompt
+      const text = system ? `${system}\n\n${prompt}` : prompt;
+      const r = await client.generateContent({
+        contents: [{ role: 'user', parts: [{ text }] }],
+        generationConfig: { temperature, maxOutputTokens },
+      });
+      return r.response.text();
+    },
+  };
+}
+
+function openaiProvider({ name = 'openai', model, apiKey, baseURL }) {
+  if (!apiKey && !baseURL) throw new Error('OPENAI_API_KEY missing for provider "openai"');
+  // Local servers usually ignore the key, but the SDK insists on one.
+  // No SDK retries: rateLimit.js retries 429s against the shared bucket
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, timeout: 120000, maxRetries: 0 });
+
+  return {
+    name,
+    model,
+    mode: 'live',
+    async generate(prompt, { system, temperature = 0.1, maxOutputTokens = 2048 } = {}) {
+      const messages = system ? [{ role: 'system', content: system }] : [];
+      messages.push({ role: 'user', content: prompt });
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxOutputTokens,
+      });
+      return (completion.choices[0].message.content || '').trim();
+    },
+  };
+}
+
+const ADAPTERS = {
+  gemini: opts => geminiProvider({ ...opts, apiKey: opts.apiKey || process.env.GEMINI_API_KEY }),
+  openai: opts => openaiProvider({
+    ...opts,
+    apiKey: opts.apiKey || process.env.OPENAI_API_KEY,
+    baseURL: opts.baseURL || process.env.OPENAI_BASE_URL,
+  }),
+  'openai-compatible': opts => openaiProvider({
+    ...opts,
+    name: 'openai-compatible',
+    apiKey: opts.apiKey || process.env.LLM_API_KEY,
+    baseURL: opts.baseURL || process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+  }),
+};
+
+/* ───────────────── Record / Replay ─────────────────────────────── */
+const fixtureMode = () => process.env.LLM_FIXTURES || 'off';
+const fixtureDir = () => process.env.LLM_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'llm');
+
+// Provider and model are not part of the key, so one recording serves any of them
+const promptHash = (prompt, system) => crypto.createHash('sha256')
+  .update(system ? `${system}\n\n${prompt}` : prompt)
+  .digest('hex');
+
+function replayProvider({ name, model }) {
+  return {
+    name,
+    model,
+    mode: 'replay',
+    async generate(prompt, { system } = {}) {
+      const hash = promptHash(prompt, system);
+      let raw;
+      try {
+        raw = await fs.readFile(path.join(fixtureDir(), `${hash}.json`), 'utf8');
+      } catch {
+        throw new Error(`No LLM fixture for prompt ${hash.slice(0, 12)}… (record one with LLM_FIXTURES=record)`);
+      }
+      return JSON.parse(raw).response;
+    },
+  };
+}
+
+function recordingProvider(live) {
+  return {
+    ...live,
+    mode: 'record',
+    async generate(prompt, opts = {}) {
+      const response = await live.generate(prompt, opts);
+      const hash = promptHash(prompt, opts.system);
+      await fs.mkdir(fixtureDir(), { recursive: true });
+      await fs.writeFile(path.join(fixtureDir(), `${hash}.json`), JSON.stringify({
+        hash,
+        provider: live.name,
+        model: live.model,
+        recordedAt: new Date().toISOString(),
+        options: opts,
+        prompt,
+        response,
+      }, null, 2));
+      return response;
+    },
+  };
+}
+
+/* ───────────────── Registry ────────────────────────────────────── */
+const cache = new Map();
+
+// Deployment default: LLM_PROVIDER / LLM_MODEL in .env, Gemini otherwise
+const defaultProviderName = () => process.env.LLM_PROVIDER || 'gemini';
+
+function getProvider({ provider, model } = {}) {
+  const name = provider || defaultProviderName();
+  // Nothing to record, replay or rate-limit
+  if (name === rulesProvider.name) return rulesProvider;
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown LLM provider "${name}" (use one of: ${listProviders().join(', ')})`);
+  }
+  const resolvedModel = model
+    || (name === defaultProviderName() && process.env.LLM_MODEL)
+    || DEFAULT_MODELS[name];
+
+  const mode = fixtureMode();
+  const key = `${mode}:${name}:${resolvedModel}`;
+  if (!cache.has(key)) {
+    // Replay never touches the real adapter, so no API key is needed
+    if (mode === 'replay') cache.set(key, replayProvider({ name, model: resolvedModel }));
+    else if (mode === 'record') cache.set(key, recordingProvider(withRateLimit(ADAPTERS[name]({ model: resolvedModel }))));
+    else cache.set(key, withRateLimit(ADAPTERS[name]({ model: resolvedModel })));
+  }
+  return cache.get(key);
+}
+
+const listProviders = () => [...Object.keys(ADAPTERS), rulesProvider.name];
+
+module.exports = { getProvider, listProviders, promptHash, DEFAULT_MODELS };
@@ -0,0 +1,129 @@
+/**********************************************************************
+  Provider-aware Rate Limiter
+  - One token bucket pair (requests/min, tokens/min) per provider:model,
+    shared by every job in this process; callers wait in FIFO order
+  - 429 / quota errors pause the bucket (Retry-After when given) and
+    the call is retried a few times before the error is passed on
+  - Limits: built-in defaults, overridden by LLM_LIMITS, e.g.
+    LLM_LIMITS={"gemini":{"rpm":15},"openai:gpt-4o":{"rpm":500,"tpm":30000}}
+**********************************************************************/
+
+const DEFAULT_LIMITS = {
+  gemini: { rpm: 10, tpm: 250000 },
+  openai: { rpm: 500, tpm: 200000 },
+  'openai-compatible': { rpm: 60, tpm: Infinity },
+};
+const RATE_LIMIT_RETRIES = Number(process.env.LLM_RATE_LIMIT_RETRIES) || 3;
+
+let overrides = {};
+try {
+  overrides = JSON.parse(process.env.LLM_LIMITS || '{}');
+} catch (e) {
+  console.error('⚠️  LLM_LIMITS is not valid JSON, using defaults:', e.message);
+}
+
+const limitsFor = (name, model) => ({
+  ...(DEFAULT_LIMITS[name] || { rpm: 60, tpm: Infinity }),
+  ...overrides[name],
+  ...overrides[`${name}:${model}`],
+});
+
+// ~4 characters per token, plus the output budget the call may use
+const estimateTokens = (prompt, { system = '', maxOutputTokens = 2048 } = {}) =>
+  Math.ceil((prompt.length + system.length) / 4) + maxOutputTokens;
+
+/* ───────────────── Token bucket ────────────────────────────────── */
+function createLimiter({ rpm, tpm }) {
+  let requests = rpm, tokens = tpm, last = Date.now(), pausedUntil = 0, timer = null;
+  const queue = [];
+
+  // An unlimited budget stays Infinity: Infinity × 0 ms would be NaN
+  const topUp = (have, limit, ms) => (limit === Infinity ? Infinity : Math.min(limit, have + ms * limit / 60000));
+  const refill = () => {
+    const now = Date.now();
+    requests = topUp(requests, rpm, now - last);
+    tokens = topUp(tokens, tpm, now - last);
+    last = now;
+  };
+
+  const wake = ms => { timer = setTimeout(pump, Math.max(ms, 10)); };
+
+  function pump() {
+    timer = null;
+    refill();
+    while (queue.length) {
+      if (Date.now() < pausedUntil) return wake(pausedUntil - Date.now());
+      // A single call larger than the whole minute budget waits for a full bucket
+      const cost = Math.min(queue[0].cost, tpm);
+      if (requests >= 1 && tokens >= cost) {
+        requests -= 1; tokens -= cost;
+        queue.shift().resolve();
+        continue;
+      }
+      return wake(Math.max(
+        requests >= 1 ? 0 : (1 - requests) * 60000 / rpm,
+        tokens >= cost ? 0 : (cost - tokens) * 60000 / tpm
+      ));
+    }
+  }
+
+  return {
+    acquire(cost) {
+      return new Promise(resolve => {
+        queue.push({ cost, resolve });
+        if (!timer) pump();
+      });
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+      requests = 0;
+      if (timer) clearTimeout(timer);
+      wake(pausedUntil - Date.now());
+    },
+    stats: () => ({ rpm, tpm, queued: queue.length, pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil) : null }),
+  };
+}
+
+/* ───────────────── Provider wrapper ────────────────────────────── */
+const isRateLimit = e => e.status === 429 || /\b429\b|quota|rate.?limit|resource.?exhausted/i.test(e.message || '');
+
+// Gemini puts "retryDelay":"31s" in the message; OpenAI sends a Retry-After header
+function retryAfterMs(e) {
+  const header = e.headers && (typeof e.headers.get === 'function' ? e.headers.get('retry-after') : e.headers['retry-after']);
+  if (header && !isNaN(header)) return Number(header) * 1000;
+  const m = /retry(?:Delay"?:\s*"?| in )(\d+(?:\.\d+)?)s/i.exec(e.message || '');
+  return m ? Math.ceil(Number(m[1]) * 1000) : null;
+}
+
+const limiters = new Map();
+
+function limiterFor(name, model) {
+  const key = `${name}:${model}`;
+  if (!limiters.has(key)) limiters.set(key, createLimiter(limitsFor(name, model)));
+  return limiters.get(key);
+}
+
+function withRateLimit(provider) {
+  const limiter = limiterFor(provider.name, provider.model);
+  return {
+    ...provider,
+    async generate(prompt, opts = {}) {
+      const cost = estimateTokens(prompt, opts);
+      for (let attempt = 1; ; attempt++) {
+        await limiter.acquire(cost);
+        try {
+          return await provider.generate(prompt, opts);
+        } catch (e) {
+          if (!isRateLimit(e) || attempt >= RATE_LIMIT_RETRIES) throw e;
+          const wait = retryAfterMs(e) || 5000 * 2 ** attempt;
+          console.warn(`🚦 ${provider.name} rate limited; pausing ${Math.round(wait / 1000)}s (attempt ${attempt})`);
+          limiter.pause(wait);
+        }
+      }
+    },
+  };
+}
+
+const limiterStats = () => Object.fromEntries([...limiters].map(([k, l]) => [k, l.stats()]));
+
+module.exports = { withRateLimit, createLimiter, limiterStats, estimateTokens };
@@ -0,0 +1,225 @@
+/**********************************************************************
+  Tender Appreciation Report (PDF / DOCX)
+  - Cover page, key-facts table, bid submission checklist, flagged
+    risks and page references, built from the stored Contract only
+  - reportData() gathers the content once; buildPdf / buildDocx lay it out
+**********************************************************************/
+
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
+const { fieldValue, isEvidence } = require('./fields');
+const { moneyChecks } = require('./money');
+
+const label = key => key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/\bEMD\b/, 'EMD (Earnest Money Deposit)');
+
+/* ───────────────── Content ─────────────────────────────────────── */
+function reportData(contract, { keys }) {
+  const fields = contract.fields || {};
+  const facts = keys.map(k => {
+    const f = fields[k];
+    return {
+      key: k,
+      label: label(k),
+      value: fieldValue(f),
+      page: isEvidence(f) ? f.page : null,
+      verified: isEvidence(f) ? !!f.verified : false,
+    };
+  });
+
+  const risks = [...moneyChecks(fields)];
+  for (const k of keys) {
+    const f = fields[k];
+    if (!isEvidence(f) || f.value == null) continue;
+    if (!f.verified) risks.push(`${label(k)}: value not backed by a verified quote${f.note ? ` (${f.note})` : ''}`);
+    if (f.conflicts && f.conflicts.length) {
+      risks.push(`${label(k)}: document gives different values – ${f.conflicts.map(c => `"${c.value}"${c.page ? ` (p. ${c.page})` : ''}`).join(', ')}`);
+    }
+  }
+  for (const k of ['EMD', 'ImportantDates', 'EligibilityCriteria', 'BidValidity']) {
+    if (keys.includes(k) && fieldValue(fields[k]) == null) risks.push(`${label(k)} not found in the document`);
+  }
+  const deadline = (contract.calendar || []).find(e => e.type === 'bidSubmissionDeadline');
+  if (deadline && new Date(deadline.date) < new Date()) risks.push('The bid submission deadline has passed');
+  const unplaced = (contract.submittals || []).filter(s => !s.pageVerified).length;
+  if (unplaced) risks.push(`${unplaced} checklist item(s) without a verified page reference`);
+
+  const pageRefs = [
+    ...facts.filter(f => f.page).map(f => ({ what: f.label, page: f.page })),
+    ...(contract.submittals || []).filter(s => s.page).map(s => ({ what: s.item, page: s.page })),
+  ].sort((a, b) => a.page - b.page);
+
+  return {
+    title: 'Tender Appreciation Report',
+    name: contract.pdfName,
+    client: fieldValue(fields.ClientName),
+    work: fieldValue(fields.NameOfWork),
+    generatedAt: new Date(),
+    model: [contract.provider, contract.model].filter(Boolean).join(' / ') || null,
+    review: contract.reviewStatus === 'reviewed'
+      ? `Reviewed by ${contract.reviewedBy}${contract.reviewedAt ? ` on ${dateText(new Date(contract.reviewedAt))}` : ''}`
+      : `Review status: ${contract.reviewStatus || 'not reviewed'}`,
+    facts,
+    checklist: (contract.submittals || []).map((s, i) => ({
+      no: i + 1, item: s.item, page: s.pageEnd ? `${s.page}–${s.pageEnd}` : s.page,
+      done: ['ready', 'submitted'].includes(s.status),
+      reason: [s.reason, s.assignee && `Owner: ${s.assignee}`].filter(Boolean).join(' · ')
+    })),
+    dates: (contract.calendar || []).map(e => ({ label: e.label, when: e.local.replace('T', ' '), page: e.page })),
+    risks,
+    pageRefs,
+  };
+}
+
+const dateText = d => d.toISOString().slice(0, 10);
+
+/* ───────────────── PDF ─────────────────────────────────────────── */
+// The built-in Helvetica has no rupee glyph
+const pdfText = s => String(s ?? '–').replace(/₹/g, 'Rs. ');
+
+function buildPdf(contract, opts) {
+  const data = reportData(contract, opts);
+  const pdf = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: `${data.title} – ${data.name}` } });
+  const chunks = [];
+  pdf.on('data', c => chunks.push(c));
+  const done = new Promise(resolve => pdf.on('end', () => resolve(Buffer.concat(chunks))));
+  const width = pdf.page.width - 100;
+
+  // Cover
+  pdf.moveDown(8).font('Helvetica-Bold').fontSize(26).text(data.title, { align: 'center' });
+  pdf.moveDown(1.5).font('Helvetica').fontSize(14).text(pdfText(data.work || data.name), { align: 'center' });
+  if (data.client) pdf.moveDown(0.5).fontSize(12).text(pdfText(data.client), { align: 'center' });
+  pdf.moveDown(6).fontSize(10).fillColor('#555')
+    .text(`Source document: ${pdfText(data.name)}`, { align: 'center' })
+    .text(`Generated: ${dateText(data.generatedAt)}${data.model ? `   ·   Extracted with ${data.model}` : ''}`, { align: 'center' })
+    .text(pdfText(data.review), { align: 'center' })
+    .fillColor('black');
+
+  const heading = t => pdf.addPage().font('Helvetica-Bold').fontSize(16).text(t).moveDown(0.5).font('Helvetica').fontSize(10);
+
+  // Simple two/three-column table that wraps long cells
+  const table = (cols, rows) => {
+    const draw = (cells, bold) => {
+      const heights = cells.map((c, i) => pdf.heightOfString(pdfText(c), { width: cols[i].width - 8 }));
+      const h = Math.max(...heights) + 8;
+      if (pdf.y + h > pdf.page.height - 50) pdf.addPage();
+      const y = pdf.y;
+      let x = 50;
+      pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      cells.forEach((c, i) => {
+        pdf.rect(x, y, cols[i].width, h).stroke('#999');
+        pdf.text(pdfText(c), x + 4, y + 4, { width: cols[i].width - 8 });
+        x += cols[i].width;
+      });
+      pdf.x = 50;
+      pdf.y = y + h;
+    };
+    draw(cols.map(c => c.header), true);
+    rows.forEach(r => draw(r, false));
+    pdf.font('Helvetica').moveDown();
+  };
+
+  heading('Key Facts');
+  table(
+    [{ header: 'Aspect', width: width * 0.28 }, { header: 'Details', width: width * 0.6 }, { header: 'Page', width: width * 0.12 }],
+    data.facts.map(f => [f.label, f.value ?? 'Not specified', f.page ? `${f.page}${f.verified ? '' : ' (?)'}` : ''])
+  );
+  if (data.dates.length) {
+    pdf.font('Helvetica-Bold').fontSize(12).text('Tender Calendar').moveDown(0.3).fontSize(10);
+    table(
+      [{ header: 'Event', width: width * 0.45 }, { header: 'Date / time', width: width * 0.4 }, { header: 'Page', width: width * 0.15 }],
+      data.dates.map(d => [d.label, d.when, d.page || ''])
+    );
+  }
+
+  heading('Bid Submission Checklist');
+  if (!data.checklist.length) pdf.text('No submittals were identified in the document.');
+  else {
+    table(
+      [{ header: 'Done', width: width * 0.08 }, { header: 'Document / form', width: width * 0.48 }, { header: 'Page', width: width * 0.1 }, { header: 'Notes', width: width * 0.34 }],
+      data.checklist.map(c => [c.done ? '[x]' : '[ ]', `${c.no}. ${c.item}`, c.page || '', c.reason])
+    );
+  }
+
+  heading('Flagged Risks');
+  if (!data.risks.length) pdf.text('No risks were flagged automatically.');
+  data.risks.forEach(r => pdf.text(`•  ${pdfText(r)}`, { width }).moveDown(0.3));
+
+  heading('Page References');
+  data.pageRefs.forEach(r => pdf.text(`p. ${r.page}  –  ${pdfText(r.what)}`, { width }));
+
+  // Footer on every page but the cover
+  const range = pdf.bufferedPageRange();
+  for (let i = 1; i < range.count; i++) {
+    pdf.switchToPage(i);
+    // Writing inside the bottom margin would otherwise start a new page
+    pdf.page.margins.bottom = 0;
+    pdf.fontSize(8).fillColor('#777')
+      .text(`${pdfText(data.name)}  ·  page ${i + 1} of ${range.count}`, 50, pdf.page.height - 35, { width, align: 'center', lineBreak: false })
+      .fillColor('black');
+  }
+  pdf.end();
+  return done;
+}
+
+/* ───────────────── DOCX ────────────────────────────────────────── */
+function buildDocx(contract, opts) {
+  const data = reportData(contract, opts);
+  const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType, AlignmentType } = docx;
+
+  const cell = (text, bold) => new TableCell({
+    children: [new Paragraph({ children: [new TextRun({ text: String(text ?? ''), bold })] })],
+  });
+  const table = (headers, rows, widths) => new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    columnWidths: widths,
+    rows: [
+      new TableRow({ tableHeader: true, children: headers.map(h => cell(h, true)) }),
+      ...rows.map(r => new TableRow({ children: r.map(v => cell(v)) })),
+    ],
+  });
+  const heading = t => new Paragraph({ text: t, heading: HeadingLevel.HEADING_1, pageBreakBefore: true });
+  const centered = (text, size, bold) => new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 240 }, children: [new TextRun({ text, size, bold })] });
+
+  const children = [
+    new Paragraph({ spacing: { before: 3000 } }),
+    centered(data.title, 52, true),
+    centered(data.work || data.name, 28),
+    ...(data.client ? [centered(data.client, 24)] : []),
+    new Paragraph({ spacing: { before: 2000 } }),
+    centered(`Source document: ${data.name}`, 20),
+    centered(`Generated: ${dateText(data.generatedAt)}${data.model ? ` · Extracted with ${data.model}` : ''}`, 20),
+    centered(data.review, 20),
+
+    heading('Key Facts'),
+    table(['Aspect', 'Details', 'Page'],
+      data.facts.map(f => [f.label, f.value ?? 'Not specified', f.page ? `${f.page}${f.verified ? '' : ' (?)'}` : '']),
+      [2600, 5600, 1000]),
+  ];
+  if (data.dates.length) {
+    children.push(
+      new Paragraph({ text: 'Tender Calendar', heading: HeadingLevel.HEADING_2, spacing: { before: 300 } }),
+      table(['Event', 'Date / time', 'Page'], data.dates.map(d => [d.label, d.when, d.page || '']), [4000, 4000, 1200])
+    );
+  }
+
+  children.push(heading('Bid Submission Checklist'));
+  children.push(data.checklist.length
+    ? table(['☐', 'Document / form', 'Page', 'Notes'], data.checklist.map(c => [c.done ? '☑' : '☐', `${c.no}. ${c.item}`, c.page || '', c.reason]), [500, 4700, 900, 3100])
+    : new Paragraph('No submittals were identified in the document.'));
+
+  children.push(heading('Flagged Risks'));
+  if (!data.risks.length) children.push(new Paragraph('No risks were flagged automatically.'));
+  data.risks.forEach(r => children.push(new Paragraph({ text: r, bullet: { level: 0 } })));
+
+  children.push(heading('Page References'));
+  data.pageRefs.forEach(r => children.push(new Paragraph(`p. ${r.page} – ${r.what}`)));
+
+  const doc = new Document({
+    title: `${data.title} – ${data.name}`,
+    creator: 'Contract Analyzer',
+    sections: [{ children }],
+  });
+  return Packer.toBuffer(doc);
+}
+
+module.exports = { reportData, buildPdf, buildDocx };
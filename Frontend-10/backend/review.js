@@ -0,0 +1,108 @@
+/**********************************************************************
+  Human Review
+  - Reviewers edit field and submittal values in place, so every read
+    and export serves the reviewed value; the model's answer is kept
+    once under `original`
+  - `review` records who touched an entry, when, and whether they
+    verified it; every change also goes into the Contract's audit trail
+  - carryReviews() keeps reviewed fields when another run is accepted
+**********************************************************************/
+
+const { isEvidence } = require('./fields');
+
+const REVIEW_STATUSES = ['not reviewed', 'in review', 'reviewed'];
+
+const FIELD_EDITABLE = ['value', 'page', 'quote', 'verified', 'note'];
+const SUBMITTAL_EDITABLE = ['item', 'page', 'reason', 'verified', 'note'];
+
+const pick = (obj, keys) => Object.fromEntries(keys.filter(k => obj && obj[k] !== undefined).map(k => [k, obj[k]]));
+
+function checkBody(body, editable) {
+  const keys = Object.keys(body).filter(k => editable.includes(k));
+  if (!keys.length) return `Nothing to update (editable: ${editable.join(', ')})`;
+  if ('verified' in body && typeof body.verified !== 'boolean') return 'verified must be true or false';
+  if ('page' in body && body.page !== null && !(Number.isInteger(body.page) && body.page > 0)) return 'page must be a positive integer or null';
+  return null;
+}
+
+const text = v => (v == null || v === '' ? null : String(v));
+
+/**
+ * Applies a review to fields[key] (creating it for a template field the
+ * model left out). Returns { error } or { before, after } for the audit.
+ */
+function reviewField(fields, key, body, by) {
+  const error = checkBody(body, FIELD_EDITABLE);
+  if (error) return { error };
+  const prev = fields[key];
+  // Legacy contracts hold bare strings
+  const f = isEvidence(prev) ? { ...prev } : { value: text(prev), page: null, quote: null, verified: false, note: null };
+  const before = pick(f, ['value', 'page', 'quote', 'verified']);
+  if (!f.original) f.original = before;
+
+  if ('value' in body) f.value = text(body.value);
+  if ('page' in body) f.page = body.page;
+  if ('quote' in body) f.quote = text(body.quote);
+  // A reviewer's check stands in for the quote check
+  if ('verified' in body) f.verified = body.verified;
+  f.review = {
+    by,
+    at: new Date(),
+    verified: 'verified' in body ? body.verified : !!(f.review && f.review.verified),
+    note: 'note' in body ? text(body.note) : (f.review && f.review.note) || null,
+  };
+  fields[key] = f;
+  return { before, after: pick(f, ['value', 'page', 'quote', 'verified']) };
+}
+
+// Back to the model's answer
+function revertField(fields, key) {
+  const f = fields[key];
+  if (!isEvidence(f) || !f.original) return null;
+  const { original, review, ...rest } = f;
+  fields[key] = { ...rest, ...original };
+  return { before: pick(f, ['value', 'page', 'quote', 'verified']), after: original };
+}
+
+// item: a submittal subdocument
+function reviewSubmittal(item, body, by) {
+  const error = checkBody(body, SUBMITTAL_EDITABLE);
+  if (error) return { error };
+  if ('item' in body && !text(body.item)) return { error: 'item cannot be empty' };
+  const before = pick(item, ['item', 'page', 'reason']);
+  if (!item.original) item.original = before;
+
+  if ('item' in body) item.item = String(body.item).trim();
+  if ('page' in body) {
+    item.page = body.page;
+    item.pageVerified = body.page != null;
+    // A corrected page replaces a detected form's page range
+    item.pageEnd = null;
+    item.filePageEnd = null;
+  }
+  if ('reason' in body) item.reason = text(body.reason) || '';
+  item.review = {
+    ...(item.review && { added: item.review.added }),
+    by,
+    at: new Date(),
+    verified: 'verified' in body ? body.verified : !!(item.review && item.review.verified),
+    note: 'note' in body ? text(body.note) : (item.review && item.review.note) || null,
+  };
+  return { before, after: pick(item, ['item', 'page', 'reason']) };
+}
+
+/**
+ * Reviewed fields stay as the reviewer left them when a new run is
+ * accepted; the run's answer becomes their new `original`.
+ */
+function carryReviews(previous, fields) {
+  const out = { ...fields };
+  for (const [k, f] of Object.entries(previous || {})) {
+    if (!isEvidence(f) || !f.review) continue;
+    const next = out[k];
+    out[k] = { ...f, original: isEvidence(next) ? pick(next, ['value', 'page', 'quote', 'verified']) : f.original };
+  }
+  return out;
+}
+
+module.exports = { REVIEW_STATUSES, reviewField, revertField, reviewSubmittal, carryReviews };
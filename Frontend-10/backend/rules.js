@@ -0,0 +1,271 @@
+/**********************************************************************
+  Rule-Based Pre-Extractor
+  - Reads the fields that follow fixed patterns (EMD, tender document
+    cost, estimated cost, bid validity, completion period, important
+    dates) from the page text with keyword windows and regexes
+  - Every value carries its page and a verbatim quote, so it is
+    verified by construction; no LLM is involved
+  - RULES_MODE=fallback (default): rule values fill the fields the LLM
+    left empty and flag the ones it disagrees with;
+    RULES_MODE=confirm: they are also shown to the LLM to confirm;
+    the "rules" provider uses them alone (offline mode)
+**********************************************************************/
+
+const { findAmounts, parseAmount } = require('./money');
+const { KEYWORDS, findDates } = require('./calendar');
+const { permanentError } = require('./jobs');
+
+const RULES_MODES = ['fallback', 'confirm'];
+const RULES_MODE = RULES_MODES.includes(process.env.RULES_MODE) ? process.env.RULES_MODE : 'fallback';
+
+const WINDOW = 200;        // chars after a keyword searched for its value
+const TAIL = 150;          // a value may run on this far past its window
+const DATE_WINDOW = 150;
+
+/* ───────────────── Value finders ───────────────────────────────── */
+// Each returns { value, index, end } or null; the value has to start
+// before `limit` (the keyword's window) but may run on past it
+
+// "Rs.18,77,025/- (Rupees Eighteen Lakh … only)" or "2% of the estimated cost"
+function findMoney(text, limit) {
+  const a = findAmounts(text).find(x => x.index < limit);
+  if (a) {
+    let end = a.end;
+    const tail = /^\s*\/-/.exec(text.slice(end));
+    if (tail) end += tail[0].length;
+    const words = /^\s*\((?:rupees|rs\.?|inr)\b[^)]{0,120}\)/i.exec(text.slice(end));
+    if (words) end += words[0].length;
+    return { value: text.slice(a.index, end).trim(), index: a.index, end };
+  }
+  const p = /\b\d+(?:\.\d+)?\s*(?:%|per\s*cent)\s+of\s+(?:the\s+)?[a-z ]{0,40}?(?:cost|value|price|amount)\b/i.exec(text);
+  return p && p.index < limit ? { value: p[0], index: p.index, end: p.index + p[0].length } : null;
+}
+
+const FREE_RE = /\b(?:free\s+of\s+cost|nil|not\s+applicable)\b/i;
+
+const findDocumentCost = (text, limit) => {
+  const money = findMoney(text, limit);
+  const free = FREE_RE.exec(text.slice(0, limit));
+  if (free && (!money || free.index < money.index)) return { value: free[0], index: free.index, end: free.index + free[0].length };
+  return money;
+};
+
+const DURATION_RE = /\b(\d{1,4})\s*(?:\([a-z\s-]{1,40}\)\s*)?(?:calendar\s+|working\s+)?(days?|weeks?|months?|years?)\b/i;
+// "… from the date of submission of Tenders", "… from zero day"
+const DURATION_FROM_RE = /^\s*(?:from|after)\s+(?:the\s+)?(?:(?:last\s+)?date|day|zero\s+day)(?:\s+of\s+(?:the\s+)?[\w-]+(?:\s+of\s+(?:the\s+)?[\w/-]+)?)?/i;
+
+function findDuration(text, limit) {
+  const m = DURATION_RE.exec(text.slice(0, limit));
+  if (!m) return null;
+  let end = m.index + m[0].length;
+  const from = DURATION_FROM_RE.exec(text.slice(end));
+  if (from) end += from[0].length;
+  return { value: `${m[1]} ${m[2]}${from ? ` ${from[0].trim()}` : ''}`, index: m.index, end };
+}
+
+/* ───────────────── Rules ───────────────────────────────────────── */
+const RULES = {
+  EstimatedCost: {
+    keyword: /(?:estimated|approximate)\s+(?:cost|value)(?:\s+of\s+(?:the\s+)?(?:works?|project))?/gi,
+    find: findMoney,
+  },
+  TenderDocumentCost: {
+    keyword: /(?:cost|price)\s+of\s+(?:the\s+)?(?:tender|bid)\s+(?:documents?|forms?)|(?:tender|bid)\s+(?:documents?\s+)?(?:fee|cost)\b|document\s+fee/gi,
+    find: findDocumentCost,
+  },
+  EMD: {
+    keyword: /earnest\s+money(?:\s+deposit)?(?:\s*\(\s*EMD\s*\))?|\bEMD\b|(?:bid|tender)\s+security(?:\s*\(i\.e\.,?\s*EMD\))?(?:\s+amount)?/gi,
+    find: findMoney,
+  },
+  BidValidity: {
+    keyword: /(?:bid|tender|offer|proposal)s?\s+validity(?:\s+period)?|(?:period\s+of\s+)?validity\s+of\s+(?:the\s+)?(?:bid|tender|offer|proposal)s?|(?:bid|tender|offer|proposal)s?\s+shall\s+(?:remain\s+)?valid/gi,
+    find: findDuration,
+  },
+  CompletionPeriod: {
+    keyword: /(?:period|time)\s+(?:of|for)\s+completion(?:\s+of\s+(?:the\s+)?(?:works?|project))?|completion\s+(?:period|time)(?:\s+of\s+(?:the\s+)?(?:works?|project))?|contract\s+period/gi,
+    find: findDuration,
+  },
+};
+
+const DATE_FIELD = 'ImportantDates';
+const RULE_KEYS = [...Object.keys(RULES), DATE_FIELD];
+
+// Keyword hits of every rule and calendar event on a page, in text order
+function keywordHits(text) {
+  const hits = [];
+  for (const [key, rule] of Object.entries(RULES)) {
+    for (const m of text.matchAll(rule.keyword)) hits.push({ key, index: m.index, end: m.index + m[0].length });
+  }
+  for (const [type, re] of KEYWORDS) {
+    for (const m of text.matchAll(new RegExp(re.source, 'gi'))) hits.push({ key: DATE_FIELD, type, index: m.index, end: m.index + m[0].length });
+  }
+  return hits.sort((a, b) => a.index - b.index);
+}
+
+// The window ends where another field's keyword starts ("Estimated Cost
+// of work Cost of Tender Document …" table headers have no values)
+const windowEnd = (hits, i, text, size) => {
+  const next = hits.slice(i + 1).find(h => h.key !== hits[i].key || h.type !== hits[i].type);
+  return Math.min(text.length, hits[i].end + size, next ? next.index : Infinity);
+};
+
+/* ───────────────── Choosing a value ────────────────────────────── */
+const norm = s => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const durationOf = v => {
+  const m = DURATION_RE.exec(v || '');
+  return m ? `${m[1]} ${m[2].toLowerCase().replace(/s$/, '')}` : null;
+};
+
+const datesOf = v => findDates(String(v || '')).map(d => `${d.y}-${d.mo}-${d.d}`);
+
+// Same value in other words: equal text, same amount, same duration or the same dates
+function agrees(a, b) {
+  const x = norm(a), y = norm(b);
+  if (!x || !y) return false;
+  if (x === y || x.includes(y) || y.includes(x)) return true;
+  const ma = parseAmount(a), mb = parseAmount(b);
+  if (ma && mb && ma.amount != null && ma.amount === mb.amount) return true;
+  if (durationOf(a) && durationOf(a) === durationOf(b)) return true;
+  const da = datesOf(a), db = datesOf(b);
+  return db.length > 0 && db.every(d => da.includes(d));
+}
+
+// The value found most often wins, the earliest one on a tie; the others are conflicts
+function choose(candidates) {
+  const groups = [];
+  for (const c of candidates) {
+    const g = groups.find(x => agrees(x[0].value, c.value));
+    if (g) g.push(c); else groups.push([c]);
+  }
+  groups.sort((a, b) => b.length - a.length);
+  const [best] = groups[0];
+  const others = groups.slice(1).map(([c]) => ({ value: c.value, page: c.page, quote: c.quote, verified: true }));
+  return {
+    value: best.value,
+    page: best.page,
+    quote: best.quote,
+    verified: true,
+    note: others.length ? `Rules found ${others.length + 1} distinct values` : null,
+    source: 'rules',
+    ...(others.length && { conflicts: others }),
+  };
+}
+
+/* ───────────────── Extraction ──────────────────────────────────── */
+// Time right after a date: "16/07/2018 at 11.00 hrs", "21.12.2022, 4.00 pm"
+const TIME_AFTER_RE = /^\s*(?:,|at|@|up\s*to|by|till)?\s*(?:\d{1,2}[:.]\d{2}\s*(?:a\.?m\.?|p\.?m\.?|hrs?\.?|hours)?|\d{1,2}\s*(?:a\.?m\.?|p\.?m\.?|hrs?\.?|hours))/i;
+
+// First dated mention of each calendar event, as "keyword … date time"
+function dateEvent(text, hits, i) {
+  const h = hits[i];
+  const end = windowEnd(hits, i, text, DATE_WINDOW);
+  const dates = findDates(text.slice(h.end, end));
+  if (!dates.length) return null;
+  // Document sale runs "from … to …"
+  const last = h.type === 'documentSale' && dates[1] ? dates[1] : dates[0];
+  let quoteEnd = h.end + last.end;
+  const time = TIME_AFTER_RE.exec(text.slice(quoteEnd, end));
+  if (time) quoteEnd += time[0].length;
+  return text.slice(h.index, quoteEnd).trim();
+}
+
+/**
+ * pages: per-page text; keys: the template's field keys
+ * → { key: evidence } for the rule fields that were found, each
+ *   { value, page, quote, verified: true, note, source: 'rules', conflicts? }
+ */
+function ruleExtract(pages, keys = RULE_KEYS) {
+  const wanted = new Set(keys);
+  const candidates = {};
+  const events = new Map();   // calendar event type → { quote, page }
+
+  pages.forEach((text, p) => {
+    if (!text) return;
+    const hits = keywordHits(text);
+    let consumed = 0;
+    hits.forEach((h, i) => {
+      if (!wanted.has(h.key)) return;
+      if (h.key === DATE_FIELD) {
+        if (events.has(h.type)) return;
+        const quote = dateEvent(text, hits, i);
+        if (quote) events.set(h.type, { quote, page: p + 1 });
+        return;
+      }
+      // A second keyword of the same sentence ("Tender Validity: Tenders shall be valid …")
+      if (h.index < consumed) return;
+      const end = windowEnd(hits, i, text, WINDOW);
+      const found = RULES[h.key].find(text.slice(h.end, end + TAIL), end - h.end);
+      if (!found) return;
+      consumed = h.end + found.end;
+      (candidates[h.key] = candidates[h.key] || []).push({
+        value: found.value,
+        page: p + 1,
+        quote: text.slice(h.index, h.end + found.end).trim(),
+      });
+    });
+  });
+
+  const out = {};
+  for (const [k, list] of Object.entries(candidates)) out[k] = choose(list);
+  if (events.size) {
+    const list = [...events.values()];
+    // The bid deadline is the date that matters most
+    const main = events.get('bidSubmissionDeadline') || list[0];
+    out[DATE_FIELD] = {
+      value: list.map(e => e.quote).join('; '),
+      page: main.page,
+      quote: main.quote,
+      verified: true,
+      note: null,
+      source: 'rules',
+    };
+  }
+  return out;
+}
+
+/**
+ * Rule values next to the LLM's merged fields (mutated):
+ * empty fields take the rule value; on disagreement verified evidence
+ * wins (the LLM's on a tie) and the other value becomes a conflict
+ */
+function combineWithRules(fields, found) {
+  for (const [k, r] of Object.entries(found)) {
+    const f = fields[k];
+    if (!f || f.value == null) {
+      fields[k] = r;
+      continue;
+    }
+    if (agrees(f.value, r.value)) continue;
+    const [chosen, other] = !f.verified && r.verified ? [r, f] : [f, r];
+    fields[k] = {
+      ...chosen,
+      conflicts: [...(chosen.conflicts || []), {
+        value: other.value, page: other.page, quote: other.quote, verified: !!other.verified, ...(other.source && { source: other.source })
+      }],
+      note: [chosen.note, chosen === r ? 'LLM value unverified; rule-based value used' : 'Rule-based extraction found a different value']
+        .filter(Boolean).join('; '),
+    };
+  }
+  return fields;
+}
+
+// Rule candidates on the pages of one chunk, for the confirm prompt
+function hintsFor(found, chunkText) {
+  const pages = new Set([...chunkText.matchAll(/\[\[PAGE (\d+)\]\]/g)].map(m => Number(m[1])));
+  return Object.fromEntries(Object.entries(found).filter(([, f]) => pages.has(f.page)));
+}
+
+/* ───────────────── Offline provider ────────────────────────────── */
+// LLM_PROVIDER=rules (or provider=rules on an upload): extraction
+// without any LLM; only the rule fields are filled, no submittals
+const rulesProvider = {
+  name: 'rules',
+  model: 'rules-1',
+  mode: 'offline',
+  async generate() {
+    throw permanentError('The "rules" provider makes no LLM calls; choose an LLM provider for this task');
+  },
+};
+
+module.exports = { RULES_MODES, RULES_MODE, RULE_KEYS, ruleExtract, combineWithRules, hintsFor, agrees, rulesProvider };
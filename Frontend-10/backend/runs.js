@@ -0,0 +1,161 @@
+/**********************************************************************
+  Extraction Runs
+  - Every processing attempt of a Contract is stored as a Run: model,
+    prompt version, timings, each raw LLM answer and the parsed output
+  - Runs are written once and never updated; the Contract records
+    which run is accepted (its values are the ones served)
+  - compareRuns(a, b) → field-by-field and checklist differences
+**********************************************************************/
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { fieldValue, isEvidence } = require('./fields');
+
+const MAX_RAW_CHARS = 100000;   // per LLM answer kept on the run
+
+const RunSchema = new mongoose.Schema({
+  contract: { type: mongoose.Schema.Types.ObjectId, ref: 'Contract', required: true },
+  number: { type: Number, required: true },   // 1, 2, … per contract
+  trigger: { type: String, enum: ['upload', 'reprocess'], default: 'upload' },
+  provider: String,
+  model: String,
+  promptVersion: String,
+  template: mongoose.Schema.Types.Mixed,   // { _id, name, fields } used for this run
+  status: { type: String, enum: ['completed', 'failed'], required: true },
+  error: String,
+  startedAt: Date,
+  finishedAt: Date,
+  durationMs: Number,
+  calls: [{          // every LLM request, repairs included
+    _id: false,
+    stage: String, chunk: Number, ms: Number, promptChars: Number, output: String, error: String
+  }],
+  chunks: Number,
+  repairRetries: Number,
+  validation: mongoose.Schema.Types.Mixed,
+  output: mongoose.Schema.Types.Mixed   // { fields, submittals, calendar }
+}, { collection: 'runs' });
+
+RunSchema.index({ contract: 1, number: 1 }, { unique: true });
+
+// Written once: any later update is a bug
+RunSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error('Runs are immutable'));
+});
+RunSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Runs are immutable'));
+});
+
+const Run = mongoose.model('Run', RunSchema);
+
+/* ───────────────── Recording ───────────────────────────────────── */
+const hash = s => crypto.createHash('sha256').update(s).digest('hex').slice(0, 12);
+
+// Changes whenever the prompt text or the template's fields change
+const promptVersion = (prompts, templateFields) =>
+  hash([...prompts.map(p => p.toString()), JSON.stringify(templateFields)].join('\n'));
+
+// Provider wrapper that logs every call under the current stage / chunk
+function tracedProvider(llm) {
+  const calls = [];
+  let context = {};
+  const provider = {
+    name: llm.name,
+    model: llm.model,
+    mode: llm.mode,
+    async generate(prompt, opts) {
+      const started = Date.now();
+      try {
+        const output = await llm.generate(prompt, opts);
+        calls.push({ ...context, ms: Date.now() - started, promptChars: prompt.length, output: String(output).slice(0, MAX_RAW_CHARS) });
+        return output;
+      } catch (e) {
+        calls.push({ ...context, ms: Date.now() - started, promptChars: prompt.length, error: e.message });
+        throw e;
+      }
+    },
+  };
+  return { provider, calls, setContext: c => { context = c; } };
+}
+
+const RECORD_ATTEMPTS = 5;
+
+// Run number n+1 of a contract; when two runs finish together the unique
+// index rejects the second, which takes the next number
+async function recordRun(run) {
+  for (let attempt = 1; ; attempt++) {
+    const last = await Run.findOne({ contract: run.contract }, { number: 1 }).sort({ number: -1 });
+    try {
+      return await Run.create({ ...run, number: last ? last.number + 1 : 1 });
+    } catch (e) {
+      if (e.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw e;
+    }
+  }
+}
+
+/* ───────────────── Accepting ───────────────────────────────────── */
+const norm = s => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+// _id too, so clients' checklist item references stay valid
+const CHECKLIST_STATE = ['_id', 'mandatory', 'status', 'assignee', 'dueDate', 'notes', 'updatedAt'];
+const REVIEWED = ['item', 'page', 'pageVerified', 'reason', 'original', 'review'];
+
+// Checklist progress survives a re-run for items with the same name;
+// reviewed items keep the reviewer's text and items they added stay
+function carryChecklist(previous, submittals) {
+  const modelName = s => (s.original ? s.original.item : s.item);
+  const byItem = new Map((previous || []).map(s => [norm(modelName(s)), s]));
+  const carried = submittals.map(s => {
+    const old = byItem.get(norm(s.item));
+    if (!old) return s;
+    byItem.delete(norm(s.item));
+    const keys = old.review ? [...CHECKLIST_STATE, ...REVIEWED] : CHECKLIST_STATE;
+    return { ...s, ...Object.fromEntries(keys.filter(k => old[k] !== undefined).map(k => [k, old[k]])) };
+  });
+  return [...carried, ...[...byItem.values()].filter(s => s.review && s.review.added)];
+}
+
+/* ───────────────── Comparing ───────────────────────────────────── */
+const summary = run => ({
+  number: run.number,
+  trigger: run.trigger,
+  status: run.status,
+  provider: run.provider,
+  model: run.model,
+  promptVersion: run.promptVersion,
+  template: run.template ? run.template.name : null,
+  startedAt: run.startedAt,
+  durationMs: run.durationMs,
+  llmCalls: (run.calls || []).length,
+  repairRetries: run.repairRetries || 0,
+});
+
+function compareRuns(a, b) {
+  const fa = (a.output && a.output.fields) || {};
+  const fb = (b.output && b.output.fields) || {};
+  const keys = [...new Set([...Object.keys(fa), ...Object.keys(fb)])];
+  const side = f => ({
+    value: fieldValue(f),
+    page: isEvidence(f) ? f.page ?? null : null,
+    verified: isEvidence(f) ? !!f.verified : false,
+  });
+  const fields = keys.map(k => {
+    const x = side(fa[k]), y = side(fb[k]);
+    return { key: k, same: norm(x.value) === norm(y.value), a: x, b: y };
+  });
+
+  const items = run => ((run.output && run.output.submittals) || []).map(s => s.item);
+  const ia = items(a), ib = items(b);
+  return {
+    a: summary(a),
+    b: summary(b),
+    fields,
+    changed: fields.filter(f => !f.same).length,
+    submittals: {
+      onlyInA: ia.filter(x => !ib.some(y => norm(y) === norm(x))),
+      onlyInB: ib.filter(x => !ia.some(y => norm(y) === norm(x))),
+      inBoth: ia.filter(x => ib.some(y => norm(y) === norm(x))).length,
+    },
+  };
+}
+
+module.exports = { Run, promptVersion, tracedProvider, recordRun, carryChecklist, summary, compareRuns };
@@ -1,25 +1,45 @@
 /**********************************************************************
-  Gemini Contract Analyzer - Async Version
+  Contract Analyzer - Async Version
   - Immediately returns pending status
   - Processes in background and updates status
+  - LLM provider/model per deployment (.env) or per upload
+  - Work runs through a durable Mongo job queue (see jobs.js)
 **********************************************************************/
 
 require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
-const pdf = require('pdf-parse');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const mongoose = require("mongoose");
+const { getProvider, listProviders } = require('./providers');
+const { limiterStats } = require('./rateLimit');
+const { readPdf } = require('./ocr');
+const { chunkPages, mergeFields, mergeSubmittals } = require('./chunking');
+const { Job, enqueue, recoverJobs, startWorkers, isTransient, permanentError } = require('./jobs');
+const { saveSource, loadSource, deleteSource } = require('./sources');
+const { extractJson } = require('./structured');
+const { fieldValue, flattenFields, fieldEvidence, verifyFields } = require('./fields');
+const { MONEY_FIELDS, normalizeMoneyFields, moneyChecks } = require('./money');
+const { parseImportantDates, toIcs } = require('./calendar');
+const { buildTadWorkbook } = require('./exportXlsx');
+const { buildPdf, buildDocx } = require('./report');
+const { STATUSES, applyItemUpdate, checklistProgress, byDeadline } = require('./checklist');
+const {
+  Template, DEFAULT_TEMPLATE, DEFAULT_FIELDS,
+  validateTemplate, ensureDefaultTemplate, resolveTemplate, templateSnapshot, contractFields
+} = require('./templates');
+const { parseQuestionSheet } = require('./templateImport');
+const { MAX_PACKAGE_FILES, locate, withProvenance, packageName } = require('./packages');
+const { addendumSchema, addendumPrompt, applyChanges, carryAmendments, mergeCalendar, snapshot, diffVersions } = require('./addenda');
+const { REVIEW_STATUSES, reviewField, revertField, reviewSubmittal, carryReviews } = require('./review');
+const { Run, promptVersion, recordRun, carryChecklist, summary, compareRuns } = require('./runs');
+const { PROMPTS, schemaCalls, fieldsOfType, checkedSubmittals, rulesMode, extractContract } = require('./pipeline');
+const { findForms, mergeForms } = require('./forms');
+const { Boq, extractBoq, packageBoq, saveBoq, toCsv: boqCsv } = require('./boq');
+const { Company, COMPANY_KEYS, validateCompany } = require('./company');
+const { assessEligibility } = require('./eligibility');
 
 const PORT = process.env.PORT || 5004;
-const GEMINI_APIKey = process.env.GEMINI_API_KEY;
-if (!GEMINI_APIKey) {
-  console.error('❌  GEMINI_API_KEY missing in .env'); process.exit(1);
-}
-if (!process.env.MONGO_URL) {
-  console.error('❌  MONGO_URL missing in .env'); process.exit(1);
-}
 
 /* ───────────────── App & Middleware ────────────────────────────── */
 const app = express();
@@ -30,15 +50,35 @@ const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 25 * 1024 * 1024, files: 1 },
 });
+const packageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024, files: MAX_PACKAGE_FILES },
+});
+const sheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+});
 
 /////////////////////////////////// DB Connection ///////////////////////////////////
 let mongoStatus = 'connecting';
-mongoose.connect(process.env.MONGO_URL, { useNewUrlParser: true, useUnifiedTopology: true });
+let workersStarted = false;
+let stopWorkers = null;
 
 mongoose.connection.on('connected', async () => {
   mongoStatus = 'connected';
   const dbName = mongoose.connection.db.databaseName;
   console.log(`✅ MongoDB connection successful (using database: "${dbName}")`);
+  if (!workersStarted) {
+    workersStarted = true;
+    try {
+      await ensureDefaultTemplate();
+      await startJobWorkers();
+    } catch (e) {
+      // Tried again on the next reconnect
+      workersStarted = false;
+      console.error('❌ Could not start the job workers:', e.message);
+    }
+  }
 });
 mongoose.connection.on('error', err => {
   mongoStatus = 'error';
@@ -48,22 +88,114 @@ mongoose.connection.on('disconnected', () => {
   mongoStatus = 'disconnected';
   console.warn('⚠️  MongoDB connection lost');
 });
-process.on('SIGINT', async () => {
-  await mongoose.connection.close();
-  console.log('MongoDB disconnected on app termination');
-  process.exit(0);
-});
 
 const SubmittalSchema = new mongoose.Schema({
   item: { type: String, required: true },
   page: { type: Number, default: null },
-  reason: { type: String, default: '' }
+  file: { type: String, default: null },        // PDF of the package the page is in
+  filePage: { type: Number, default: null },    // page number within that PDF
+  pageEnd: { type: Number, default: null },     // last page of a multi-page form
+  filePageEnd: { type: Number, default: null },
+  modelPage: { type: Number, default: null },   // page the model reported
+  pageVerified: { type: Boolean, default: false },
+  reason: { type: String, default: '' },
+  source: { type: String, default: null },      // 'forms' when found by the page scanner (forms.js)
+  // Checklist state, edited through PATCH /api/submittals/…
+  mandatory: { type: Boolean, default: true },
+  status: { type: String, enum: STATUSES, default: 'not started' },
+  assignee: { type: String, default: '' },
+  dueDate: { type: Date, default: null },
+  notes: { type: String, default: '' },
+  amendedBy: { type: String, default: null },   // addendum that added the item
+  // Human review (see review.js): the model's item / page / reason before edits
+  original: mongoose.Schema.Types.Mixed,
+  review: { _id: false, by: String, at: Date, verified: Boolean, note: String, added: Boolean },
+  updatedAt: Date
+});
+
+const CalendarEventSchema = new mongoose.Schema({
+  type: String,          // documentSaleStart, bidSubmissionDeadline, …
+  label: String,
+  date: Date,            // UTC instant
+  local: String,         // ISO wall-clock time with offset (date only if allDay)
+  allDay: Boolean,
+  timezone: String,
+  quote: String,
+  page: Number,
+  verified: Boolean
 }, { _id: false });
 
 const ContractSchema = new mongoose.Schema({
-  pdfName: String,
-  fields: mongoose.Schema.Types.Mixed,
+  pdfName: String,   // file name, or package name for several PDFs
+  source: mongoose.Schema.Types.ObjectId,   // GridFS copy (single-PDF contracts before packages)
+  files: [{          // every PDF of the tender package, in upload order
+    _id: false,
+    name: String,
+    source: mongoose.Schema.Types.ObjectId,   // GridFS copy, kept until the job finishes
+    numPages: Number,
+    firstPage: Number,   // its page 1 is this page of the package
+    addendum: mongoose.Schema.Types.ObjectId   // set for pages added by an addendum
+  }],
+  template: mongoose.Schema.Types.Mixed,   // { _id, name, fields } snapshot taken at upload
+  fields: mongoose.Schema.Types.Mixed,   // { key: { value, page, file, filePage, quote, verified, note, conflicts?, money? } }
   submittals: [SubmittalSchema],
+  calendar: [CalendarEventSchema],
+  numPages: Number,
+  pages: [String],   // per-page text, index 0 = page 1 (files one after another)
+  ocrPages: [{       // pages without a text layer, read by OCR (see ocr.js)
+    _id: false,
+    page: Number,
+    file: String,
+    filePage: Number,
+    confidence: Number,   // tesseract's mean word confidence, 0–100
+    chars: Number,
+    error: String
+  }],
+  chunks: Number,    // prompt chunks the text was split into
+  repairRetries: { type: Number, default: 0 },
+  validation: [{     // every LLM answer that failed schema validation
+    _id: false, stage: String, chunk: Number, attempt: Number, errors: [String]
+  }],
+  addenda: [{        // corrigenda / addenda uploaded against this contract
+    name: String,
+    title: String,
+    source: mongoose.Schema.Types.ObjectId,   // GridFS copy, kept until its job finishes
+    status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
+    errorMessage: String,
+    version: Number,   // version it produced
+    changedFields: [String],
+    unverifiedChanges: [{   // changes whose quote is not in the addendum: not applied
+      _id: false, key: String, value: String, page: Number, quote: String, note: String
+    }],
+    addedSubmittals: [String],
+    removedSubmittals: [String],
+    createdAt: { type: Date, default: Date.now }
+  }],
+  versions: [{       // field and submittal values after the extraction and each addendum
+    _id: false,
+    version: Number,
+    kind: { type: String, enum: ['extraction', 'addendum'] },
+    addendum: mongoose.Schema.Types.ObjectId,
+    name: String,
+    createdAt: Date,
+    fields: mongoose.Schema.Types.Mixed,
+    submittals: mongoose.Schema.Types.Mixed
+  }],
+  acceptedRun: Number,   // run whose output these values come from (see runs.js)
+  reviewStatus: { type: String, enum: REVIEW_STATUSES, default: 'not reviewed' },
+  reviewedBy: String,
+  reviewedAt: Date,
+  audit: [{          // every reviewer change: who, when, what
+    _id: false,
+    at: Date,
+    by: String,
+    action: String,   // field, field.revert, submittal, submittal.add, submittal.delete, status
+    target: String,   // field key or submittal _id
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  provider: String,
+  model: String,
   status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
   errorMessage: String,
   createdAt: { type: Date, default: Date.now }
@@ -71,185 +203,553 @@ const ContractSchema = new mongoose.Schema({
 
 const Contract = mongoose.model("Contract", ContractSchema);
 
-/* ───────────────── Gemini Init ─────────────────────────────────── */
-const genAI = new GoogleGenerativeAI(GEMINI_APIKey);
-const geminiInfo = { model: 'gemini-2.5-flash' };
-let geminiModel;
-(async () => {
-  try {
-    geminiModel = genAI.getGenerativeModel(geminiInfo);
-    const t = await geminiModel.generateContent('Ping');
-    console.log('✅ Gemini ready →', t.response.text().slice(0, 30), '…');
-  } catch (e) {
-    console.error('Gemini init failed:', e.message); process.exit(1);
-  }
-})();
-
-/* ───────────────── Helpers & Prompts ───────────────────────────── */
-const FIELD_LIST = [
-  'ClientName', 'FundingAgency', 'BiddingSystem', 'NameOfWork', 'ProjectLocation', 
-  'CompletionPeriod', 'EstimatedCost', 'TenderDocumentCost', 'EMD', 'ImportantDates', 
-  'BidValidity', 'TenderSecurity', 'JointVenture', 'PowerOfAttorney', 
-  'GroundsForBidRejection', 'EligibilityCriteria', 'SiteVisit', 
-  'GeotechnicalReports', 'LandAvailability', 'OtherLandAvailability'
-];
-
-const preprocess = txt => txt.replace(/\s+/g, ' ').replace(/[\u00A0]/g, ' ').trim();
-
-const buildPrompt = (name, txt) => `
-You are an expert construction-contract analyst.
-Task: extract the following fields. Return *strict* JSON. If a field is NOT explicitly present, output null.
-interface ContractInfo{ ${FIELD_LIST.map(f => `${f}:string|null;`).join('')} }
-Document «${name}»: <<<${txt}>>>`;
-
-const submittalPrompt = (name, txt) => `
-You are an expert bid-document reviewer.
-GOAL: return an array called "submittals".  
-Include every document / certificate / schedule / form that the bidder
-must submit with the bid *and* every page that contains blanks
-(______, ________) to be filled by the bidder.
-
-Return STRICT JSON:
-interface Submittal {
-  item:  string;
-  page:  number | null;
-  reason?: string;
+/* ───────────────── LLM Init ────────────────────────────────────── */
+// Default provider comes from LLM_PROVIDER / LLM_MODEL; uploads may override
+let defaultLlm;
+try {
+  defaultLlm = getProvider();
+} catch (e) {
+  if (require.main !== module) throw e;
+  console.error(`❌  ${e.message}`); process.exit(1);
 }
-interface Response { submittals: Submittal[] }
-
-RULES
-• The array may be empty if the PDF does not specify submittals.
-• If page number cannot be found, use null.
-• Never invent items. Only what is explicitly in the document.
-DOCUMENT «${name}»: <<<${txt}>>>`;
-
-function extractJson(text) {
-  let clean = text.replace(/``````/g, '').trim();
-  try { return JSON.parse(clean); } catch { }
-  const first = clean.indexOf('{');
-  const last = clean.lastIndexOf('}');
-  if (first !== -1 && last !== -1) {
-    return JSON.parse(clean.slice(first, last + 1));
-  }
-  throw new Error('Model response is not valid JSON');
+
+// Only live providers are pinged: replay has nothing to ask and
+// record would store a "Ping" fixture on every start
+async function checkLlm() {
+  if (defaultLlm.mode === 'replay') {
+    console.log(`✅ ${defaultLlm.name} replaying fixtures (offline mode)`);
+    return;
+  }
+  if (defaultLlm.mode === 'offline') {
+    console.log('✅ Rule-based extraction only, no LLM (offline mode)');
+    return;
+  }
+  if (defaultLlm.mode === 'record') {
+    console.log(`✅ ${defaultLlm.name} recording fixtures`);
+    return;
+  }
+  try {
+    const t = await defaultLlm.generate('Ping', { maxOutputTokens: 16 });
+    console.log(`✅ ${defaultLlm.name} ready →`, t.slice(0, 30), '…');
+  } catch (e) {
+    console.error(`${defaultLlm.name} init failed:`, e.message); process.exit(1);
+  }
 }
 
 /* ───────────────── Background Processing Function ───────────────── */
-async function processContract(docId, pdfBuffer, pdfName) {
-  try {
-    // Update status to processing
-    await Contract.findByIdAndUpdate(docId, { status: 'processing' });
-    console.log(`🔄 Processing document ${docId}...`);
+const ACCEPT_ATTEMPTS = 5;
 
-    const parsed = await pdf(pdfBuffer);
-    const text = preprocess(parsed.text || '');
-    
-    if (!text) {
-      await Contract.findByIdAndUpdate(docId, { 
-        status: 'failed', 
-        errorMessage: 'Empty or non-text PDF' 
-      });
-      return;
-    }
+// Makes a completed run's output the Contract's current values.
+// Checklist progress is carried over to items of the same name, and
+// what addenda changed is applied again (re-runs read the base files only).
+// The write only lands if fields and checklist are still as read, so
+// edits made meanwhile are never overwritten; it is retried on the new values.
+async function acceptRun(run, extra = {}) {
+  for (let attempt = 1; attempt <= ACCEPT_ATTEMPTS; attempt++) {
+    const current = await Contract.findById(run.contract,
+      { pdfName: 1, fields: 1, submittals: 1, versions: 1, addenda: 1, pages: 1 }).lean();
+    if (!current) throw permanentError('Contract no longer exists');
+    const versionsSoFar = current.versions || [];
+    const removedByAddenda = (current.addenda || []).filter(a => a.status === 'completed').flatMap(a => a.removedSubmittals || []);
+    const amended = carryAmendments(current, run.output, removedByAddenda);
+    // Reviewed values outrank any run
+    const fields = carryReviews(current.fields, amended.fields);
+    const submittals = carryChecklist(current.submittals, amended.submittals);
 
-    // Process submittals first
-    const submittalsResponse = await geminiModel.generateContent(
-      submittalPrompt(pdfName, text),
-      { generationConfig: { temperature: 0.1, maxOutputTokens: 1024 } }
-    );
+    // An amended or reviewed date field keeps the events it gave
+    const dateKey = fieldsOfType(contractFields(run), 'date')[0];
+    const dates = dateKey && fields[dateKey];
+    const calendar = dates && (dates.amendedBy || dates.review)
+      ? mergeCalendar(run.output.calendar || [], parseImportantDates(dates.value, current.pages || [], { fallbackPage: dates.page }))
+      : run.output.calendar;
 
-    // Wait before second call
-    await new Promise(res => setTimeout(res, 15000));
+    // Contracts without history keep their previous values as version 1
+    const versions = versionsSoFar.length || !current.fields
+      ? []
+      : [snapshot(current, { version: 1, kind: 'extraction', name: current.pdfName })];
+    versions.push(snapshot({ fields, submittals }, {
+      version: versionsSoFar.length + versions.length + 1, kind: 'extraction', name: `Run ${run.number}`
+    }));
 
-    // Process fields
-    const fieldsResponse = await geminiModel.generateContent(
-      buildPrompt(pdfName, text),
-      { generationConfig: { temperature: 0.1, maxOutputTokens: 2048 } }
-    );
+    // Cast by the schema (defaults, _ids); the filter compares the stored
+    // values as read, which a Mongoose-cast filter would not
+    const cast = new Contract({ submittals, calendar }).toObject();
+    const unchanged = (k, v) => ({ [k]: v === undefined ? { $exists: false } : v });
+    const { matchedCount } = await Contract.collection.updateOne({
+      _id: current._id,
+      ...unchanged('fields', current.fields),
+      ...unchanged('submittals', current.submittals),
+      ...unchanged('versions', current.versions)
+    }, {
+      $set: {
+        fields,
+        submittals: cast.submittals,
+        calendar: cast.calendar,
+        template: run.template,
+        provider: run.provider,
+        model: run.model,
+        acceptedRun: run.number,
+        chunks: run.chunks,
+        repairRetries: run.repairRetries,
+        validation: run.validation || [],
+        ...extra
+      },
+      $push: { versions: { $each: versions } }
+    });
+    if (matchedCount) return;
+  }
+  throw new Error(`Contract ${run.contract} kept changing while run ${run.number} was accepted; try again`);
+}
 
-    const fieldsData = extractJson(fieldsResponse.response.text());
-    for (const k of FIELD_LIST) {
-      if (!(k in fieldsData)) fieldsData[k] = null;
-    }
+// Throws on failure; the job queue decides between retry and 'failed'.
+// Every attempt is stored as a Run; an upload's run is accepted at once,
+// a re-run only when asked to (opts.accept).
+// files: [{ name, buffer, source? }] — one PDF, or every PDF of a package
+async function processContract(docId, files, pdfName, llm = defaultLlm, templateFields = DEFAULT_FIELDS,
+  { trigger = 'upload', accept = trigger === 'upload', template = null } = {}) {
+  // Update status to processing
+  if (trigger === 'upload') await Contract.findByIdAndUpdate(docId, { status: 'processing' });
+  console.log(`🔄 Processing document ${docId}${trigger === 'reprocess' ? ' (re-run)' : ''}...`);
 
-    const submittalsData = extractJson(submittalsResponse.response.text());
-    let submittals = submittalsData.submittals || [];
-    submittals = submittals.map(x => ({
-      item: x.item || '',
-      page: x.page == null ? null : x.page,
-      reason: x.reason || ''
-    }));
+  const startedAt = new Date();
+  const { ask, log } = schemaCalls(llm);
+  const runInfo = () => ({
+    contract: docId,
+    trigger,
+    provider: llm.name,
+    model: llm.model,
+    promptVersion: promptVersion(PROMPTS, templateFields),
+    template: template || { name: DEFAULT_TEMPLATE, fields: templateFields },
+    startedAt,
+    finishedAt: new Date(),
+    durationMs: Date.now() - startedAt,
+    calls: log.calls,
+    repairRetries: log.repairRetries,
+    validation: log.validation
+  });
 
-    // Update with results and mark as completed
+  let result;
+  try {
+    result = await extractContract(docId, files, pdfName, ask, templateFields, { rules: rulesMode(llm) });
+  } catch (e) {
+    await recordRun({ ...runInfo(), status: 'failed', error: e.message, ...(e.validation && { validation: e.validation }) })
+      .catch(err => console.error(`❌ Could not record the failed run of ${docId}:`, err.message));
+    throw e;
+  }
+
+  const { fields, submittals, calendar, fileInfo, pages, ocr, chunks } = result;
+  const run = await recordRun({ ...runInfo(), status: 'completed', chunks, output: { fields, submittals, calendar } });
+
+  if (trigger === 'upload') {
+    await storePackageBoq(docId, files, fileInfo);
     await Contract.findByIdAndUpdate(docId, {
-      fields: fieldsData,
-      submittals: submittals,
-      status: 'completed'
+      fields,
+      calendar,
+      submittals,
+      files: fileInfo.map((f, j) => ({ ...f, source: files[j].source })),
+      numPages: pages.length,
+      pages,
+      ocrPages: ocr,
+      chunks,
+      repairRetries: log.repairRetries,
+      validation: log.validation,
+      acceptedRun: run.number,
+      versions: [snapshot({ fields, submittals }, { version: 1, kind: 'extraction', name: pdfName })],
+      status: 'completed',
+      errorMessage: null
     });
+  } else if (accept) {
+    await acceptRun(run);
+  }
 
-    console.log(`✅ Document ${docId} processing completed!`);
+  console.log(`✅ Document ${docId} processing completed (run ${run.number})!`);
+  return run;
+}
 
+// Bills of quantities in the uploaded PDFs; a table that can't be read
+// never fails the extraction
+async function storePackageBoq(docId, files, fileInfo) {
+  try {
+    for (const boq of await packageBoq(files, fileInfo)) {
+      await saveBoq(docId, boq.name, boq);
+      console.log(`📐 ${docId}: ${boq.items.length} BOQ items in ${boq.name}, ${boq.issues.length} arithmetic issue(s)`);
+    }
   } catch (e) {
-    console.error(`❌ Error processing document ${docId}:`, e);
-    await Contract.findByIdAndUpdate(docId, {
-      status: 'failed',
-      errorMessage: e.message
+    console.warn(`⚠️  BOQ extraction failed for ${docId}:`, e.message);
+  }
+}
+
+/* ───────────────── Addendum Processing ─────────────────────────── */
+// Reads one addendum against the contract's current values and records
+// the result as a new version. file: { name, buffer }
+async function processAddendum(docId, addendumId, file, llm = defaultLlm) {
+  const doc = await Contract.findById(docId);
+  if (!doc) throw permanentError('Contract no longer exists');
+  const addendum = doc.addenda.id(addendumId);
+  if (!addendum) throw permanentError('Addendum no longer exists');
+  await Contract.updateOne({ _id: docId, 'addenda._id': addendumId }, { 'addenda.$.status': 'processing' });
+  console.log(`🔄 Processing addendum ${addendum.name} of ${docId}...`);
+
+  const { pages: addPages, ocr } = await readPdf(file.buffer);
+  if (!addPages.some(Boolean)) throw permanentError(ocr.length ? 'No text found in the PDF, not even by OCR' : 'Empty or non-text PDF');
+
+  // Addendum pages follow the contract's, so page references stay unique
+  const current = doc.toObject();
+  const firstPage = current.pages.length + 1;
+  const ocrPages = ocr.map(o => ({ ...o, page: firstPage + o.page - 1, file: addendum.name, filePage: o.page }));
+  const pages = [...current.pages, ...addPages];
+  const fileInfo = [
+    ...(current.files.length
+      ? current.files.map(({ source, ...f }) => f)
+      : [{ name: current.pdfName, numPages: current.pages.length, firstPage: 1 }]),
+    { name: addendum.name, numPages: addPages.length, firstPage, addendum: addendum._id }
+  ];
+
+  const templateFields = contractFields(current);
+  const keys = templateFields.map(f => f.key);
+  const schema = addendumSchema(keys);
+  const chunks = chunkPages(addPages, undefined, firstPage);
+  const { ask, log } = schemaCalls(llm);
+  const changeResults = [];
+  const added = [];
+  const removed = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const name = chunks.length === 1 ? addendum.name : `${addendum.name} (part ${i + 1} of ${chunks.length})`;
+    const data = await ask('addendum', i + 1,
+      addendumPrompt(name, chunks[i], templateFields, current.fields || {}, current.submittals),
+      schema, { temperature: 0.1, maxOutputTokens: 4096 }
+    );
+    // Only the fields the model reports as changed; their quotes must be in
+    // the addendum itself, not anywhere in the contract
+    const changed = Object.keys(data.changes).filter(k => keys.includes(k) && data.changes[k] && data.changes[k].value != null);
+    changeResults.push(verifyFields(data.changes, changed, addPages, firstPage));
+    added.push(...checkedSubmittals(data.addedSubmittals || [], addPages, firstPage));
+    removed.push(...(data.removedSubmittals || []));
+  }
+
+  const changes = mergeFields(changeResults, [...new Set(changeResults.flatMap(Object.keys))]);
+  // Forms the addendum adds or reissues are found like the contract's
+  const forms = findForms(pages, fileInfo.slice(-1));
+
+  // The changes go onto the latest values and land in one write, which, as
+  // in acceptRun, only matches if fields and checklist are still as read:
+  // checklist and review edits made while the model was reading are kept
+  for (let attempt = 1; attempt <= ACCEPT_ATTEMPTS; attempt++) {
+    const latest = await Contract.findById(docId,
+      { pdfName: 1, fields: 1, submittals: 1, calendar: 1, versions: 1, 'addenda._id': 1 }).lean();
+    if (!latest) throw permanentError('Contract no longer exists');
+    if (!latest.addenda.some(a => a._id.equals(addendum._id))) throw permanentError('Addendum no longer exists');
+    const result = applyChanges(latest, { changes, added: mergeForms(mergeSubmittals([added]), forms), removed }, addendum.name);
+    normalizeMoneyFields(result.fields, fieldsOfType(templateFields, 'money').filter(k => result.changedFields.includes(k)));
+    // Only what the addendum brought: the rest is shared with `latest`, the filter below
+    withProvenance(Object.fromEntries(result.changedFields.map(k => [k, result.fields[k]])), result.submittals.filter(s => !s._id), fileInfo);
+
+    // A changed date field only replaces the events it mentions
+    const dateKey = fieldsOfType(templateFields, 'date').find(k => result.changedFields.includes(k));
+    const calendar = dateKey
+      && mergeCalendar(latest.calendar, parseImportantDates(result.fields[dateKey].value, pages, { fallbackPage: result.fields[dateKey].page }));
+
+    // Contracts extracted before version history get their version 1 now
+    const versions = (latest.versions || []).length
+      ? []
+      : [snapshot(latest, { version: 1, kind: 'extraction', name: latest.pdfName })];
+    const version = (latest.versions || []).length + versions.length + 1;
+    versions.push(snapshot(result, { version, kind: 'addendum', addendum: addendum._id, name: addendum.name }));
+
+    // Cast by the schema (defaults, _ids of added items); the filter compares
+    // the stored values as read, which a Mongoose-cast filter would not
+    const cast = new Contract({ submittals: result.submittals, calendar: calendar || [] }).toObject();
+    const unchanged = (k, v) => ({ [k]: v === undefined ? { $exists: false } : v });
+    const { matchedCount } = await Contract.collection.updateOne({
+      _id: latest._id,
+      'addenda._id': addendum._id,
+      ...unchanged('fields', latest.fields),
+      ...unchanged('submittals', latest.submittals),
+      ...unchanged('versions', latest.versions)
+    }, {
+      $set: {
+        fields: result.fields,
+        submittals: cast.submittals,
+        ...(calendar && { calendar: cast.calendar }),
+        files: fileInfo,
+        pages,
+        numPages: pages.length,
+        'addenda.$.status': 'completed',
+        'addenda.$.errorMessage': null,
+        'addenda.$.version': version,
+        'addenda.$.changedFields': result.changedFields,
+        'addenda.$.unverifiedChanges': result.unverified,
+        'addenda.$.addedSubmittals': result.added,
+        'addenda.$.removedSubmittals': result.removed
+      },
+      $inc: { repairRetries: log.repairRetries },
+      $push: {
+        versions: { $each: versions },
+        validation: { $each: log.validation },
+        ocrPages: { $each: ocrPages }
+      }
     });
+    if (matchedCount) {
+      console.log(`✅ Addendum ${addendum.name} applied: ${result.changedFields.length} field(s) changed${result.unverified.length ? ` (${result.unverified.length} unverified held back)` : ''}, +${result.added.length}/-${result.removed.length} checklist item(s)`);
+      return;
+    }
   }
+  throw new Error(`Contract ${docId} kept changing while addendum ${addendum.name} was applied; try again`);
+}
+
+/* ───────────────── Job Workers ─────────────────────────────────── */
+// Uploaded PDFs of a contract; older contracts hold a single source
+const uploadedFiles = doc => (doc.files && doc.files.length
+  ? doc.files
+  : [{ name: doc.pdfName, source: doc.source }]);
+
+// The GridFS copies are dropped once the job has finished either way
+async function dropSources(doc) {
+  for (const f of uploadedFiles(doc)) if (f.source) await deleteSource(f.source);
+  await Contract.updateOne({ _id: doc._id }, {
+    $unset: { source: 1, ...(doc.files && doc.files.length && { 'files.$[].source': 1 }) }
+  });
+}
+
+// Addendum jobs report their state on the addendum, not on the Contract
+const setAddendum = (job, update) => Contract.findOneAndUpdate(
+  { _id: job.contract, 'addenda._id': job.payload.addendum },
+  Object.fromEntries(Object.entries(update).map(([k, v]) => [`addenda.$.${k}`, v]))
+);
+
+async function runAddendum(job) {
+  const doc = await Contract.findById(job.contract, { addenda: 1 });
+  const addendum = doc && doc.addenda.id(job.payload.addendum);
+  if (!addendum) throw permanentError('Addendum no longer exists');
+  if (!addendum.source) throw permanentError('Source PDF is missing');
+  const llm = getProvider({ provider: job.payload.provider, model: job.payload.model });
+  await processAddendum(doc._id, addendum._id, { name: addendum.name, buffer: await loadSource(addendum.source) }, llm);
+  await deleteSource(addendum.source);
+  await Contract.updateOne({ _id: doc._id, 'addenda._id': addendum._id }, { $unset: { 'addenda.$.source': 1 } });
+}
+
+// Re-runs read the stored page text, so the PDFs are not needed again;
+// pages added by addenda are left out
+async function runReprocess(job) {
+  const doc = await Contract.findById(job.contract, { pdfName: 1, files: 1, pages: 1, template: 1 });
+  if (!doc) throw permanentError('Contract no longer exists');
+  if (!doc.pages || !doc.pages.length) throw permanentError('Contract has no stored page text');
+  const base = doc.files.filter(f => !f.addendum && f.firstPage);
+  const files = base.length
+    ? base.map(f => ({ name: f.name, pages: doc.pages.slice(f.firstPage - 1, f.firstPage - 1 + f.numPages) }))
+    : [{ name: doc.pdfName, pages: doc.pages }];
+  const template = job.payload.template || doc.template || null;
+  const llm = getProvider({ provider: job.payload.provider, model: job.payload.model });
+  await processContract(doc._id, files, doc.pdfName, llm, contractFields({ template }), {
+    trigger: 'reprocess', accept: !!job.payload.accept, template
+  });
+}
+
+async function startJobWorkers() {
+  // Contracts (or addenda) whose jobs were interrupted by a restart go back to 'pending'
+  const recovered = await recoverJobs({ onStartup: true });
+  if (recovered.length) {
+    const extractions = recovered.filter(j => !['addendum', 'reprocess'].includes(j.kind));
+    await Contract.updateMany({ _id: { $in: extractions.map(j => j.contract) } }, { status: 'pending' });
+    for (const j of recovered.filter(x => x.kind === 'addendum')) await setAddendum(j, { status: 'pending' });
+    console.log(`♻️  Re-queued ${recovered.length} interrupted job(s)`);
+  }
+
+  stopWorkers = startWorkers({
+    async run(job) {
+      if (job.kind === 'addendum') return runAddendum(job);
+      if (job.kind === 'reprocess') return runReprocess(job);
+      const doc = await Contract.findById(job.contract);
+      if (!doc) throw permanentError('Contract no longer exists');
+      // An earlier claim of this job got as far as finishing it
+      if (doc.status === 'completed') return;
+      const uploads = uploadedFiles(doc);
+      if (uploads.some(f => !f.source)) throw permanentError('Source PDF is missing');
+      const llm = getProvider({ provider: job.payload.provider, model: job.payload.model });
+      const files = [];
+      for (const f of uploads) files.push({ name: f.name, source: f.source, buffer: await loadSource(f.source) });
+      try {
+        await processContract(doc._id, files, doc.pdfName, llm, contractFields(doc), { template: doc.template });
+      } catch (e) {
+        // Out of retries on quota / outage: keep what the rules can read
+        // instead of failing; a re-run with the LLM can follow later
+        if (!isTransient(e) || job.attempts < job.maxAttempts || llm.mode === 'offline' || process.env.RULES_FALLBACK === 'off') throw e;
+        console.warn(`⚠️  ${llm.name} unavailable for ${doc._id} (${e.message}); falling back to rule-based extraction`);
+        await processContract(doc._id, files, doc.pdfName, getProvider({ provider: 'rules' }), contractFields(doc), { template: doc.template });
+        await Contract.updateOne({ _id: doc._id }, {
+          errorMessage: `${llm.name} unavailable (${e.message}); only rule-based values were extracted`
+        });
+      }
+      await dropSources(doc);
+    },
+    async onRetry(job, e, delay) {
+      if (job.kind === 'reprocess') return;   // the failed attempt is on record as a run
+      const update = {
+        status: 'pending',
+        errorMessage: `Attempt ${job.attempts} failed: ${e.message} (retrying in ${Math.round(delay / 1000)}s)`
+      };
+      if (job.kind === 'addendum') await setAddendum(job, update);
+      else await Contract.findByIdAndUpdate(job.contract, update);
+    },
+    async onFail(job, e) {
+      if (job.kind === 'reprocess') {
+        console.error(`❌ Re-run of ${job.contract} failed:`, e.message);
+        return;
+      }
+      if (job.kind === 'addendum') {
+        console.error(`❌ Error processing addendum of ${job.contract}:`, e);
+        const doc = await setAddendum(job, { status: 'failed', errorMessage: e.message });
+        const addendum = doc && doc.addenda.id(job.payload.addendum);
+        if (addendum && addendum.source) {
+          await deleteSource(addendum.source);
+          await Contract.updateOne({ _id: doc._id, 'addenda._id': addendum._id }, { $unset: { 'addenda.$.source': 1 } });
+        }
+        return;
+      }
+      console.error(`❌ Error processing document ${job.contract}:`, e);
+      const doc = await Contract.findByIdAndUpdate(job.contract, {
+        status: 'failed',
+        errorMessage: e.message,
+        ...(e.validation && { validation: e.validation, repairRetries: e.repairRetries })
+      });
+      if (doc) await dropSources(doc);
+    }
+  });
 }
 
 /* ───────────────── API Endpoints ───────────────────────────────── */
 app.get('/health', (req, res) => res.json({
-  status: 'healthy', ai_provider: 'google-gemini', model: geminiInfo.model,
-  db: mongoStatus, ts: new Date().toISOString()
+  status: 'healthy', ai_provider: defaultLlm.name, model: defaultLlm.model,
+  llm_mode: defaultLlm.mode, providers: listProviders(), rate_limits: limiterStats(), db: mongoStatus, ts: new Date().toISOString()
 }));
 
+// Saves the uploads, creates the pending Contract and queues its job
+// uploads: multer files; pdfName: the contract's display name
+async function queueUpload(req, res, uploads, pdfName) {
+  // Optional per-request provider/model (multipart fields)
+  let llm;
+  try {
+    llm = getProvider({ provider: req.body.provider, model: req.body.model });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  // Optional template (name or _id); the default one otherwise
+  const template = await resolveTemplate(req.body.template);
+  if (!template) return res.status(400).json({ error: `Unknown template "${req.body.template}"` });
+
+  // Keep the PDFs in Mongo so the job survives a restart
+  const files = [];
+  for (const f of uploads) files.push({ name: f.originalname, source: await saveSource(f.buffer, f.originalname) });
+
+  // Create document with pending status
+  const doc = await new Contract({
+    pdfName,
+    files,
+    template: templateSnapshot(template),
+    provider: llm.name,
+    model: llm.model,
+    status: 'pending'
+  }).save();
+
+  // Queue background processing; a worker picks it up
+  await enqueue(doc._id, { provider: llm.name, model: llm.model });
+
+  // Return immediately
+  return res.json({
+    success: true,
+    _id: doc._id,
+    pdfName: doc.pdfName,
+    files: files.map(f => f.name),
+    status: 'pending',
+    provider: llm.name,
+    model: llm.model,
+    template: template.name,
+    message: `${files.length > 1 ? `${files.length} documents` : 'Document'} uploaded successfully. Processing queued.`
+  });
+}
+
 // Async upload endpoint - returns immediately
 app.post('/api/summarize', upload.single('pdf'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
+    return await queueUpload(req, res, [req.file], req.file.originalname);
+  } catch (e) {
+    console.error('❌', e);
+    return res.status(500).json({ error: e.message });
+  }
+});
 
-    const pdfName = req.file.originalname;
-    const pdfBuffer = req.file.buffer;
-
-    // Create document with pending status
-    const doc = await new Contract({
-      pdfName: pdfName,
-      status: 'pending'
-    }).save();
-
-    // Start background processing (don't await!)
-    processContract(doc._id, pdfBuffer, pdfName);
+// Tender package: several PDFs (multipart field "pdfs") analyzed as one tender
+// Optional "name" field; defaults to "<first file> + n more"
+app.post('/api/packages', packageUpload.array('pdfs', MAX_PACKAGE_FILES), async (req, res) => {
+  try {
+    if (!req.files || !req.files.length) return res.status(400).json({ error: 'No PDFs uploaded' });
+    const notPdf = req.files.find(f => !/\.pdf$/i.test(f.originalname) && f.mimetype !== 'application/pdf');
+    if (notPdf) return res.status(400).json({ error: `${notPdf.originalname} is not a PDF` });
+    const name = (req.body.name || '').trim() || packageName(req.files.map(f => f.originalname));
+    return await queueUpload(req, res, req.files, name);
+  } catch (e) {
+    console.error('❌', e);
+    return res.status(500).json({ error: e.message });
+  }
+});
 
-    // Return immediately
-    return res.json({
+// Files of a package with their page ranges and what was found in each
+app.get('/api/packages/:id', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pages: 0 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const fields = Object.entries(doc.fields || {});
+    res.json({
       success: true,
       _id: doc._id,
       pdfName: doc.pdfName,
-      status: 'pending',
-      message: 'Document uploaded successfully. Processing started.'
+      status: doc.status,
+      numPages: doc.numPages || null,
+      files: uploadedFiles(doc).map(f => ({
+        name: f.name,
+        numPages: f.numPages ?? null,
+        pages: f.firstPage ? [f.firstPage, f.firstPage + f.numPages - 1] : null,
+        ocrPages: (doc.ocrPages || []).filter(o => o.file === f.name).map(o => o.page),
+        fields: fields.filter(([, v]) => v && v.file === f.name).map(([k]) => k),
+        submittals: (doc.submittals || []).filter(x => x.file === f.name).length
+      }))
     });
-
   } catch (e) {
-    console.error('❌', e);
-    return res.status(500).json({ error: e.message });
+    res.status(500).json({ error: e.message });
   }
 });
 
 // Check status of a document
 app.get('/api/status/:id', async (req, res) => {
   try {
-    const doc = await Contract.findById(req.params.id);
+    const doc = await Contract.findById(req.params.id, { pages: 0 });
     if (!doc) return res.status(404).json({ error: "Not found" });
+    const job = await Job.findOne({ contract: doc._id }).sort({ createdAt: -1 });
     
     res.json({
       success: true,
       _id: doc._id,
       pdfName: doc.pdfName,
       status: doc.status,
+      provider: doc.provider || null,
+      model: doc.model || null,
+      template: doc.template ? doc.template.name : DEFAULT_TEMPLATE,
+      reviewStatus: doc.reviewStatus || 'not reviewed',
       errorMessage: doc.errorMessage || null,
       hasFields: !!doc.fields,
-      hasSubmittals: doc.submittals && doc.submittals.length > 0
+      hasSubmittals: doc.submittals && doc.submittals.length > 0,
+      repairRetries: doc.repairRetries || 0,
+      validation: doc.validation || [],
+      ocrPages: doc.ocrPages || [],
+      job: job ? {
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        runAfter: job.runAfter,
+        lastError: job.lastError || null
+      } : null
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -260,7 +760,7 @@ app.get('/api/status/:id', async (req, res) => {
 app.get('/api/history', async (req, res) => {
   try {
     const docs = await Contract.find({}, { 
-      pdfName: 1, createdAt: 1, status: 1 
+      pdfName: 1, createdAt: 1, status: 1, reviewStatus: 1 
     }).sort({ createdAt: -1 });
     res.json({
       success: true,
@@ -268,7 +768,8 @@ app.get('/api/history', async (req, res) => {
         _id: d._id, 
         pdfName: d.pdfName, 
         createdAt: d.createdAt,
-        status: d.status 
+        status: d.status,
+        reviewStatus: d.reviewStatus || 'not reviewed'
       }))
     });
   } catch (e) {
@@ -283,9 +784,12 @@ app.get('/api/summarize/:id', async (req, res) => {
     if (!doc) return res.status(404).json({ error: "Not found" });
     res.json({ 
       success: true, 
-      fields: doc.fields, 
+      fields: flattenFields(doc.fields), 
+      evidence: fieldEvidence(doc.fields),
+      checks: moneyChecks(doc.fields),
       pdfName: doc.pdfName,
-      status: doc.status 
+      status: doc.status,
+      reviewStatus: doc.reviewStatus || 'not reviewed'
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -300,6 +804,7 @@ app.get('/api/submittals/:id', async (req, res) => {
     res.json({ 
       success: true, 
       submittals: doc.submittals || [], 
+      progress: checklistProgress(doc),
       pdfName: doc.pdfName,
       status: doc.status 
     });
@@ -308,7 +813,882 @@ app.get('/api/submittals/:id', async (req, res) => {
   }
 });
 
+// Parsed tender amounts across all documents
+// ?sort=EMD&order=asc&min=100000&max=500000 (min/max apply to the sort field)
+app.get('/api/amounts', async (req, res) => {
+  try {
+    const sort = MONEY_FIELDS.includes(req.query.sort) ? req.query.sort : 'EstimatedCost';
+    const path = `fields.${sort}.money.amount`;
+    const filter = { status: 'completed' };
+    if (req.query.min || req.query.max) {
+      filter[path] = {
+        ...(req.query.min && { $gte: Number(req.query.min) }),
+        ...(req.query.max && { $lte: Number(req.query.max) })
+      };
+    }
+    const docs = await Contract.find(filter, { pdfName: 1, createdAt: 1, fields: 1 })
+      .sort({ [path]: req.query.order === 'asc' ? 1 : -1 });
+    res.json({
+      success: true,
+      sort,
+      tenders: docs.map(d => ({
+        _id: d._id,
+        pdfName: d.pdfName,
+        createdAt: d.createdAt,
+        amounts: Object.fromEntries(MONEY_FIELDS.map(k => {
+          const f = d.fields && d.fields[k];
+          const money = (f && f.money) || {};
+          return [k, f ? { text: fieldValue(f), amount: money.amount ?? null, currency: money.currency ?? null, percent: money.percent ?? null } : null];
+        })),
+        checks: moneyChecks(d.fields)
+      }))
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// iCalendar feed of every analyzed tender's deadlines (subscribe to this URL)
+app.get('/api/calendar.ics', async (req, res) => {
+  try {
+    const docs = await Contract.find({ 'calendar.0': { $exists: true } }, { pdfName: 1, calendar: 1 });
+    res.type('text/calendar').send(toIcs(docs));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Deadlines of one tender, as JSON or (with .ics) as a calendar file
+app.get('/api/calendar/:id.ics', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, calendar: 1 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    res.type('text/calendar')
+      .attachment(`${doc.pdfName.replace(/\.pdf$/i, '')}.ics`)
+      .send(toIcs([doc], doc.pdfName));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/calendar/:id', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, calendar: 1, status: 1 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    res.json({
+      success: true,
+      pdfName: doc.pdfName,
+      status: doc.status,
+      events: doc.calendar || []
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ───────────────── Bills of Quantities ─────────────────────────── */
+const boqSummary = boq => ({
+  items: boq.items.length,
+  amount: boq.items.reduce((sum, it) => sum + (it.amount || 0), 0),
+  issues: boq.issues.length
+});
+
+// Line items as CSV; the Check column flags quantity × rate ≠ amount
+app.get('/api/boq/:id.csv', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const boq = await Boq.findOne({ contract: doc._id }).lean();
+    res.type('text/csv')
+      .attachment(`${doc.pdfName.replace(/\.pdf$/i, '')} - BOQ.csv`)
+      .send(boqCsv(boq || { items: [] }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Items, totals and arithmetic issues; empty until a BOQ was found or uploaded
+app.get('/api/boq/:id', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, status: 1 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const boq = (await Boq.findOne({ contract: doc._id }).lean()) || { sources: [], items: [], totals: [], issues: [] };
+    res.json({
+      success: true,
+      pdfName: doc.pdfName,
+      status: doc.status,
+      summary: boqSummary(boq),
+      sources: boq.sources,
+      items: boq.items,
+      totals: boq.totals,
+      issues: boq.issues,
+      updatedAt: boq.updatedAt || null
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// BOQ file (.pdf / .xlsx / .csv, multipart field "file") for this contract;
+// replaces the items an earlier upload of the same file name gave.
+// PDF pages are numbered within that file
+app.post('/api/boq/:id', upload.single('file'), async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { _id: 1 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const name = req.file.originalname;
+    if (!/\.(pdf|xlsx|csv)$/i.test(name)) return res.status(400).json({ error: 'Upload a .pdf, .xlsx or .csv file' });
+    let found;
+    try {
+      found = await extractBoq(req.file.buffer, name);
+    } catch (e) {
+      return res.status(400).json({ error: `Could not read ${name}: ${e.message}` });
+    }
+    if (!found.items.length) return res.status(400).json({ error: found.warnings[0], warnings: found.warnings });
+    const boq = await saveBoq(doc._id, name, found);
+    res.json({
+      success: true,
+      source: name,
+      items: found.items.length,
+      issues: found.issues,
+      warnings: found.warnings,
+      summary: boqSummary(boq)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ───────────────── Company Profiles & Eligibility ─────────────── */
+app.get('/api/companies', async (req, res) => {
+  try {
+    const companies = await Company.find().sort({ name: 1 });
+    res.json({ success: true, companies });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/companies/:id', async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) return res.status(404).json({ error: "Not found" });
+    res.json({ success: true, company });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// { name, turnovers?: [{ year: "2021-22", amount }], netWorth?: [{ year, amount }],
+//   solvency?: [{ amount, issuedBy, issuedOn }], projects?: [{ name, client, value,
+//   startedOn, completedOn, description }], certifications?: [{ name, number, validUntil }], notes? }
+app.post('/api/companies', async (req, res) => {
+  try {
+    const body = { ...req.body };
+    const error = validateCompany(body);
+    if (error) return res.status(400).json({ error });
+    const company = await Company.create(Object.fromEntries(COMPANY_KEYS.filter(k => k in body).map(k => [k, body[k]])));
+    res.status(201).json({ success: true, company });
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ error: `A company named "${req.body.name}" already exists` });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Lists sent replace the stored ones
+app.put('/api/companies/:id', async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) return res.status(404).json({ error: "Not found" });
+    const body = { ...req.body };
+    const error = validateCompany(body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    for (const k of COMPANY_KEYS) if (k in body) company[k] = body[k];
+    company.updatedAt = new Date();
+    await company.save();
+    res.json({ success: true, company });
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ error: `A company named "${req.body.name}" already exists` });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/companies/:id', async (req, res) => {
+  try {
+    const company = await Company.findByIdAndDelete(req.params.id);
+    if (!company) return res.status(404).json({ error: "Not found" });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Go / no-go of one tender for a company profile: ?company=<id>, which may
+// be left out while only one profile exists
+app.get('/api/eligibility/:id', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, status: 1, fields: 1, calendar: 1 }).lean();
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    let company;
+    if (req.query.company) {
+      company = await Company.findById(req.query.company).lean();
+      if (!company) return res.status(404).json({ error: 'Company not found' });
+    } else {
+      const companies = await Company.find().limit(2).lean();
+      if (!companies.length) return res.status(400).json({ error: 'No company profile yet (POST /api/companies)' });
+      if (companies.length > 1) return res.status(400).json({ error: 'Several company profiles exist; pass ?company=<id>' });
+      company = companies[0];
+    }
+    res.json({
+      success: true,
+      pdfName: doc.pdfName,
+      status: doc.status,
+      company: { _id: company._id, name: company.name },
+      ...assessEligibility(doc, company)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ───────────────── Exports ───────────────────────────────────── */
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Tender Appreciation workbook for several tenders, one sheet each
+// ?ids=a,b,c (all completed tenders when omitted)
+app.get('/api/export.xlsx', async (req, res) => {
+  try {
+    const ids = req.query.ids ? String(req.query.ids).split(',').filter(Boolean) : null;
+    const bad = ids && ids.find(id => !mongoose.isValidObjectId(id));
+    if (bad) return res.status(400).json({ error: `Invalid contract id "${bad}"` });
+    const docs = await Contract.find(ids ? { _id: { $in: ids } } : { status: 'completed' }, { pages: 0 })
+      .sort({ createdAt: -1 }).lean();
+    if (!docs.length) return res.status(404).json({ error: "Not found" });
+    res.type(XLSX_TYPE).attachment('tender-appreciation.xlsx').send(await buildTadWorkbook(docs));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/export/:id.xlsx', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pages: 0 }).lean();
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    res.type(XLSX_TYPE)
+      .attachment(`${doc.pdfName.replace(/\.pdf$/i, '')} - Tender Appreciation.xlsx`)
+      .send(await buildTadWorkbook([doc]));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Printable Tender Appreciation report: /api/report/:id.pdf or .docx
+app.get('/api/report/:id.:format(pdf|docx)', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pages: 0 }).lean();
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const pdfOut = req.params.format === 'pdf';
+    const keys = contractFields(doc).map(f => f.key);
+    const buffer = pdfOut
+      ? await buildPdf(doc, { keys })
+      : await buildDocx(doc, { keys });
+    res.type(pdfOut ? 'application/pdf' : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document')
+      .attachment(`${doc.pdfName.replace(/\.pdf$/i, '')} - Tender Appreciation Report.${req.params.format}`)
+      .send(buffer);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ───────────────── Extraction Templates ──────────────────────── */
+app.get('/api/templates', async (req, res) => {
+  try {
+    await ensureDefaultTemplate();
+    const templates = await Template.find().sort({ name: 1 });
+    res.json({ success: true, templates });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await resolveTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: "Not found" });
+    res.json({ success: true, template });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// { name, description?, fields: [{ key, label?, type?, description? }] }
+app.post('/api/templates', async (req, res) => {
+  try {
+    const body = { ...req.body };
+    const error = validateTemplate(body);
+    if (error) return res.status(400).json({ error });
+    const template = await Template.create({ name: body.name, description: body.description || '', fields: body.fields });
+    res.status(201).json({ success: true, template });
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ error: `A template named "${req.body.name}" already exists` });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Question sheet (.xlsx / .csv, multipart field "file") → template
+// Fields: name (defaults to the file name), description, replace=true to
+// overwrite a template of that name, preview=true to only parse
+app.post('/api/templates/import', sheetUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No spreadsheet uploaded' });
+    let parsed;
+    try {
+      parsed = await parseQuestionSheet(req.file.buffer, req.file.originalname);
+    } catch (e) {
+      return res.status(400).json({ error: `Could not read ${req.file.originalname}: ${e.message}` });
+    }
+    const body = {
+      name: req.body.name || req.file.originalname.replace(/\.(xlsx|csv)$/i, ''),
+      description: req.body.description || `Imported from ${req.file.originalname}`,
+      fields: parsed.fields
+    };
+    const error = validateTemplate(body);
+    if (error) return res.status(400).json({ error, warnings: parsed.warnings });
+    if (req.body.preview === 'true') return res.json({ success: true, preview: true, template: body, warnings: parsed.warnings });
+
+    let template = await Template.findOne({ name: body.name });
+    if (template && req.body.replace !== 'true') {
+      return res.status(409).json({ error: `A template named "${body.name}" already exists (send replace=true to overwrite it)` });
+    }
+    if (template && template.name === DEFAULT_TEMPLATE) return res.status(400).json({ error: 'The default template cannot be replaced' });
+    const created = !template;
+    if (!template) template = new Template({ name: body.name });
+    Object.assign(template, {
+      description: body.description, fields: body.fields, importedFrom: req.file.originalname, updatedAt: new Date()
+    });
+    await template.save();
+    res.status(created ? 201 : 200).json({ success: true, template, warnings: parsed.warnings });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Partial update; contracts keep the copy they were extracted with
+app.put('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await resolveTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: "Not found" });
+    const body = { ...req.body };
+    const error = validateTemplate(body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    if (template.name === DEFAULT_TEMPLATE && body.name && body.name !== DEFAULT_TEMPLATE) {
+      return res.status(400).json({ error: 'The default template cannot be renamed' });
+    }
+    for (const k of ['name', 'description', 'fields']) if (k in body) template[k] = body[k];
+    template.updatedAt = new Date();
+    await template.save();
+    res.json({ success: true, template });
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ error: `A template named "${req.body.name}" already exists` });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await resolveTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: "Not found" });
+    if (template.name === DEFAULT_TEMPLATE) return res.status(400).json({ error: 'The default template cannot be deleted' });
+    await template.deleteOne();
+    res.json({ success: true, deleted: template.name });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ───────────────── Checklist ─────────────────────────────────── */
+// Items are addressed by _id, or by list position for older contracts
+const findItem = (doc, itemId) => (/^\d+$/.test(itemId)
+  ? doc.submittals[Number(itemId)]
+  : mongoose.isValidObjectId(itemId) && doc.submittals.id(itemId)) || null;
+
+// Update one checklist item: { status, assignee, dueDate, notes, mandatory }
+app.patch('/api/submittals/:id/items/:itemId', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pages: 0 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const item = findItem(doc, req.params.itemId);
+    if (!item) return res.status(404).json({ error: "Checklist item not found" });
+
+    const error = applyItemUpdate(item, req.body);
+    if (error) return res.status(400).json({ error });
+    await doc.save();
+    res.json({ success: true, item, progress: checklistProgress(doc) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Bulk update: { items: [{ _id, status, assignee, … }] }, all or nothing
+app.patch('/api/submittals/:id', async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.items)) return res.status(400).json({ error: 'Body must contain an items array' });
+    const doc = await Contract.findById(req.params.id, { pages: 0 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+
+    for (const [i, { _id, ...update }] of req.body.items.entries()) {
+      const item = _id != null && findItem(doc, String(_id));
+      if (!item) return res.status(404).json({ error: `items[${i}]: checklist item not found` });
+      const error = applyItemUpdate(item, update);
+      if (error) return res.status(400).json({ error: `items[${i}]: ${error}` });
+    }
+    await doc.save();
+    res.json({ success: true, submittals: doc.submittals, progress: checklistProgress(doc) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Checklist progress of every completed tender, nearest deadline first
+app.get('/api/checklist/progress', async (req, res) => {
+  try {
+    const docs = await Contract.find({ status: 'completed' }, { pdfName: 1, submittals: 1, calendar: 1 });
+    const tenders = docs.map(d => ({ _id: d._id, pdfName: d.pdfName, ...checklistProgress(d) }))
+      .sort(byDeadline);
+    res.json({ success: true, tenders });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/checklist/:id/progress', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, submittals: 1, calendar: 1 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    res.json({ success: true, pdfName: doc.pdfName, ...checklistProgress(doc) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ───────────────── Review ────────────────────────────────────── */
+// Reviewer name from the X-User header or a "by" body field
+const reviewerOf = req => String(req.get('X-User') || (req.body && req.body.by) || '').trim();
+
+const auditEntry = (by, action, target, change) => ({ at: new Date(), by, action, target: String(target), ...change });
+
+// Loads the contract for a reviewer edit; sends the error response itself
+async function reviewTarget(req, res) {
+  const by = reviewerOf(req);
+  if (!by) { res.status(400).json({ error: 'Say who is reviewing (X-User header or "by")' }); return null; }
+  const doc = await Contract.findById(req.params.id, { versions: 0 });
+  if (!doc) { res.status(404).json({ error: "Not found" }); return null; }
+  if (doc.status !== 'completed') { res.status(409).json({ error: `Contract is ${doc.status}; only completed contracts can be reviewed` }); return null; }
+  return { doc, by };
+}
+
+// First edit moves the contract into review
+const touchReview = doc => {
+  if (doc.reviewStatus !== 'in review') doc.reviewStatus = 'in review';
+};
+
+// Edit a field: { value?, page?, quote?, verified?, note? }; { revert: true } restores the model's answer
+app.put('/api/review/:id/fields/:key', async (req, res) => {
+  try {
+    const target = await reviewTarget(req, res);
+    if (!target) return;
+    const { doc, by } = target;
+    const templateFields = contractFields(doc);
+    const key = req.params.key;
+    if (!templateFields.some(f => f.key === key) && !(doc.fields && key in doc.fields)) {
+      return res.status(404).json({ error: `Unknown field "${key}"` });
+    }
+
+    const fields = { ...(doc.fields || {}) };
+    const { by: _by, revert, ...body } = req.body;
+    const change = revert ? revertField(fields, key) : reviewField(fields, key, body, by);
+    if (!change) return res.status(400).json({ error: `Field "${key}" has not been edited` });
+    if (change.error) return res.status(400).json({ error: change.error });
+
+    // Derived data follows the reviewed value; events of the types it
+    // mentions are replaced, the others (addenda's too) stay
+    if (fieldsOfType(templateFields, 'money').includes(key)) normalizeMoneyFields(fields, [key]);
+    let calendar = null;
+    if (fieldsOfType(templateFields, 'date')[0] === key) {
+      const f = fields[key];
+      calendar = mergeCalendar(doc.toObject().calendar || [], parseImportantDates(f.value, doc.pages || [], { fallbackPage: f.page }));
+    }
+    withProvenance(fields, [], doc.files);
+    touchReview(doc);
+    // Only this field is written, so a job updating other fields meanwhile is not undone
+    await Contract.updateOne({ _id: doc._id }, {
+      $set: {
+        ...(doc.fields ? { [`fields.${key}`]: fields[key] } : { fields }),
+        ...(calendar && { calendar }),
+        reviewStatus: doc.reviewStatus
+      },
+      $push: { audit: auditEntry(by, revert ? 'field.revert' : 'field', key, change) }
+    });
+    res.json({ success: true, key, field: fieldEvidence({ [key]: fields[key] })[key], value: fieldValue(fields[key]), reviewStatus: doc.reviewStatus });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Edit a submittal: { item?, page?, reason?, verified?, note? }
+app.put('/api/review/:id/submittals/:itemId', async (req, res) => {
+  try {
+    const target = await reviewTarget(req, res);
+    if (!target) return;
+    const { doc, by } = target;
+    const item = findItem(doc, req.params.itemId);
+    if (!item) return res.status(404).json({ error: "Checklist item not found" });
+
+    const { by: _by, ...body } = req.body;
+    const change = reviewSubmittal(item, body, by);
+    if (change.error) return res.status(400).json({ error: change.error });
+    withProvenance({}, [item], doc.files);
+    doc.audit.push(auditEntry(by, 'submittal', item._id, change));
+    touchReview(doc);
+    await doc.save();
+    res.json({ success: true, item, reviewStatus: doc.reviewStatus });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Add a submittal the model missed: { item, page?, reason? }
+app.post('/api/review/:id/submittals', async (req, res) => {
+  try {
+    const target = await reviewTarget(req, res);
+    if (!target) return;
+    const { doc, by } = target;
+    const name = String(req.body.item || '').trim();
+    if (!name) return res.status(400).json({ error: 'item is required' });
+    const page = req.body.page == null ? null : Number(req.body.page);
+    if (page != null && !(Number.isInteger(page) && page > 0)) return res.status(400).json({ error: 'page must be a positive integer or null' });
+
+    doc.submittals.push({
+      item: name, page, pageVerified: page != null, reason: req.body.reason ? String(req.body.reason) : '',
+      review: { by, at: new Date(), verified: true, added: true }
+    });
+    const item = doc.submittals[doc.submittals.length - 1];
+    withProvenance({}, [item], doc.files);
+    doc.audit.push(auditEntry(by, 'submittal.add', item._id, { before: null, after: { item: item.item, page: item.page, reason: item.reason } }));
+    touchReview(doc);
+    await doc.save();
+    res.status(201).json({ success: true, item, reviewStatus: doc.reviewStatus });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/review/:id/submittals/:itemId', async (req, res) => {
+  try {
+    const target = await reviewTarget(req, res);
+    if (!target) return;
+    const { doc, by } = target;
+    const item = findItem(doc, req.params.itemId);
+    if (!item) return res.status(404).json({ error: "Checklist item not found" });
+    doc.audit.push(auditEntry(by, 'submittal.delete', item._id, { before: { item: item.item, page: item.page, reason: item.reason }, after: null }));
+    item.deleteOne();
+    touchReview(doc);
+    await doc.save();
+    res.json({ success: true, reviewStatus: doc.reviewStatus });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// { status: 'not reviewed' | 'in review' | 'reviewed' }
+app.put('/api/review/:id/status', async (req, res) => {
+  try {
+    const target = await reviewTarget(req, res);
+    if (!target) return;
+    const { doc, by } = target;
+    if (!REVIEW_STATUSES.includes(req.body.status)) {
+      return res.status(400).json({ error: `Invalid status "${req.body.status}" (use one of: ${REVIEW_STATUSES.join(', ')})` });
+    }
+    doc.audit.push(auditEntry(by, 'status', 'reviewStatus', { before: doc.reviewStatus, after: req.body.status }));
+    doc.reviewStatus = req.body.status;
+    if (req.body.status === 'reviewed') Object.assign(doc, { reviewedBy: by, reviewedAt: new Date() });
+    await doc.save();
+    res.json({ success: true, reviewStatus: doc.reviewStatus, reviewedBy: doc.reviewedBy || null, reviewedAt: doc.reviewedAt || null });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Audit trail, newest first; ?target=<field key or item _id>
+app.get('/api/review/:id/audit', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, reviewStatus: 1, reviewedBy: 1, reviewedAt: 1, audit: 1 }).lean();
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const audit = (doc.audit || []).filter(a => !req.query.target || a.target === req.query.target).reverse();
+    res.json({
+      success: true,
+      pdfName: doc.pdfName,
+      reviewStatus: doc.reviewStatus || 'not reviewed',
+      reviewedBy: doc.reviewedBy || null,
+      reviewedAt: doc.reviewedAt || null,
+      audit
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ───────────────── Runs ────────────────────────────────────────── */
+// Re-run the extraction from the stored page text: { provider?, model?, template?, accept? }
+app.post('/api/reprocess/:id', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, status: 1, template: 1 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    if (doc.status !== 'completed') return res.status(409).json({ error: `Contract is ${doc.status}; only completed contracts can be re-run` });
+
+    let llm;
+    try {
+      llm = getProvider({ provider: req.body.provider, model: req.body.model });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    let template = null;
+    if (req.body.template) {
+      const t = await resolveTemplate(req.body.template);
+      if (!t) return res.status(400).json({ error: `Unknown template "${req.body.template}"` });
+      template = templateSnapshot(t);
+    }
+
+    const job = await enqueue(doc._id, {
+      provider: llm.name, model: llm.model, accept: req.body.accept === true || req.body.accept === 'true',
+      ...(template && { template })
+    }, 'reprocess');
+    res.json({
+      success: true,
+      _id: doc._id,
+      job: job._id,
+      provider: llm.name,
+      model: llm.model,
+      template: template ? template.name : (doc.template ? doc.template.name : DEFAULT_TEMPLATE),
+      message: 'Re-run queued.'
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/runs/:id', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, acceptedRun: 1 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const runs = await Run.find({ contract: doc._id }, { calls: 0, output: 0, validation: 0 }).sort({ number: 1 });
+    const queued = await Job.countDocuments({ contract: doc._id, kind: 'reprocess', status: { $in: ['queued', 'running'] } });
+    res.json({
+      success: true,
+      pdfName: doc.pdfName,
+      acceptedRun: doc.acceptedRun || null,
+      queued,
+      runs: runs.map(r => ({ ...summary(r), error: r.error || null, accepted: r.number === doc.acceptedRun }))
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// One run with its raw LLM answers and parsed output
+app.get('/api/runs/:id/:number', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const run = await Run.findOne({ contract: req.params.id, number: Number(req.params.number) }).lean();
+    if (!run) return res.status(404).json({ error: "Run not found" });
+    res.json({ success: true, run });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/runs/:id/:number/accept', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const run = await Run.findOne({ contract: req.params.id, number: Number(req.params.number) }).lean();
+    if (!run) return res.status(404).json({ error: "Run not found" });
+    if (run.status !== 'completed') return res.status(400).json({ error: 'Only completed runs can be accepted' });
+    await acceptRun(run);
+    res.json({ success: true, acceptedRun: run.number });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Field-by-field differences: ?a=1&b=2 (default: the accepted run vs the latest)
+app.get('/api/compare/:id', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, acceptedRun: 1 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const latest = await Run.findOne({ contract: doc._id }, { number: 1 }).sort({ number: -1 });
+    const a = Number(req.query.a || doc.acceptedRun || 1);
+    const b = Number(req.query.b || (latest && latest.number));
+    const [runA, runB] = await Promise.all([a, b].map(n => Run.findOne({ contract: doc._id, number: n }, { calls: 0 }).lean()));
+    if (!runA || !runB) return res.status(404).json({ error: `Run ${!runA ? a : b} not found` });
+    res.json({ success: true, pdfName: doc.pdfName, acceptedRun: doc.acceptedRun || null, ...compareRuns(runA, runB) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ───────────────── Addenda & Versions ────────────────────────── */
+// Corrigendum / addendum PDF (multipart field "pdf") against a completed contract
+// Optional fields: title, provider, model
+app.post('/api/addenda/:id', upload.single('pdf'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
+    const doc = await Contract.findById(req.params.id, { pages: 0, versions: 0 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    if (doc.status !== 'completed') return res.status(409).json({ error: `Contract is ${doc.status}; addenda apply to completed contracts` });
+    if (doc.addenda.some(a => ['pending', 'processing'].includes(a.status))) {
+      return res.status(409).json({ error: 'Another addendum is still being processed' });
+    }
+
+    // Same LLM as the contract; one read by the rules goes to the deployment default
+    const inherit = !req.body.provider && doc.provider !== 'rules';
+    let llm;
+    try {
+      llm = inherit
+        ? getProvider({ provider: doc.provider, model: req.body.model || doc.model })
+        : getProvider({ provider: req.body.provider, model: req.body.model });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (llm.mode === 'offline') return res.status(400).json({ error: 'Addenda are read by an LLM; the rule-based extractor cannot apply them' });
+
+    const source = await saveSource(req.file.buffer, req.file.originalname);
+    doc.addenda.push({ name: req.file.originalname, title: req.body.title || '', source, status: 'pending' });
+    const addendum = doc.addenda[doc.addenda.length - 1];
+    await doc.save();
+    await enqueue(doc._id, { addendum: addendum._id, provider: llm.name, model: llm.model }, 'addendum');
+
+    res.json({
+      success: true,
+      _id: doc._id,
+      addendum: { _id: addendum._id, name: addendum.name, title: addendum.title, status: 'pending' },
+      message: 'Addendum uploaded successfully. Processing queued.'
+    });
+  } catch (e) {
+    console.error('❌', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/addenda/:id', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, addenda: 1 }).lean();
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    res.json({
+      success: true,
+      pdfName: doc.pdfName,
+      addenda: (doc.addenda || []).map(({ source, ...a }) => a)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Version list; ?full=true includes the field and submittal values
+app.get('/api/versions/:id', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, versions: 1 }).lean();
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const full = req.query.full === 'true';
+    res.json({
+      success: true,
+      pdfName: doc.pdfName,
+      versions: (doc.versions || []).map(v => (full ? v : {
+        version: v.version, kind: v.kind, addendum: v.addendum || null, name: v.name, createdAt: v.createdAt
+      }))
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// What an addendum changed: ?addendum=<id>, or ?from=1&to=3 (default: the latest version vs the one before)
+app.get('/api/diff/:id', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, versions: 1, addenda: 1 }).lean();
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const versions = doc.versions || [];
+    if (versions.length < 2) return res.status(404).json({ error: 'No addendum has been applied yet' });
+
+    let to = req.query.to ? Number(req.query.to) : versions[versions.length - 1].version;
+    if (req.query.addendum) {
+      const v = versions.find(x => String(x.addendum) === String(req.query.addendum));
+      if (!v) return res.status(404).json({ error: 'No version for that addendum' });
+      to = v.version;
+    }
+    const from = req.query.from ? Number(req.query.from) : to - 1;
+    const before = versions.find(v => v.version === from);
+    const after = versions.find(v => v.version === to);
+    if (!before || !after) return res.status(404).json({ error: `Unknown version (have 1–${versions.length})` });
+
+    res.json({
+      success: true,
+      pdfName: doc.pdfName,
+      from: { version: before.version, kind: before.kind, name: before.name, createdAt: before.createdAt },
+      to: { version: after.version, kind: after.kind, name: after.name, createdAt: after.createdAt },
+      ...diffVersions(before, after)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Fetches the stored text of one page, so reviewers can check page references
+app.get('/api/pages/:id/:page', async (req, res) => {
+  try {
+    const doc = await Contract.findById(req.params.id, { pdfName: 1, numPages: 1, pages: 1, files: 1, ocrPages: 1 });
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const page = Number(req.params.page);
+    if (!Number.isInteger(page) || page < 1 || page > (doc.pages || []).length) {
+      return res.status(404).json({ error: "Page not found" });
+    }
+    res.json({
+      success: true,
+      pdfName: doc.pdfName,
+      page,
+      ...locate(doc.files, page),
+      numPages: doc.numPages,
+      // OCR'd text can hold misreadings; confidence says how far to trust it
+      ocr: (doc.ocrPages || []).find(o => o.page === page) || null,
+      text: doc.pages[page - 1]
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 /* ───────────────── Server Start ────────────────────────────────── */
-app.listen(PORT, () => console.log(
-  `🚀 Gemini Analyzer on http://localhost:${PORT} (model ${geminiInfo.model})`
-));
+// Only connect, ping and listen when run directly; require('./server')
+// gives tests the app without Mongo or network
+function start() {
+  if (!process.env.MONGO_URL) {
+    console.error('❌  MONGO_URL missing in .env'); process.exit(1);
+  }
+  mongoose.connect(process.env.MONGO_URL, { useNewUrlParser: true, useUnifiedTopology: true });
+  process.on('SIGINT', async () => {
+    await mongoose.connection.close();
+    console.log('MongoDB disconnected on app termination');
+    process.exit(0);
+  });
+  checkLlm();
+  app.listen(PORT, () => console.log(
+    `🚀 Contract Analyzer on http://localhost:${PORT} (${defaultLlm.name} / ${defaultLlm.model}, ${defaultLlm.mode})`
+  ));
+}
+
+if (require.main === module) start();
+
+// Workers finish the job in hand and take no more (tests, before disconnecting)
+const stopJobWorkers = () => stopWorkers && stopWorkers();
+
+module.exports = { app, Contract, processContract, extractJson, stopJobWorkers };
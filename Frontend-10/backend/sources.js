@@ -0,0 +1,39 @@
+/**********************************************************************
+  Source File Store (GridFS)
+  - Keeps uploaded PDFs in Mongo until their job finishes, so a restart
+    does not lose work that was only held in memory
+**********************************************************************/
+
+const mongoose = require('mongoose');
+
+const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'sources' });
+
+function saveSource(buffer, filename, metadata = {}) {
+  return new Promise((resolve, reject) => {
+    const stream = bucket().openUploadStream(filename, { metadata });
+    stream.once('error', reject);
+    stream.once('finish', () => resolve(stream.id));
+    stream.end(buffer);
+  });
+}
+
+function loadSource(id) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    bucket().openDownloadStream(new mongoose.Types.ObjectId(id))
+      .on('data', d => parts.push(d))
+      .once('error', reject)
+      .once('end', () => resolve(Buffer.concat(parts)));
+  });
+}
+
+// Already-deleted files are not an error
+async function deleteSource(id) {
+  try {
+    await bucket().delete(new mongoose.Types.ObjectId(id));
+  } catch (e) {
+    if (!/FileNotFound|File not found/i.test(e.message)) throw e;
+  }
+}
+
+module.exports = { saveSource, loadSource, deleteSource };
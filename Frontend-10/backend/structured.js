@@ -0,0 +1,158 @@
+/**********************************************************************
+  Structured LLM Output
+  - extractJson(text) → parsed JSON (code fences / chatter stripped)
+  - validate(schema, data) → list of errors for a small JSON-schema subset
+    (type, properties, required, items, enum, minLength)
+  - generateJson(llm, prompt, schema) → valid data, or a permanent error
+    after LLM_REPAIR_RETRIES targeted repair prompts
+**********************************************************************/
+
+const { permanentError } = require('./jobs');
+
+const REPAIR_RETRIES = Number(process.env.LLM_REPAIR_RETRIES ?? 2);
+
+function extractJson(text) {
+  let clean = text.replace(/```(?:json)?/gi, '').trim();
+  try { return JSON.parse(clean); } catch { }
+  const first = clean.indexOf('{');
+  const last = clean.lastIndexOf('}');
+  if (first !== -1 && last !== -1) {
+    return JSON.parse(clean.slice(first, last + 1));
+  }
+  throw new Error('Model response is not valid JSON');
+}
+
+// An opening brace that is never balanced means the output was cut off
+const looksTruncated = text => {
+  const start = text.indexOf('{');
+  if (start === -1) return false;
+  let depth = 0, inString = false;
+  for (let i = start; i < text.length; i++) {
+    const c = text[i];
+    if (inString) { if (c === '\\') i++; else if (c === '"') inString = false; continue; }
+    if (c === '"') inString = true;
+    else if (c === '{' || c === '[') depth++;
+    else if (c === '}' || c === ']') depth--;
+  }
+  return depth > 0 || inString;
+};
+
+/* ───────────────── Validation ──────────────────────────────────── */
+const typeOf = v => v === null ? 'null'
+  : Array.isArray(v) ? 'array'
+    : Number.isInteger(v) ? 'integer'
+      : typeof v;
+
+function validate(schema, data, path = '$') {
+  const errors = [];
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const t = typeOf(data);
+    const ok = allowed.includes(t) || (t === 'integer' && allowed.includes('number'));
+    if (!ok) return [`${path}: expected ${allowed.join('|')}, got ${t}`];
+  }
+  if (schema.enum && !schema.enum.includes(data)) errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  if (typeof data === 'string' && schema.minLength && data.length < schema.minLength) errors.push(`${path}: must not be empty`);
+
+  if (typeOf(data) === 'object') {
+    for (const k of schema.required || []) {
+      if (!(k in data)) errors.push(`${path}.${k}: is required`);
+    }
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      if (k in data) errors.push(...validate(sub, data[k], `${path}.${k}`));
+    }
+  }
+  if (Array.isArray(data) && schema.items) {
+    data.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+/* ───────────────── Response schemas ────────────────────────────── */
+// Boolean and list fields may come back as true / false or an array;
+// verifyFields() turns them into text
+const EVIDENCE_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    value: { type: ['string', 'number', 'boolean', 'array', 'null'], items: { type: ['string', 'number'] } },
+    page: { type: ['integer', 'null'] },
+    quote: { type: ['string', 'null'] },
+  },
+  required: ['value'],
+};
+
+const fieldSchema = keys => ({
+  type: 'object',
+  properties: Object.fromEntries(keys.map(k => [k, EVIDENCE_SCHEMA])),
+});
+
+const SUBMITTAL_SCHEMA = {
+  type: 'object',
+  required: ['submittals'],
+  properties: {
+    submittals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['item'],
+        properties: {
+          item: { type: 'string', minLength: 1 },
+          page: { type: ['integer', 'null'] },
+          reason: { type: ['string', 'null'] },
+        },
+      },
+    },
+  },
+};
+
+/* ───────────────── Generate + repair ───────────────────────────── */
+const repairPrompt = (text, errors, schema) => `
+Your previous answer did not match the required JSON schema.
+ERRORS:
+${errors.map(e => `• ${e}`).join('\n')}
+JSON SCHEMA: ${JSON.stringify(schema)}
+PREVIOUS ANSWER: <<<${text}>>>
+Return ONLY the corrected JSON. Keep every value that was already valid; never invent data.`;
+
+const truncatedPrompt = prompt => `${prompt}
+
+IMPORTANT: your previous answer was cut off before the JSON was complete.
+Answer again with the same JSON, but keep every quote and reason under 25 words.`;
+
+/**
+ * Ask for JSON, validate it and repair it if needed.
+ * Resolves to { data, retries, errors } where errors lists every failed
+ * attempt; throws a permanent error (with .validation) if repair fails.
+ */
+async function generateJson(llm, prompt, schema, opts = {}) {
+  const history = [];
+  let text = await llm.generate(prompt, opts);
+  let maxOutputTokens = opts.maxOutputTokens;
+
+  for (let retries = 0; ; retries++) {
+    let errors, truncated = false;
+    try {
+      const data = extractJson(text);
+      errors = validate(schema, data);
+      if (!errors.length) return { data, retries, errors: history };
+    } catch (e) {
+      truncated = looksTruncated(text);
+      errors = [truncated ? 'Output was truncated' : e.message];
+    }
+    history.push({ attempt: retries + 1, errors });
+
+    if (retries >= REPAIR_RETRIES) {
+      const err = permanentError(`LLM output failed schema validation after ${retries + 1} attempt(s): ${errors.slice(0, 3).join('; ')}`);
+      err.validation = history;
+      throw err;
+    }
+    if (truncated) {
+      maxOutputTokens = maxOutputTokens && maxOutputTokens * 2;
+      text = await llm.generate(truncatedPrompt(prompt), { ...opts, maxOutputTokens });
+    } else {
+      text = await llm.generate(repairPrompt(text, errors, schema), opts);
+    }
+  }
+}
+
+module.exports = { extractJson, validate, generateJson, fieldSchema, SUBMITTAL_SCHEMA };
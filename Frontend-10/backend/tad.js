@@ -0,0 +1,70 @@
+/**********************************************************************
+  Tender Appreciation Document (TAD) rows
+  - The 23 key aspects of "Key Aspects of a tender documents - BMRCL
+    1.1.xlsx" (Answer Set-2), in the same order and wording, plus
+    Tender Security
+  - tadRows(contract) → [{ no, term, synonyms, lines: [{ text, page, quote }] }]
+    shared by the Excel and report exports
+**********************************************************************/
+
+const { fieldValue, isEvidence } = require('./fields');
+
+const FINANCIAL = /financial|price|commercial|boq|bill of quantit|schedule of (rates|prices)|cost/i;
+
+const fieldLines = key => c => {
+  const f = (c.fields || {})[key];
+  const text = fieldValue(f);
+  if (text == null) return [];
+  return [{ text: String(text), page: isEvidence(f) ? f.page : null, quote: isEvidence(f) ? f.quote : null }];
+};
+
+const submittalLines = filter => c => (c.submittals || [])
+  .filter(filter)
+  .map(s => ({ text: s.item, page: s.page, quote: s.reason || null }));
+
+const eventLines = types => c => (c.calendar || [])
+  .filter(e => !types || types.includes(e.type))
+  .map(e => ({ text: `${e.label}: ${e.local.replace('T', ' ').replace(/:00([+-]\d{2}:\d{2})$/, ' ($1)')}`, page: e.page, quote: e.quote }));
+
+// ImportantDates: structured events when parsed, the raw field text otherwise
+const datesLines = c => {
+  const events = eventLines()(c);
+  return events.length ? events : fieldLines('ImportantDates')(c);
+};
+
+const KEY_ASPECTS = [
+  ['Client Name', 'Employer / Project Owner / Principal / Contracting Authority', fieldLines('ClientName')],
+  ['Funding Agency, if any', 'Financier / Sponsor / Donor Agency / Funding Authority', fieldLines('FundingAgency')],
+  ['Bidding System', 'Tendering Process / Bid Submission Format', fieldLines('BiddingSystem')],
+  ['Name of the Work', 'Project Title / Scope of Work / Work Description / Contract Name', fieldLines('NameOfWork')],
+  ['Project Location', 'Site Address / Worksite / Construction Site / Project Area', fieldLines('ProjectLocation')],
+  ['Completion Period', 'Duration / Timeframe / Contract Period / Execution Time', fieldLines('CompletionPeriod')],
+  ['Estimated Cost', 'Project Value / Budget Estimate / Approximate Cost / Cost Projection', fieldLines('EstimatedCost')],
+  ['Cost of Tender Document', 'Tender Fee / Bid Document Charges / Application Fee / Document Cost', fieldLines('TenderDocumentCost')],
+  ['Earnest Money Deposit (EMD)', 'Bid Security / Tender Deposit / Performance Guarantee (initial)', fieldLines('EMD')],
+  ['Important Dates', '', datesLines],
+  ['Pre-bid meeting?', "Pre-tender Conference / Clarification Meeting / Bidder's Meeting", eventLines(['preBidMeeting'])],
+  ['Joint Venture?', 'Consortium / Partnership / JV Agreement / Strategic Alliance', fieldLines('JointVenture')],
+  ['Power of Attorney', 'Letter of Authorization / POA / Authority Letter / Legal Mandate', fieldLines('PowerOfAttorney')],
+  ['Site Visit?', 'Site Inspection / Pre-bid Visit / Field Visit / On-site Evaluation', fieldLines('SiteVisit')],
+  ['Geotechnical Investigation Reports', 'Soil Investigation Report / Geo Report / Subsurface Study / Soil Testing Report', fieldLines('GeotechnicalReports')],
+  ['Land Availability', 'Site Access / Land Ownership / Plot Readiness / Site Handing-over', fieldLines('LandAvailability')],
+  ['Other land availability', 'Right of Way (RoW) / Utility Relocation Status / Encumbrance Clearance', fieldLines('OtherLandAvailability')],
+  ['Technical bid submittals', 'Qualification Documents / Tech Proposal / Technical Documents', submittalLines(s => !FINANCIAL.test(s.item))],
+  ['Financial/Cost bid submittals', 'Price Proposal / Commercial Bid / Cost Sheets / BOQ Submission', submittalLines(s => FINANCIAL.test(s.item))],
+  ['Bid Validity', 'Proposal Validity / Offer Duration / Tender Validity Period', fieldLines('BidValidity')],
+  ['Grounds for bid rejection', 'Disqualification Reasons / Non-compliance Issues / Rejection Criteria', fieldLines('GroundsForBidRejection')],
+  ['Eligibility Criteria', 'Prequalification Requirements / Qualification Norms / Bidder Criteria', fieldLines('EligibilityCriteria')],
+  ['Documents to be submitted', 'Credentials to be submitted/Submittals/Contractual deliverables', submittalLines(() => true)],
+  // Not in the BMRCL sheet, but extracted, so it goes last to keep the numbering
+  ['Tender Security', 'Performance Security / Security Deposit / Bank Guarantee', fieldLines('TenderSecurity')],
+];
+
+const tadRows = contract => KEY_ASPECTS.map(([term, synonyms, lines], i) => ({
+  no: i + 1,
+  term,
+  synonyms,
+  lines: lines(contract),
+}));
+
+module.exports = { KEY_ASPECTS, tadRows };
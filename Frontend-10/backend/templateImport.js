@@ -0,0 +1,198 @@
+/**********************************************************************
+  Template Import from Question Sheets
+  - Reads an .xlsx or .csv laid out like "Question for Contract
+    doc.xlsx": one question per row, with optional Key, Type and
+    Description columns
+  - Questions that name a standard key aspect ("Client Name",
+    "Joint Venture?") reuse its key and type; others get a key built
+    from the question and a type guessed from its wording
+  - The question is the field's prompt description
+**********************************************************************/
+
+const ExcelJS = require('exceljs');
+const { FIELD_TYPES, DEFAULT_FIELDS } = require('./templates');
+
+const COLUMN_RES = {
+  question: /^(questions?|key aspects?|aspects?|terms?)$/i,
+  key: /^(field\s*)?keys?$|^fields?$/i,
+  type: /^(answer\s*|expected\s*|field\s*)?types?$/i,
+  description: /^(descriptions?|hints?|notes?|synonyms.*|instructions?)$/i,
+};
+
+const TYPE_ALIASES = {
+  text: /^(text|string|str|free\s*text)$/i,
+  money: /^(money|amount|currency|inr|rs\.?|rupees|cost|number)$/i,
+  date: /^(date|dates|datetime|date\s*time|deadline)$/i,
+  boolean: /^(boolean|bool|yes\s*\/?\s*no|y\/n)$/i,
+  list: /^(list|array|multiple|multi)$/i,
+};
+
+/* ───────────────── Reading the sheet ───────────────────────────── */
+// Formula cells carry their cached result; rich text is joined
+function cellText(v) {
+  if (v == null) return '';
+  if (typeof v === 'object') {
+    if (v instanceof Date) return v.toISOString().slice(0, 10);
+    if ('result' in v) return cellText(v.result);
+    if (v.richText) return v.richText.map(r => r.text).join('');
+    if ('text' in v) return String(v.text);
+    return '';
+  }
+  return String(v).trim();
+}
+
+// RFC 4180: quoted cells may hold commas, newlines and "" escapes
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.map(r => r.map(c => c.trim()));
+}
+
+const sheetRows = ws => {
+  const rows = [];
+  ws.eachRow({ includeEmpty: true }, r => {
+    rows.push(Array.from({ length: ws.columnCount }, (_, i) => cellText(r.getCell(i + 1).value)));
+  });
+  return rows;
+};
+
+// Every worksheet → [{ name, rows }]; a .csv is one sheet named after the file
+async function readSheets(buffer, filename) {
+  if (/\.csv$/i.test(filename)) return [{ name: filename, rows: parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, '')) }];
+  if (!/\.xlsx$/i.test(filename)) throw new Error('Upload an .xlsx or .csv file');
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  return wb.worksheets.map(ws => ({ name: ws.name, rows: sheetRows(ws) }));
+}
+
+// sheet: worksheet name; the first one by default
+async function readRows(buffer, filename, { sheet } = {}) {
+  const sheets = await readSheets(buffer, filename);
+  if (/\.csv$/i.test(filename) || !sheet) return sheets[0] ? sheets[0].rows : [];
+  const found = sheets.find(s => s.name === sheet);
+  if (!found) throw new Error(`No sheet "${sheet}" in ${filename}`);
+  return found.rows;
+}
+
+// First row with a "Question" cell is the header; other columns are optional
+function findColumns(rows) {
+  for (let i = 0; i < rows.length; i++) {
+    const cols = {};
+    rows[i].forEach((c, j) => {
+      for (const [name, re] of Object.entries(COLUMN_RES)) if (cols[name] == null && re.test(c)) cols[name] = j;
+    });
+    if (cols.question != null) return { header: i, cols };
+  }
+  return null;
+}
+
+/* ───────────────── Keys and types ──────────────────────────────── */
+const norm = s => s.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const pascal = s => s
+  .replace(/[^A-Za-z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean)
+  .map(w => (w === w.toUpperCase() ? w : w[0].toUpperCase() + w.slice(1)))
+  .join('');
+
+// "Funding Agency, if any" / "Joint Venture?" / "… (EMD)" → the standard aspect
+function standardField(question) {
+  const stem = question.replace(/\(.*?\)/g, ' ').replace(/,?\s*if any\b/i, '').replace(/\?/g, '');
+  const abbrevs = [...question.matchAll(/\(([A-Z]{2,})\)/g)].map(m => m[1]);
+  return DEFAULT_FIELDS.find(f => f.key === pascal(stem) || norm(f.label) === norm(stem) || norm(f.label) === norm(question))
+    || DEFAULT_FIELDS.find(f => abbrevs.includes(f.key))
+    || null;
+}
+
+function guessType(question) {
+  if (/submittals|criteria|grounds|requirements|list of/i.test(question)) return 'list';
+  if (/\b(cost|fee|emd|earnest|deposit|security|amount|value|turnover|price)\b/i.test(question)) return 'money';
+  if (/\bdates?\b|deadline|schedule/i.test(question)) return 'date';
+  if (/\?\s*$/.test(question)) return 'boolean';
+  return 'text';
+}
+
+function toType(text) {
+  if (!text) return null;
+  return Object.keys(TYPE_ALIASES).find(t => TYPE_ALIASES[t].test(text.trim())) || undefined;
+}
+
+/**
+ * → { fields: [{ key, label, type, description }], warnings: [string] }
+ * Rows without a question are skipped; bad keys / types are reported
+ * and replaced, so one typo does not reject the whole sheet.
+ */
+async function parseQuestionSheet(buffer, filename) {
+  const rows = await readRows(buffer, filename);
+  const found = findColumns(rows);
+  // No header: a single text column of questions
+  const { header, cols } = found || { header: -1, cols: { question: 0 } };
+
+  const fields = [];
+  const warnings = [];
+  const used = new Set();
+  const unique = key => {
+    let out = key;
+    for (let n = 2; used.has(out); n++) out = `${key}${n}`;
+    used.add(out);
+    return out;
+  };
+
+  for (let i = header + 1; i < rows.length; i++) {
+    const r = rows[i];
+    const at = name => (cols[name] == null ? '' : r[cols[name]] || '');
+    const question = at('question').replace(/\s+/g, ' ');
+    if (!question) continue;
+    const line = `Row ${i + 1}`;
+
+    const std = standardField(question);
+    let key = at('key');
+    if (key && !/^[A-Za-z][A-Za-z0-9_]*$/.test(key)) {
+      warnings.push(`${line}: key "${key}" is not an identifier, using one built from the question`);
+      key = '';
+    }
+    if (key && used.has(key)) {
+      warnings.push(`${line}: key "${key}" is used twice, numbering it`);
+    }
+    if (!key) key = std && !used.has(std.key) ? std.key : pascal(question) || `Field${fields.length + 1}`;
+    // "2 years experience?" → Q2YearsExperience: keys cannot start with a digit
+    if (/^\d/.test(key)) {
+      warnings.push(`${line}: question starts with a number, its key is "Q${key}"`);
+      key = `Q${key}`;
+    }
+
+    let type = toType(at('type'));
+    if (type === undefined) {
+      warnings.push(`${line}: unknown type "${at('type')}" (use one of: ${FIELD_TYPES.join(', ')})`);
+      type = null;
+    }
+    if (!type) type = std && std.key === key ? std.type : guessType(question);
+
+    fields.push({
+      key: unique(key),
+      label: question,
+      type,
+      description: at('description') || question,
+    });
+  }
+  if (!fields.length) warnings.push('No questions found (expected a "Questions" column)');
+  return { fields, warnings };
+}
+
+module.exports = { parseQuestionSheet, parseCsv, readSheets, readRows, standardField };
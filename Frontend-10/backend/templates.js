@@ -0,0 +1,119 @@
+/**********************************************************************
+  Extraction Templates
+  - The key aspects to extract, stored in Mongo so each client
+    (metro rail, state PWD, CPWD, …) can have its own list
+  - Every field has a key, label, type and a description that goes
+    into the prompt
+  - The built-in "default" template holds the original 20 fields and
+    is created on startup when missing
+**********************************************************************/
+
+const mongoose = require('mongoose');
+
+// money → parsed into INR amounts, date → parsed into calendar events
+const FIELD_TYPES = ['text', 'money', 'date', 'boolean', 'list'];
+const DEFAULT_TEMPLATE = 'default';
+
+const TemplateFieldSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  label: String,
+  type: { type: String, enum: FIELD_TYPES, default: 'text' },
+  description: { type: String, default: '' }
+}, { _id: false });
+
+const TemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: { type: String, default: '' },
+  fields: [TemplateFieldSchema],
+  importedFrom: String,   // spreadsheet the questions came from, if any
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { collection: 'templates' });
+
+const Template = mongoose.model('Template', TemplateSchema);
+
+const DEFAULT_FIELDS = [
+  ['ClientName', 'Client Name', 'text', 'Employer / project owner / contracting authority inviting the bids'],
+  ['FundingAgency', 'Funding Agency', 'text', 'Financier, sponsor or donor agency funding the project, if any'],
+  ['BiddingSystem', 'Bidding System', 'text', 'Tendering process and bid format, e.g. single-stage two-envelope, e-tender'],
+  ['NameOfWork', 'Name of the Work', 'text', 'Project title / name of the work as stated in the notice'],
+  ['ProjectLocation', 'Project Location', 'text', 'Site address or area where the work is executed'],
+  ['CompletionPeriod', 'Completion Period', 'text', 'Time allowed to complete the work'],
+  ['EstimatedCost', 'Estimated Cost', 'money', 'Estimated / approximate cost of the work'],
+  ['TenderDocumentCost', 'Cost of Tender Document', 'money', 'Tender fee or price of the bid document'],
+  ['EMD', 'Earnest Money Deposit (EMD)', 'money', 'Bid security / earnest money amount and form'],
+  ['ImportantDates', 'Important Dates', 'date', 'Document sale, pre-bid meeting, bid submission and bid opening dates with times'],
+  ['BidValidity', 'Bid Validity', 'text', 'Period for which the bid must remain valid'],
+  ['TenderSecurity', 'Tender Security', 'money', 'Performance security / security deposit required from the successful bidder'],
+  ['JointVenture', 'Joint Venture', 'boolean', 'Whether joint ventures / consortia may bid, and their conditions'],
+  ['PowerOfAttorney', 'Power of Attorney', 'text', 'Power of attorney / authorisation required for the bid signatory'],
+  ['GroundsForBidRejection', 'Grounds for Bid Rejection', 'list', 'Conditions under which a bid is rejected or disqualified'],
+  ['EligibilityCriteria', 'Eligibility Criteria', 'list', 'Minimum qualification: turnover, similar works, net worth, etc.'],
+  ['SiteVisit', 'Site Visit', 'text', 'Whether a site visit / inspection is required or advised'],
+  ['GeotechnicalReports', 'Geotechnical Investigation Reports', 'text', 'Availability of soil / geotechnical investigation reports'],
+  ['LandAvailability', 'Land Availability', 'text', 'Status of land acquisition and site handing-over'],
+  ['OtherLandAvailability', 'Other Land Availability', 'text', 'Right of way, utility relocation and encumbrance clearance'],
+].map(([key, label, type, description]) => ({ key, label, type, description }));
+
+const KEY_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Returns an error message, or null; normalises body.fields in place
+function validateTemplate(body = {}, { partial = false } = {}) {
+  if (!partial || 'name' in body) {
+    if (typeof body.name !== 'string' || !body.name.trim()) return 'name is required';
+    body.name = body.name.trim();
+  }
+  if (!partial || 'fields' in body) {
+    if (!Array.isArray(body.fields) || !body.fields.length) return 'fields must be a non-empty array';
+    const seen = new Set();
+    for (const [i, f] of body.fields.entries()) {
+      if (!f || !KEY_RE.test(f.key || '')) return `fields[${i}]: key must be an identifier (letters, digits, _)`;
+      if (seen.has(f.key)) return `fields[${i}]: duplicate key "${f.key}"`;
+      seen.add(f.key);
+      if (f.type != null && !FIELD_TYPES.includes(f.type)) {
+        return `fields[${i}]: invalid type "${f.type}" (use one of: ${FIELD_TYPES.join(', ')})`;
+      }
+    }
+    body.fields = body.fields.map(f => ({
+      key: f.key,
+      label: f.label ? String(f.label) : f.key.replace(/([a-z])([A-Z])/g, '$1 $2'),
+      type: f.type || 'text',
+      description: f.description ? String(f.description) : ''
+    }));
+  }
+  return null;
+}
+
+async function ensureDefaultTemplate() {
+  const existing = await Template.findOne({ name: DEFAULT_TEMPLATE });
+  if (existing) return existing;
+  return Template.create({
+    name: DEFAULT_TEMPLATE,
+    description: 'Key aspects of a works tender (BMRCL Tender Appreciation)',
+    fields: DEFAULT_FIELDS
+  });
+}
+
+// By _id or name; the default template when ref is empty
+async function resolveTemplate(ref) {
+  if (!ref) return ensureDefaultTemplate();
+  return (mongoose.isValidObjectId(ref) && await Template.findById(ref))
+    || Template.findOne({ name: String(ref) });
+}
+
+// Copy kept on each Contract, so later template edits do not change it
+const templateSnapshot = t => ({
+  _id: t._id,
+  name: t.name,
+  fields: t.fields.map(({ key, label, type, description }) => ({ key, label, type, description }))
+});
+
+// Field definitions a contract was extracted with (older contracts: the defaults)
+const contractFields = contract => (contract.template && contract.template.fields && contract.template.fields.length
+  ? contract.template.fields
+  : DEFAULT_FIELDS);
+
+module.exports = {
+  Template, FIELD_TYPES, DEFAULT_TEMPLATE, DEFAULT_FIELDS,
+  validateTemplate, ensureDefaultTemplate, resolveTemplate, templateSnapshot, contractFields
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addendumSchema, addendumPrompt, applyChanges, carryAmendments, mergeCalendar, snapshot, diffVersions } = require('../addenda');
+const { validate } = require('../structured');
+
+const current = {
+  fields: { EMD: { value: 'Rs. 2,00,000', page: 4, verified: true }, BidValidity: { value: '90 days', page: 6, verified: true } },
+  submittals: [{ item: 'Bank guarantee for EMD', page: 4 }, { item: 'Copy of PAN card', page: 5 }],
+};
+
+test('the prompt shows the current values and the schema accepts an empty answer', () => {
+  const prompt = addendumPrompt('Corrigendum 1', '[[PAGE 1]] EMD revised', [{ key: 'EMD', label: 'EMD' }], current.fields, current.submittals);
+  assert.match(prompt, /• EMD \(EMD\): "Rs\. 2,00,000"/);
+  assert.match(prompt, /• Copy of PAN card/);
+  assert.deepEqual(validate(addendumSchema(['EMD']), { changes: {} }), []);
+  assert.deepEqual(validate(addendumSchema(['EMD']), { changes: { EMD: { value: 'Rs. 2,50,000', page: 1, quote: 'EMD revised' } }, removedSubmittals: ['PAN'] }), []);
+  assert.deepEqual(validate(addendumSchema(['EMD']), {}), ['$.changes: is required']);
+});
+
+test('applies changed fields and checklist items, naming the addendum', () => {
+  const r = applyChanges(current, {
+    changes: {
+      EMD: { value: 'Rs. 2,50,000', page: 1, quote: 'EMD revised to Rs. 2,50,000', verified: true },
+      BidValidity: { value: '90 Days', page: 1, quote: 'Bid validity 90 days', verified: true },
+    },
+    added: [{ item: 'Integrity pact', page: 2 }, { item: 'copy of PAN card.', page: 2 }],
+    removed: ['Bank guarantee for EMD'],
+  }, 'Corrigendum 1');
+
+  assert.deepEqual(r.changedFields, ['EMD']);
+  assert.equal(r.fields.EMD.value, 'Rs. 2,50,000');
+  assert.equal(r.fields.EMD.amendedBy, 'Corrigendum 1');
+  assert.equal(r.fields.BidValidity, current.fields.BidValidity);
+  assert.deepEqual(r.added, ['Integrity pact']);
+  assert.deepEqual(r.removed, ['Bank guarantee for EMD']);
+  assert.deepEqual(r.submittals.map(s => [s.item, s.amendedBy]), [['Copy of PAN card', undefined], ['Integrity pact', 'Corrigendum 1']]);
+  assert.equal(current.fields.EMD.value, 'Rs. 2,00,000');
+});
+
+test('re-parsed dates replace the events of the same type', () => {
+  const calendar = [
+    { type: 'preBidMeeting', date: new Date('2022-12-15') },
+    { type: 'bidSubmissionDeadline', date: new Date('2022-12-21') },
+  ];
+  const merged = mergeCalendar(calendar, [{ type: 'bidSubmissionDeadline', date: new Date('2023-01-10') }]);
+  assert.deepEqual(merged.map(e => [e.type, e.date.toISOString().slice(0, 10)]), [
+    ['preBidMeeting', '2022-12-15'], ['bidSubmissionDeadline', '2023-01-10'],
+  ]);
+});
+
+test('versions show what changed between them', () => {
+  const v1 = snapshot(current, { number: 1, source: 'extraction' });
+  assert.equal(v1.number, 1);
+  assert.deepEqual(v1.submittals[0], { item: 'Bank guarantee for EMD', page: 4, file: null, filePage: null, mandatory: true });
+
+  const v2 = snapshot({
+    fields: { ...current.fields, EMD: { value: 'Rs. 2,50,000', page: 1, quote: 'EMD revised', file: 'Corrigendum.pdf', filePage: 1 } },
+    submittals: [current.submittals[1], { item: 'Integrity pact', page: 2 }],
+  }, { number: 2 });
+  const diff = diffVersions(v1, v2);
+  assert.deepEqual(diff.fields, [{
+    key: 'EMD', before: 'Rs. 2,00,000', after: 'Rs. 2,50,000', page: 1, file: 'Corrigendum.pdf', filePage: 1, quote: 'EMD revised'
+  }]);
+  assert.deepEqual(diff.submittals.added.map(s => s.item), ['Integrity pact']);
+  assert.deepEqual(diff.submittals.removed.map(s => s.item), ['Bank guarantee for EMD']);
+});
+
+test('unverified changes are held back', () => {
+  const r = applyChanges(current, {
+    changes: {
+      EMD: { value: 'Rs. 2,50,000', page: 1, quote: 'EMD revised to Rs. 2,50,000', verified: true },
+      BidValidity: { value: '120 days', page: 1, quote: 'not in the PDF', verified: false, note: 'Quote not found in PDF text' },
+    },
+    added: [], removed: [],
+  }, 'Corrigendum 1');
+  assert.deepEqual(r.changedFields, ['EMD']);
+  assert.equal(r.fields.BidValidity.value, '90 days');
+  assert.deepEqual(r.unverified.map(u => [u.key, u.value]), [['BidValidity', '120 days']]);
+});
+
+test('checklist items match by their words, not by substrings', () => {
+  const r = applyChanges(current, {
+    changes: {},
+    added: [{ item: 'Copy of PAN cards' }, { item: 'PAN' }],
+    removed: ['EMD'],
+  }, 'Corrigendum 1');
+  assert.deepEqual(r.removed, []);
+  assert.deepEqual(r.added, ['PAN']);
+});
+
+test('a re-run keeps what the addenda changed', () => {
+  const amended = applyChanges(current, {
+    changes: { EMD: { value: 'Rs. 2,50,000', verified: true } },
+    added: [{ item: 'Integrity pact' }],
+    removed: ['Copy of PAN card'],
+  }, 'Corrigendum 1');
+  const out = carryAmendments(amended, {
+    fields: { EMD: { value: 'Rs. 2,00,000' } },
+    submittals: [{ item: 'Bank guarantee for EMD' }, { item: 'Copy of PAN card' }],
+  }, amended.removed);
+  assert.equal(out.fields.EMD.value, 'Rs. 2,50,000');
+  assert.deepEqual(out.submittals.map(s => s.item), ['Bank guarantee for EMD', 'Integrity pact']);
+});
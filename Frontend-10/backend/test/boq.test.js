@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseNumber, amountIssue, extractBoq, toCsv } = require('../boq');
+
+const FINANCIAL = path.join(__dirname, '../../../Tender Docs to Study/Financial Proposal (R6-CC-02)-RT03..pdf');
+const TSERC = path.join(__dirname, '../../../TSERC building.xlsx');
+
+test('parses Indian grouped numbers and treats dashes as empty', () => {
+  assert.equal(parseNumber('1,23,456.50'), 123456.5);
+  assert.equal(parseNumber('-'), null);
+});
+
+test('flags amounts that are not quantity × rate, within rounding', () => {
+  assert.equal(amountIssue({ quantity: 3, rate: 33.33, amount: 100 }), null);
+  assert.deepEqual(amountIssue({ quantity: 5, rate: 200, amount: 1200 }), { expected: 1000, difference: 200 });
+  assert.equal(amountIssue({ quantity: 5, rate: null, amount: 1200 }), null);
+});
+
+test('reads a CSV sheet into items, totals and arithmetic issues', async () => {
+  const csv = Buffer.from('Item No,Description,Unit,Quantity,Rate,Amount\n'
+    + '1,Earthwork,cum,10,100,1000\n2,Concrete,cum,5,200,1200\n,Total,,,,2200\n');
+  const boq = await extractBoq(csv, 'boq.csv');
+  assert.equal(boq.kind, 'sheet');
+  assert.deepEqual(boq.items.map(i => [i.itemNo, i.description, i.quantity, i.rate, i.amount]),
+    [['1', 'Earthwork', 10, 100, 1000], ['2', 'Concrete', 5, 200, 1200]]);
+  assert.deepEqual(boq.totals.map(t => [t.kind, t.amount]), [['subtotal', 2200]]);
+  assert.equal(boq.issues.length, 1);
+  assert.equal(boq.issues[0].message, 'Item 2: 5 × 200 = 1,000, not 1,200');
+});
+
+test('reads the priced BOQ of a financial proposal PDF', async () => {
+  const boq = await extractBoq(fs.readFileSync(FINANCIAL), 'Financial Proposal.pdf');
+  assert.equal(boq.kind, 'pdf');
+  assert.equal(boq.items.length, 45);
+  assert.deepEqual(boq.items.map(i => [i.page, i.itemNo, i.unit, i.quantity, i.rate, i.amount])[0], [16, '1', 'Sqm', 850, 2904, 2468400]);
+  assert.match(boq.items[0].description, /^Providing and laying 25mm thick .* direction of Engineer\.$/);
+  assert.deepEqual(boq.totals, [{ page: 25, kind: 'subtotal', label: 'TOTAL', amount: 196927083 }]);
+  assert.deepEqual(boq.issues, []);
+
+  const lines = toCsv(boq).split('\r\n');
+  assert.equal(lines[0], 'Source,Page,Sheet,Row,Section,Item No,Description,Unit,Quantity,Rate,Amount,Check');
+  assert.match(lines[1], /^,16,,,,1,"Providing .*",Sqm,850,2904,2468400,$/);
+});
+
+test('reads the same BOQ typed into a workbook under a title block', async () => {
+  const { items } = await extractBoq(fs.readFileSync(FINANCIAL), 'Financial Proposal.pdf');
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Schedule C');
+  ws.addRow(['Reach-6 Underground Stations: Bill of Quantities']);
+  ws.addRow([]);
+  ws.addRow(['Sl. No.', 'Description', 'Unit', 'Qty', 'Unit Rate', 'Amount (Rs.)']);
+  for (const i of items) ws.addRow([i.itemNo, i.description, i.unit, i.quantity, i.rate, i.amount]);
+  ws.addRow(['', 'TOTAL', '', '', '', items.reduce((t, i) => t + i.amount, 0)]);
+
+  const sheet = await extractBoq(Buffer.from(await wb.xlsx.writeBuffer()), 'Schedule C.xlsx');
+  assert.equal(sheet.items.length, 45);
+  assert.deepEqual(sheet.items.map(i => [i.itemNo, i.description, i.unit, i.quantity, i.rate, i.amount]),
+    items.map(i => [i.itemNo, i.description, i.unit, i.quantity, i.rate, i.amount]));
+  assert.deepEqual(sheet.totals.map(t => [t.sheet, t.kind, t.amount]), [['Schedule C', 'subtotal', 196927083]]);
+  assert.deepEqual(sheet.issues, []);
+});
+
+test('a workbook of notes without a BOQ table yields only a warning', async () => {
+  const boq = await extractBoq(fs.readFileSync(TSERC), 'TSERC building.xlsx');
+  assert.deepEqual(boq.items, []);
+  assert.deepEqual(boq.warnings, ['No bill of quantities table found in TSERC building.xlsx']);
+});
+
+test('CSV cells that Excel would run as formulas are kept as text', () => {
+  const csv = toCsv({ items: [{ source: '=HYPERLINK("http://x")', itemNo: '-1', description: '@SUM(A1)', unit: '+cum', quantity: -2, rate: 5, amount: -10 }] });
+  assert.equal(csv.split('\r\n')[1], `"'=HYPERLINK(""http://x"")",,,,,'-1,'@SUM(A1),'+cum,-2,5,-10,`);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDates, parseImportantDates, toIcs } = require('../calendar');
+
+const events = text => parseImportantDates(text, [text]).map(e => [e.type, e.local]);
+
+test('types each event and keeps the local time of the tender', () => {
+  const text = 'Pre-bid meeting on 15.12.2022 at 11:30 am. Last date of submission of bids 21.12.2022 up to 4.00 pm.';
+  const parsed = parseImportantDates(text, ['Introduction', text]);
+  assert.deepEqual(parsed.map(e => [e.type, e.local]), [
+    ['preBidMeeting', '2022-12-15T11:30:00+05:30'],
+    ['bidSubmissionDeadline', '2022-12-21T16:00:00+05:30'],
+  ]);
+  assert.equal(parsed[1].date.toISOString(), '2022-12-21T10:30:00.000Z');
+  assert.equal(parsed[1].quote, 'Last date of submission of bids 21.12.2022 up to 4.00 pm.');
+  assert.ok(parsed.every(e => e.verified && e.page === 2 && e.timezone === 'Asia/Kolkata'));
+});
+
+test('reads dates day-first, in words and as ranges', () => {
+  assert.deepEqual(findDates('from 26/06/2018 to 07/08/2018').map(({ y, mo, d }) => [y, mo, d]), [[2018, 6, 26], [2018, 8, 7]]);
+  assert.deepEqual(events('Sale of tender documents from 26/06/2018 to 07/08/2018'),
+    [['documentSaleStart', '2018-06-26'], ['documentSaleEnd', '2018-08-07']]);
+  assert.deepEqual(events('Last date of submission 7th September 2018'), [['bidSubmissionDeadline', '2018-09-07']]);
+  assert.deepEqual(events('Bid submission end date 21-Dec-2022 16:00'), [['bidSubmissionDeadline', '2022-12-21T16:00:00+05:30']]);
+});
+
+test('tells technical and financial bid openings apart', () => {
+  assert.deepEqual(events('Technical Bid Opening on 22.12.2022 at 4.00 pm'), [['technicalBidOpening', '2022-12-22T16:00:00+05:30']]);
+  assert.deepEqual(events('Price bid opening: 05.01.2023 at 15:00 hrs'), [['financialBidOpening', '2023-01-05T15:00:00+05:30']]);
+});
+
+test('bid opening keywords do not reach into the next clause', () => {
+  const text = 'Technical Bid Opening on 22.12.2022 at 4.00 pm; Price Bid Opening 05.01.2023 at 3.00 pm.';
+  assert.deepEqual(events(text), [
+    ['technicalBidOpening', '2022-12-22T16:00:00+05:30'], ['financialBidOpening', '2023-01-05T15:00:00+05:30'],
+  ]);
+  const technical = parseImportantDates(text, [text]).find(e => e.type === 'technicalBidOpening');
+  assert.equal(technical.quote, 'Technical Bid Opening on 22.12.2022 at 4.00 pm');
+});
+
+test('exports timed events in UTC and whole-day events as dates', () => {
+  const calendar = parseImportantDates('Pre-bid meeting on 15.12.2022 at 11:30 am. Last date of submission 7th September 2018', []);
+  const ics = toIcs([{ _id: 'abc', pdfName: 'tender.pdf', calendar }]);
+  assert.match(ics, /^BEGIN:VCALENDAR\r?\n/);
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+  assert.match(ics, /UID:abc-preBidMeeting@contract-analyzer/);
+  assert.match(ics, /DTSTART:20221215T060000Z/);
+  assert.match(ics, /DTSTART;VALUE=DATE:20180907/);
+  assert.match(ics, /SUMMARY:Pre-bid meeting – tender\.pdf/);
+});
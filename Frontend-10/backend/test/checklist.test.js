@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyItemUpdate, checklistProgress, byDeadline } = require('../checklist');
+
+test('applies the editable keys of an update', () => {
+  const item = { item: 'PAN card', status: 'not started' };
+  assert.equal(applyItemUpdate(item, { status: 'ready', assignee: 'Priya', dueDate: '2022-12-20', mandatory: false, item: 'renamed' }), null);
+  assert.equal(item.item, 'PAN card');
+  assert.equal(item.status, 'ready');
+  assert.equal(item.assignee, 'Priya');
+  assert.equal(item.dueDate.toISOString(), '2022-12-20T00:00:00.000Z');
+  assert.equal(item.mandatory, false);
+  assert.ok(item.updatedAt instanceof Date);
+
+  assert.equal(applyItemUpdate(item, { dueDate: null, notes: null }), null);
+  assert.equal(item.dueDate, null);
+  assert.equal(item.notes, '');
+});
+
+test('rejects updates it cannot apply and leaves the item alone', () => {
+  const item = { item: 'PAN card', status: 'not started' };
+  assert.match(applyItemUpdate(item, {}), /^Nothing to update/);
+  assert.match(applyItemUpdate(item, { status: 'done' }), /^Invalid status "done"/);
+  assert.equal(applyItemUpdate(item, { dueDate: 'soon' }), 'Invalid dueDate "soon"');
+  assert.equal(applyItemUpdate(item, { mandatory: 'yes', status: 'ready' }), 'mandatory must be true or false');
+  assert.deepEqual(item, { item: 'PAN card', status: 'not started' });
+});
+
+test('counts open mandatory items against the bid deadline', () => {
+  const now = new Date('2022-12-19T00:00:00Z');
+  const progress = checklistProgress({
+    calendar: [{ type: 'bidSubmissionDeadline', date: new Date('2022-12-21T10:30:00Z') }],
+    submittals: [
+      { _id: 1, item: 'EMD', status: 'submitted' },
+      { _id: 2, item: 'PAN card', status: 'in preparation', assignee: 'Priya', dueDate: new Date('2022-12-18') },
+      { _id: 3, item: 'Integrity pact' },
+      { _id: 4, item: 'Brochure', mandatory: false },
+    ],
+  }, now);
+  assert.equal(progress.total, 4);
+  assert.equal(progress.mandatory, 3);
+  assert.deepEqual(progress.byStatus, { 'not started': 2, 'in preparation': 1, ready: 0, submitted: 1 });
+  assert.equal(progress.percentDone, 25);
+  assert.equal(progress.mandatoryOpen, 2);
+  assert.equal(progress.daysToDeadline, 3);
+  assert.equal(progress.unassignedOpen, 1);
+  assert.deepEqual(progress.overdue.map(o => o.item), ['PAN card']);
+});
+
+test('items without a due date of their own are overdue once the deadline passes', () => {
+  const progress = checklistProgress({
+    calendar: [{ type: 'bidSubmissionDeadline', date: new Date('2022-12-21T10:30:00Z') }],
+    submittals: [{ item: 'Integrity pact' }],
+  }, new Date('2023-01-01'));
+  assert.deepEqual(progress.overdue, [{ _id: undefined, item: 'Integrity pact', assignee: null, dueDate: new Date('2022-12-21T10:30:00Z') }]);
+  assert.equal(checklistProgress({}).percentDone, 100);
+});
+
+test('tenders are listed by deadline, those without a usable one last', () => {
+  const tenders = [
+    { pdfName: 'none', deadline: null },
+    { pdfName: 'bad', deadline: new Date('not a date') },
+    { pdfName: 'later', deadline: new Date('2023-01-10') },
+    { pdfName: 'sooner', deadline: new Date('2022-12-21') },
+  ];
+  assert.deepEqual(tenders.sort(byDeadline).map(t => t.pdfName), ['sooner', 'later', 'none', 'bad']);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { smartChunks, chunkPages, mergeFields, mergeSubmittals } = require('../chunking');
+
+test('packs whole pages into chunks that keep their page markers', () => {
+  const pages = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)];
+  assert.deepEqual(chunkPages(pages, 110), [
+    `[[PAGE 1]] ${pages[0]}\n[[PAGE 2]] ${pages[1]}`,
+    `[[PAGE 3]] ${pages[2]}`,
+  ]);
+  assert.deepEqual(chunkPages(pages), [pages.map((p, i) => `[[PAGE ${i + 1}]] ${p}`).join('\n')]);
+});
+
+test('splits a page too big for one chunk at sentences, repeating its marker', () => {
+  const sentence = 'The contractor shall submit the drawings. ';
+  const chunks = chunkPages(['Short page.', sentence.repeat(10).trim()], 200);
+  assert.equal(chunks[0], '[[PAGE 1]] Short page.');
+  assert.ok(chunks.length > 2);
+  for (const c of chunks.slice(1)) {
+    assert.ok(c.startsWith('[[PAGE 2]] '), c);
+    assert.ok(c.length <= 200, `${c.length} chars`);
+  }
+});
+
+test('keeps the text after the last full stop', () => {
+  const text = 'The contractor shall submit the drawings. '.repeat(4) + 'Annexure A: list of approved makes';
+  const chunks = smartChunks(text, 100, 0);
+  assert.equal(chunks.at(-1), 'Annexure A: list of approved makes');
+  assert.equal(chunks.join(' '), text);
+});
+
+test('cuts a run without full stops that is longer than a chunk', () => {
+  const table = Array.from({ length: 60 }, (_, i) => `Item ${i + 1} Sqm 850 2904`).join(' | ');
+  const chunks = smartChunks(`Schedule of rates. ${table}`, 200, 30);
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) assert.ok(c.length <= 200, `${c.length} chars`);
+  assert.ok(chunks.join(' ').includes('Item 60 Sqm 850 2904'));
+});
+
+const field = (value, page, verified) => ({ value, page, quote: value, verified, note: null });
+
+test('one value per field: verified evidence wins and other values are kept as conflicts', () => {
+  const merged = mergeFields([
+    { EMD: field('Rs. 2,00,000', 1, false), ClientName: field(null, null, false) },
+    { EMD: field('Rs. 2,50,000', 7, true), ClientName: field('BMRCL', 7, true) },
+    { EMD: field('rs 2,50,000', 9, true) },
+  ], ['EMD', 'ClientName', 'BidValidity']);
+
+  assert.equal(merged.ClientName.value, 'BMRCL');
+  assert.equal(merged.ClientName.conflicts, undefined);
+  assert.equal(merged.EMD.value, 'Rs. 2,50,000');
+  assert.equal(merged.EMD.page, 7);
+  assert.deepEqual(merged.EMD.conflicts, [{ value: 'Rs. 2,00,000', page: 1, quote: 'Rs. 2,00,000', verified: false }]);
+  assert.equal(merged.EMD.note, 'Chunks disagree (2 distinct values)');
+  assert.equal(merged.BidValidity.value, null);
+});
+
+test('submittals named alike in several chunks are listed once', () => {
+  const merged = mergeSubmittals([
+    [{ item: 'Bank Guarantee', page: null, modelPage: 3, pageVerified: false, reason: 'EMD' }],
+    [{ item: 'bank guarantee.', page: 12, modelPage: 12, pageVerified: true, reason: 'Performance security' },
+      { item: 'PAN card', page: 2, modelPage: 2, pageVerified: true, reason: '' }],
+  ]);
+  assert.deepEqual(merged, [
+    { item: 'Bank Guarantee', page: 12, modelPage: 12, pageVerified: true, reason: 'EMD; Performance security' },
+    { item: 'PAN card', page: 2, modelPage: 2, pageVerified: true, reason: '' },
+  ]);
+});
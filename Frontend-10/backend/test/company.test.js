@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { financialYear, validateCompany } = require('../company');
+
+test('financial years are written one way', () => {
+  assert.equal(financialYear('FY 2021-2022'), '2021-22');
+  assert.equal(financialYear('2021/22'), '2021-22');
+  assert.equal(financialYear('1999-00'), null);
+  assert.equal(financialYear('2021-23'), null);
+});
+
+test('amounts and years are normalised in place', () => {
+  const body = {
+    name: ' Acme Infra ',
+    turnovers: [{ year: 'FY 2021-22', amount: '₹18.5 Cr' }, { year: '2022/23', amount: 200000000 }],
+    netWorth: [{ year: '2022-23', amount: '-5000000' }],
+    projects: [{ name: 'Metro viaduct', value: '2,35,00,000', completedOn: '2022-03-31' }],
+  };
+  assert.equal(validateCompany(body), null);
+  assert.equal(body.name, 'Acme Infra');
+  assert.deepEqual(body.turnovers, [{ year: '2021-22', amount: 185000000 }, { year: '2022-23', amount: 200000000 }]);
+  assert.equal(body.netWorth[0].amount, -5000000);
+  assert.equal(body.projects[0].value, 23500000);
+  assert.deepEqual(body.projects[0].completedOn, new Date('2022-03-31'));
+});
+
+test('reports the first bad entry', () => {
+  assert.equal(validateCompany({}), 'name is required');
+  assert.equal(validateCompany({ notes: 'x' }, { partial: true }), null);
+  assert.equal(validateCompany({ name: 'A', turnovers: {} }), 'turnovers must be an array');
+  assert.equal(validateCompany({ name: 'A', turnovers: [{ year: '2021', amount: 1 }] }),
+    'turnovers[0]: year must be a financial year like 2021-22');
+  assert.equal(validateCompany({ name: 'A', certifications: [{ name: 'ISO 9001', validUntil: 'soon' }] }),
+    'certifications[0]: validUntil must be a date');
+  assert.equal(validateCompany({ name: 'A', netWorth: [{ year: '2021-22', amount: 1 }, { year: 'FY 2021-2022', amount: 2 }] }),
+    'netWorth: 2021-22 is listed twice');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCriteria, assessEligibility } = require('../eligibility');
+
+const turnoverRule = {
+  fields: {
+    EstimatedCost: { value: 'Rs. 10 Cr', money: { amount: 1e8 } },
+    EligibilityCriteria: { value: 'Average annual turnover during the last 3 financial years should be at least 30% of the estimated cost.' }
+  },
+  calendar: [{ type: 'bidSubmissionDeadline', date: new Date('2022-12-21T10:30:00Z') }]
+};
+const turnovers = amount => ['2019-20', '2020-21', '2021-22'].map(year => ({ year, amount }));
+
+test('reads thresholds relative to the estimated cost', () => {
+  const [turnover, netWorth] = parseCriteria(
+    'Average annual turnover during the last 3 financial years should be at least 30% of the estimated cost and net worth should be positive.',
+    { estimatedCost: 1e8 }
+  );
+  assert.equal(turnover.kind, 'turnover');
+  assert.equal(turnover.required, 3e7);
+  assert.equal(turnover.years, 3);
+  assert.equal(turnover.basis, 'average');
+  assert.equal(netWorth.kind, 'netWorth');
+  assert.equal(netWorth.positive, true);
+});
+
+test('counts the financial years back from the bid deadline', () => {
+  const r = assessEligibility(turnoverRule, { turnovers: turnovers(2e7) });
+  assert.deepEqual(r.criteria[0].years, ['2021-22', '2020-21', '2019-20']);
+  assert.equal(r.criteria[0].status, 'fail');
+  assert.equal(r.verdict, 'no-go');
+  assert.equal(assessEligibility(turnoverRule, { turnovers: turnovers(4e7) }).verdict, 'go');
+});
+
+test('several certifications in one sentence are separate criteria', () => {
+  const contract = { fields: { EligibilityCriteria: { value: 'The bidder should have ISO 9001 certification and Class-I registration with CPWD.' } } };
+  assert.deepEqual(parseCriteria(contract.fields.EligibilityCriteria.value).map(c => [c.kind, c.name]),
+    [['certification', 'ISO 9001'], ['certification', 'Class-I']]);
+
+  const partial = assessEligibility(contract, { certifications: [{ name: 'ISO 9001:2015' }] });
+  assert.deepEqual(partial.criteria.map(c => c.status), ['pass', 'needs-evidence']);
+  assert.equal(partial.verdict, 'needs-evidence');
+
+  const full = assessEligibility(contract, { certifications: [{ name: 'ISO 9001:2015' }, { name: 'Class I Civil Contractor' }] });
+  assert.equal(full.verdict, 'go');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readAnswers, compareValues, matchItems, tokenF1, score } = require('../evaluate');
+
+const SHEET = path.join(__dirname, '../../../Tender Docs to Study/Comparision of answers of different contracts.xlsx');
+
+test('reads the manual answers and another source from the comparison sheet', async () => {
+  const manual = await readAnswers(SHEET);
+  assert.equal(manual.fields.EstimatedCost, '₹ 1105.42 Crores');
+  assert.equal(manual.fields.TenderDocumentCost, '₹ 56,000 (inclusive of GST)');
+  assert.equal(manual.submittals[1], 'Annual & Financial Reports');
+  const gemini = await readAnswers(SHEET, { column: 'Gemini' });
+  assert.match(gemini.fields.EstimatedCost, /^INR 1105\.42\s+Crores$/);
+  await assert.rejects(readAnswers(SHEET, { column: 'Claude 9' }), /no column "Claude 9"/);
+});
+
+test('values match on normalized text, amounts, containment or token F1', () => {
+  assert.deepEqual(compareValues('₹ 1105.42 Crores', 'INR 1105.42 Crores'), { exact: true, match: true, f1: 1 });
+  assert.equal(compareValues('Rs. 56,000', '₹ 56000 including GST').exact, true);
+  assert.equal(compareValues('42 Months from signing', '42 months').match, true);
+  assert.equal(compareValues('Bangalore Metro Rail', 'Delhi Jal Board').match, false);
+  assert.equal(tokenF1('the bank guarantee', 'bank guarantee of a bank'), 0.8);
+});
+
+test('items are paired one to one', () => {
+  const m = matchItems(['Power of Attorney', 'Tender security', 'PAN card'], ['tender security (BG)', 'power of attorney', 'Integrity pact']);
+  assert.deepEqual(m.matched.map(p => p.predicted), ['power of attorney', 'tender security (BG)']);
+  assert.deepEqual(m.missed, ['PAN card']);
+  assert.deepEqual(m.extra, ['Integrity pact']);
+});
+
+test('scores precision, recall and exact match per field', () => {
+  const report = score([{
+    name: 'tad',
+    truth: { fields: { EMD: 'Rs. 2,00,000', EstimatedCost: '₹ 10 Crores', ClientName: null }, submittals: ['PAN card', 'Power of Attorney'] },
+    predicted: { fields: { EMD: '₹ 2,00,000', EstimatedCost: null, ClientName: 'BMRCL' }, submittals: ['PAN card'] },
+  }]);
+  assert.deepEqual(report.fields.EMD, { n: 1, precision: 1, recall: 1, exactMatch: 1, f1: 1 });
+  assert.equal(report.fields.EstimatedCost.recall, 0);
+  assert.equal(report.fields.ClientName.precision, 0);
+  assert.deepEqual(report.overall, { precision: 0.5, recall: 0.5, exactMatch: 0.5, f1: 0.5 });
+  assert.deepEqual(report.submittals, { truth: 2, predicted: 1, matched: 1, precision: 1, recall: 0.5 });
+});
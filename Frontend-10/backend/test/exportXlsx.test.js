@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { tadRows } = require('../tad');
+const { buildTadWorkbook } = require('../exportXlsx');
+
+const contract = {
+  pdfName: 'NIT Pkg3.pdf',
+  fields: {
+    ClientName: { value: 'Bangalore Metro Rail Corporation Ltd.', page: 1, quote: 'Employer: BMRCL', verified: true },
+    EMD: 'Rs. 2,00,000',
+  },
+  submittals: [
+    { item: 'Bank guarantee for EMD', page: 4, reason: 'Clause 4.2' },
+    { item: 'Price schedule (BOQ)', page: 30, reason: '' },
+  ],
+  calendar: [{ type: 'preBidMeeting', label: 'Pre-bid meeting', local: '2022-12-15T11:30:00+05:30', page: 2, quote: 'Pre-bid meeting on 15.12.2022' }],
+};
+
+test('rows follow the BMRCL key aspects, with the evidence of each line', () => {
+  const rows = tadRows(contract);
+  assert.equal(rows.length, 24);
+  assert.deepEqual(rows[0], {
+    no: 1, term: 'Client Name', synonyms: 'Employer / Project Owner / Principal / Contracting Authority',
+    lines: [{ text: 'Bangalore Metro Rail Corporation Ltd.', page: 1, quote: 'Employer: BMRCL' }],
+  });
+  const byTerm = Object.fromEntries(rows.map(r => [r.term, r.lines]));
+  assert.deepEqual(byTerm['Earnest Money Deposit (EMD)'], [{ text: 'Rs. 2,00,000', page: null, quote: null }]);
+  assert.deepEqual(byTerm['Important Dates'].map(l => l.text), ['Pre-bid meeting: 2022-12-15 11:30 (+05:30)']);
+  assert.deepEqual(byTerm['Technical bid submittals'].map(l => l.text), ['Bank guarantee for EMD']);
+  assert.deepEqual(byTerm['Financial/Cost bid submittals'].map(l => l.text), ['Price schedule (BOQ)']);
+  assert.equal(byTerm['Documents to be submitted'].length, 2);
+});
+
+test('one sheet per tender in the reference layout, multi-line answers merged down', async () => {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(await buildTadWorkbook([contract, { ...contract, submittals: [] }]));
+  assert.deepEqual(wb.worksheets.map(ws => ws.name), ['NIT Pkg3', 'NIT Pkg3 (2)']);
+
+  const ws = wb.worksheets[0];
+  assert.equal(ws.getCell('C1').value, 'Tender Appreciation – NIT Pkg3.pdf');
+  assert.deepEqual([3, 4, 5, 6, 7, 8].map(c => ws.getRow(2).getCell(c).value),
+    ['S.No', 'Term', 'Synonyms / Alternate Phrases', 'Answer', 'Page', 'Source quote']);
+  assert.deepEqual([3, 4, 6, 7].map(c => ws.getRow(3).getCell(c).value), [1, 'Client Name', 'Bangalore Metro Rail Corporation Ltd.', 1]);
+  assert.equal(ws.getRow(4).getCell(6).value, 'Not specified');
+
+  const docs = [];
+  ws.eachRow((row, r) => { if (ws.getCell(r, 4).value === 'Documents to be submitted') docs.push(r); });
+  assert.equal(ws.getCell(docs[0], 6).value, '- Bank guarantee for EMD');
+  assert.equal(ws.getCell(docs[0] + 1, 6).value, '- Price schedule (BOQ)');
+  assert.equal(ws.getCell(docs[0] + 1, 4).isMerged, true);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fieldValue, flattenFields, fieldEvidence, verifyFields } = require('../fields');
+
+const pages = ['Name of Work: Construction of Hostel Block', 'Earnest Money Deposit: Rs. 2,00,000/-'];
+
+test('checks every quote against the page text', () => {
+  const fields = verifyFields({
+    NameOfWork: { value: 'Construction of Hostel Block', page: 1, quote: 'Name of Work: Construction of Hostel Block' },
+    EMD: { value: 'Rs. 2,00,000/-', page: 1, quote: 'Earnest Money Deposit: Rs. 2,00,000/-' },
+    ClientName: { value: 'IIT Madras', page: 1, quote: 'Client: IIT Madras' },
+    SiteVisit: { value: 'Required', page: null, quote: null },
+  }, ['NameOfWork', 'EMD', 'ClientName', 'SiteVisit', 'BidValidity'], pages);
+
+  assert.deepEqual(fields.NameOfWork, {
+    value: 'Construction of Hostel Block', page: 1, quote: 'Name of Work: Construction of Hostel Block', verified: true, note: null
+  });
+  assert.equal(fields.EMD.page, 2);
+  assert.equal(fields.EMD.verified, true);
+  assert.equal(fields.ClientName.verified, false);
+  assert.equal(fields.ClientName.note, 'Quote not found in PDF text');
+  assert.equal(fields.SiteVisit.note, 'No evidence quote returned');
+  assert.deepEqual(fields.BidValidity, { value: null, page: null, quote: null, verified: false, note: null });
+});
+
+test('boolean and list answers are stored as text', () => {
+  const fields = verifyFields({
+    SiteVisit: { value: false, page: null, quote: null },
+    Forms: { value: ['Form 1', '', 'Form 2'], page: null, quote: null },
+    Scope: { value: [], page: null, quote: null },
+  }, ['SiteVisit', 'Forms', 'Scope'], pages);
+  assert.equal(fields.SiteVisit.value, 'No');
+  assert.equal(fields.Forms.value, 'Form 1; Form 2');
+  assert.equal(fields.Scope.value, null);
+});
+
+test('pages after the first are checked with their document-wide numbers', () => {
+  // An addendum's pages 3 and 4, after the two pages of the contract
+  const addendum = ['Corrigendum No. 1', 'The EMD is revised to Rs. 2,50,000/-'];
+  const fields = verifyFields({
+    EMD: { value: 'Rs. 2,50,000/-', page: 3, quote: 'EMD is revised to Rs. 2,50,000/-' },
+    NameOfWork: { value: 'Construction of Hostel Block', page: 1, quote: 'Name of Work: Construction of Hostel Block' },
+  }, ['EMD', 'NameOfWork'], addendum, 3);
+  assert.equal(fields.EMD.page, 4);
+  assert.equal(fields.EMD.verified, true);
+  // Quoted from the contract: not evidence of a change
+  assert.equal(fields.NameOfWork.verified, false);
+  assert.equal(fields.NameOfWork.page, null);
+  assert.equal(fields.NameOfWork.note, 'Quote not found in PDF text');
+});
+
+test('reads legacy string fields and evidence fields alike', () => {
+  const fields = { ClientName: 'BMRCL', EMD: { value: 'Rs. 2,00,000/-', page: 2, quote: 'EMD', verified: true } };
+  assert.equal(fieldValue(fields.ClientName), 'BMRCL');
+  assert.deepEqual(flattenFields(fields), { ClientName: 'BMRCL', EMD: 'Rs. 2,00,000/-' });
+  assert.deepEqual(fieldEvidence(fields), {
+    ClientName: null,
+    EMD: { page: 2, quote: 'EMD', verified: true, note: null, conflicts: [] },
+  });
+});
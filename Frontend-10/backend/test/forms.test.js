@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findForms, mergeForms, pageMarks } = require('../forms');
+
+const pages = [
+  'GENERAL CONDITIONS\nThe contractor shall complete the works as per the drawings and specifications issued by the engineer.',
+  'ATTACHMENT – 3 (CERTIFICATE OF NO RELATIONSHIP)\nI/We hereby certify that none of my relatives is employed in the department.',
+  'Name: ____________\nDate: ____________\nSignature of Bidder',
+];
+
+test('counts blanks and signature blocks on a page', () => {
+  const marks = pageMarks(pages[2]);
+  assert.equal(marks.blanks, 2);
+  assert.equal(marks.signature, true);
+  assert.equal(pageMarks(pages[0]).total, 0);
+});
+
+test('a form runs from its heading until the next one', () => {
+  const [form, ...rest] = findForms(pages);
+  assert.equal(rest.length, 0);
+  assert.equal(form.item, 'ATTACHMENT – 3 (CERTIFICATE OF NO RELATIONSHIP)');
+  assert.equal(form.page, 2);
+  assert.equal(form.pageEnd, 3);
+  assert.equal(form.source, 'forms');
+});
+
+test('a matching checklist item gets the form pages instead of a duplicate', () => {
+  const merged = mergeForms([{ item: 'Certificate of no relationship', page: null, reason: 'Required' }], findForms(pages));
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].page, 2);
+  assert.equal(merged[0].pageEnd, 3);
+  assert.equal(merged[0].pageVerified, true);
+});
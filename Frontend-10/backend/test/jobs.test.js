@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isTransient, permanentError } = require('../jobs');
+
+const httpError = (status, message = 'Request failed') => Object.assign(new Error(message), { status });
+
+test('rate limits, quota, server errors and network failures are retried', () => {
+  for (const e of [
+    httpError(429), httpError(503),
+    new Error('[GoogleGenerativeAI Error]: [429 Too Many Requests] Resource has been exhausted'),
+    new Error('You exceeded your current quota'),
+    new Error('The model is overloaded. Please try again later.'),
+    new Error('connect ECONNREFUSED 127.0.0.1:11434'),
+    new Error('TypeError: fetch failed'),
+  ]) assert.equal(isTransient(e), true, e.message);
+});
+
+test('bad input and client errors fail at once', () => {
+  for (const e of [
+    httpError(400, 'Invalid argument'), httpError(401, 'Incorrect API key'),
+    new Error('Empty or non-text PDF'),
+    permanentError('LLM output failed schema validation after 3 attempt(s): 429 items'),
+  ]) assert.equal(isTransient(e), false, e.message);
+  assert.equal(permanentError('x').permanent, true);
+});
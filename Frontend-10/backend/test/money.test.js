@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAmount, findAmounts, normalizeMoneyFields, moneyChecks } = require('../money');
+
+test('reads Indian digit grouping, lakh / crore words and currency symbols', () => {
+  for (const text of ['Rs. 2,35,00,000/-', '235 lakhs', '₹2.35 Cr']) {
+    const r = parseAmount(text);
+    assert.equal(r.amount, 23500000, text);
+    assert.equal(r.currency, 'INR', text);
+  }
+  assert.deepEqual(parseAmount('USD 1.2 million'), {
+    amount: 1200000, currency: 'USD', amounts: [{ amount: 1200000, currency: 'USD', text: 'USD 1.2 million' }], percent: null
+  });
+});
+
+test('keeps percentages apart from amounts and ignores bare numbers', () => {
+  assert.deepEqual(parseAmount('Rs. 5,000/- or 0.5% of ECV'), {
+    amount: 5000, currency: 'INR', amounts: [{ amount: 5000, currency: 'INR', text: 'Rs. 5,000' }], percent: 0.5
+  });
+  assert.equal(parseAmount('2% of the estimated cost').amount, null);
+  assert.equal(parseAmount('See clause 3.1 of 2018'), null);
+  assert.equal(parseAmount('Nil'), null);
+});
+
+test('finds every amount in a sentence with its position', () => {
+  const found = findAmounts('EMD Rs. 50,000 and fee ₹ 1.5 lakh');
+  assert.deepEqual(found.map(a => [a.amount, a.text]), [[50000, 'Rs. 50,000'], [150000, '₹ 1.5 lakh']]);
+  assert.equal(found[0].index, 4);
+});
+
+test('stores the parsed amount beside the original text', () => {
+  const fields = normalizeMoneyFields({ EMD: { value: 'Rs. 20,000' }, ClientName: { value: 'Rs. 5,000 Ltd' }, TenderSecurity: 'Nil' });
+  assert.equal(fields.EMD.value, 'Rs. 20,000');
+  assert.equal(fields.EMD.money.amount, 20000);
+  assert.equal(fields.ClientName.money, undefined);
+  assert.equal(fields.TenderSecurity, 'Nil');
+
+  // A template's own money fields
+  const custom = normalizeMoneyFields({ RetentionMoney: { value: '5 lakhs' }, EMD: { value: 'Rs. 1,000' } }, ['RetentionMoney']);
+  assert.equal(custom.RetentionMoney.money.amount, 500000);
+  assert.equal(custom.EMD.money, undefined);
+});
+
+test('warns about EMD, security and document cost that do not fit the estimate', () => {
+  const check = values => moneyChecks(normalizeMoneyFields(Object.fromEntries(
+    Object.entries(values).map(([k, value]) => [k, { value }])
+  )));
+  assert.deepEqual(check({ EstimatedCost: 'Rs. 10,00,000', EMD: 'Rs. 20,000' }), []);
+  assert.deepEqual(check({ EstimatedCost: 'Rs. 10,00,000', EMD: 'Rs. 20,00,000' }), ['EMD exceeds the estimated cost']);
+  assert.deepEqual(check({ EstimatedCost: 'Rs. 10 crore', EMD: 'Rs. 1,000' }),
+    ['EMD is 0.00% of the estimated cost (usually 0.5–2%)']);
+  assert.deepEqual(check({ EMD: 'Rs. 1,000', TenderDocumentCost: 'Rs. 5,000', TenderSecurity: 'As per clause 4' }), [
+    'Tender document cost exceeds the EMD',
+    'TenderSecurity has text but no amount could be parsed',
+  ]);
+});
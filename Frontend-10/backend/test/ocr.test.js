@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { createCanvas } = require('@napi-rs/canvas');
+const { needsOcr, pageRenderer, readPdf } = require('../ocr');
+
+const TAD = path.join(__dirname, '../../../Tender Docs to Study/Model/TAD.pdf');
+
+// One page holding nothing but a picture of the text
+function scannedPdf(lines) {
+  const canvas = createCanvas(1240, 400);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, 1240, 400);
+  ctx.fillStyle = '#000';
+  ctx.font = '36px sans-serif';
+  lines.forEach((l, i) => ctx.fillText(l, 60, 90 + i * 70));
+  const doc = new PDFDocument({ size: [620, 200], margin: 0 });
+  const chunks = [];
+  doc.on('data', c => chunks.push(c));
+  doc.image(canvas.toBuffer('image/png'), 0, 0, { width: 620 });
+  doc.end();
+  return new Promise(resolve => doc.on('end', () => resolve(Buffer.concat(chunks))));
+}
+
+test('only pages with (almost) no text layer need OCR', () => {
+  assert.equal(needsOcr(''), true);
+  assert.equal(needsOcr(' \n Page 3 \n'), true);
+  assert.equal(needsOcr('Earnest Money Deposit of Rs. 2,00,000 shall be paid by demand draft.'), false);
+});
+
+test('text PDFs are read without OCR', async () => {
+  const r = await readPdf(fs.readFileSync(TAD));
+  assert.equal(r.numPages, 3);
+  assert.deepEqual(r.ocr, []);
+});
+
+test('scanned pages are rendered and recognised', { timeout: 120000 }, async () => {
+  const r = await readPdf(await scannedPdf(['Earnest Money Deposit', 'Rs. 2,00,000 by demand draft']));
+  assert.equal(r.ocr.length, 1);
+  assert.equal(r.ocr[0].page, 1);
+  assert.ok(r.ocr[0].confidence > 50, `confidence ${r.ocr[0].confidence}`);
+  assert.match(r.pages[0], /Earnest Money Deposit/);
+  assert.match(r.pages[0], /demand draft/);
+});
+
+test('pages asked for after the renderer stopped fail at once', { timeout: 30000 }, async () => {
+  const renderer = pageRenderer(fs.readFileSync(TAD));
+  assert.ok((await renderer.render(1)).length > 0);
+  await renderer.close();
+  await assert.rejects(renderer.render(2), /PDF renderer stopped/);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { combineFiles, locate, withProvenance, packageName } = require('../packages');
+const { chunkPages } = require('../chunking');
+const { fieldEvidence } = require('../fields');
+
+const { pages, files } = combineFiles([
+  { name: 'NIT.pdf', pages: ['Notice inviting tender', 'EMD: Rs. 2,00,000'] },
+  { name: 'GCC.pdf', pages: ['General conditions', 'Defect liability', 'Price adjustment'] },
+]);
+
+test('numbers the pages of all files one after another', () => {
+  assert.equal(pages.length, 5);
+  assert.deepEqual(files, [
+    { name: 'NIT.pdf', numPages: 2, firstPage: 1 },
+    { name: 'GCC.pdf', numPages: 3, firstPage: 3 },
+  ]);
+  assert.deepEqual(chunkPages(['General conditions'], undefined, files[1].firstPage), ['[[PAGE 3]] General conditions']);
+});
+
+test('turns a package page back into its file and page', () => {
+  assert.deepEqual(locate(files, 2), { file: 'NIT.pdf', filePage: 2 });
+  assert.deepEqual(locate(files, 4), { file: 'GCC.pdf', filePage: 2 });
+  assert.deepEqual(locate(files, 9), { file: null, filePage: null });
+  assert.deepEqual(locate(files, null), { file: null, filePage: null });
+});
+
+test('adds the file to every page reference', () => {
+  const fields = {
+    EMD: { value: 'Rs. 2,00,000', page: 2, quote: 'EMD', verified: true, conflicts: [{ value: 'Rs. 3,00,000', page: 5 }] },
+    ClientName: 'Legacy string',
+  };
+  const submittals = [{ item: 'Price adjustment form', page: 5 }];
+  withProvenance(fields, submittals, files);
+  assert.deepEqual([fields.EMD.file, fields.EMD.filePage], ['NIT.pdf', 2]);
+  assert.deepEqual(fields.EMD.conflicts[0], { value: 'Rs. 3,00,000', page: 5, file: 'GCC.pdf', filePage: 3 });
+  assert.deepEqual(submittals[0], { item: 'Price adjustment form', page: 5, file: 'GCC.pdf', filePage: 3 });
+  assert.equal(fieldEvidence(fields).EMD.file, 'NIT.pdf');
+});
+
+test('names a package after its first file', () => {
+  assert.equal(packageName(['NIT.pdf']), 'NIT.pdf');
+  assert.equal(packageName(['NIT.pdf', 'GCC.pdf', 'BOQ.pdf']), 'NIT.pdf + 2 more');
+});
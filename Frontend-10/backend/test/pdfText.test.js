@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PDFDocument = require('pdfkit');
+const { extractPages, withPageMarkers, verifyPage, pageScore, findQuote } = require('../pdfText');
+
+const TAD_PDF = path.join(__dirname, '../../../Tender Docs to Study/Model/TAD.pdf');
+
+test('keeps the text of every page apart', async () => {
+  const { numPages, pages } = await extractPages(fs.readFileSync(TAD_PDF));
+  assert.equal(numPages, 3);
+  assert.equal(pages.length, 3);
+  assert.match(pages[0], /Bangalore Metro Rail Corporation Ltd\. \(BMRCL\)/);
+  assert.ok(pages.every(p => p && !/\s{2}/.test(p)));
+});
+
+test('reads a small PDF handed out from Node\'s buffer pool', async () => {
+  const doc = new PDFDocument({ margin: 50 });
+  const chunks = [];
+  doc.on('data', c => chunks.push(c));
+  doc.text('Earnest Money Deposit: Rs. 2,35,000/-');
+  doc.end();
+  const file = await new Promise(resolve => doc.on('end', () => resolve(Buffer.concat(chunks))));
+  // A view into a larger, mostly empty ArrayBuffer, as uploads under 4 KB are
+  const pool = Buffer.alloc(file.length + 8192);
+  const slice = pool.subarray(4096, 4096 + file.length);
+  file.copy(slice);
+  const { numPages, pages } = await extractPages(slice);
+  assert.equal(numPages, 1);
+  assert.deepEqual(pages, ['Earnest Money Deposit: Rs. 2,35,000/-']);
+});
+
+test('marks where each page starts', () => {
+  assert.equal(withPageMarkers(['first', 'second']), '[[PAGE 1]] first\n[[PAGE 2]] second');
+});
+
+const pages = [
+  'Instructions to bidders and general conditions.',
+  'Bank guarantee for the earnest money deposit in the prescribed format.',
+  'Bank guarantee for performance security, valid until completion.',
+];
+
+test('scores the share of significant words on the page', () => {
+  assert.equal(pageScore('Bank guarantee for EMD', pages[1]), 2 / 2);
+  assert.equal(pageScore('Bank guarantee for EMD', pages[0]), 0);
+  assert.equal(pageScore('EMD', pages[1]), 0);
+});
+
+test('scores whole words, allowing plurals', () => {
+  assert.equal(pageScore('Bank guarantees', 'a bank guarantee is required'), 1);
+  assert.equal(pageScore('Bank guarantee', 'the banking sector guaranteed it'), 0);
+});
+
+test('keeps a page the text backs up and relocates one it does not', () => {
+  assert.deepEqual(verifyPage('Bank guarantee for the earnest money deposit', 2, pages), { page: 2, pageVerified: true });
+  assert.deepEqual(verifyPage('Bank guarantee for the earnest money deposit', 1, pages), { page: 2, pageVerified: true });
+  // Both later pages mention a bank guarantee: the one nearest the claim wins
+  assert.deepEqual(verifyPage('Bank guarantee', 3, pages), { page: 3, pageVerified: true });
+  assert.deepEqual(verifyPage('Integrity pact', 2, pages), { page: null, pageVerified: false });
+});
+
+test('finds a quote despite case and punctuation, on another page than reported', () => {
+  assert.deepEqual(findQuote('bank guarantee for the Earnest Money Deposit', 2, pages), { page: 2, found: true });
+  assert.deepEqual(findQuote('Bank guarantee for performance security - valid until completion', 1, pages), { page: 3, found: true });
+  assert.deepEqual(findQuote('Bank guarantee for bid security', 2, pages), { page: 2, found: false });
+});
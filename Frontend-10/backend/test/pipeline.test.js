@@ -0,0 +1,76 @@
+/**********************************************************************
+  Extraction Pipeline (replayed LLM)
+  - Runs extractContract on a three-page tender with the LLM answers
+    replayed from test/fixtures/llm, so no API key or network is needed
+  - Re-record with a live key: LLM_FIXTURES=record node --test test/pipeline.test.js
+**********************************************************************/
+
+const path = require('path');
+
+process.env.LLM_FIXTURES = process.env.LLM_FIXTURES || 'replay';
+process.env.LLM_FIXTURE_DIR = process.env.LLM_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'llm');
+process.env.RULES_MODE = 'fallback';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getProvider } = require('../providers');
+const { schemaCalls, extractContract, checkedSubmittals } = require('../pipeline');
+const tender = require('./fixtures/tender.json');
+
+const extract = async () => {
+  const { ask, log } = schemaCalls(getProvider({ provider: 'gemini' }));
+  const out = await extractContract('test', [tender], tender.name, ask);
+  return { out, log };
+};
+
+test('replays the recorded answers without touching the network', async () => {
+  const { out, log } = await extract();
+  assert.equal(out.chunks, 1);
+  assert.equal(log.calls.length, 2);
+  assert.equal(log.repairRetries, 0);
+});
+
+test('keeps quoted fields verified and flags quotes that are not in the PDF', async () => {
+  const { out } = await extract();
+  assert.equal(out.fields.ClientName.value, 'Indian Institute of Technology Madras');
+  assert.equal(out.fields.ClientName.verified, true);
+  assert.equal(out.fields.SiteVisit.verified, false);
+  assert.equal(out.fields.SiteVisit.note, 'Quote not found in PDF text');
+  assert.equal(out.fields.EstimatedCost.money.amount, 23500000);
+  assert.equal(out.fields.EMD.money.amount, 235000);
+});
+
+test('fills fields the model left empty from the rule-based extractor', async () => {
+  const { out } = await extract();
+  assert.equal(out.fields.TenderDocumentCost.source, 'rules');
+  assert.equal(out.fields.TenderDocumentCost.money.amount, 5000);
+});
+
+test('adds the fill-in forms to the checklist and reads the calendar', async () => {
+  const { out } = await extract();
+  const items = out.submittals.map(s => s.item);
+  assert.ok(items.includes('Copy of PAN card and GST registration certificate'));
+  const form = out.submittals.find(s => s.source === 'forms');
+  assert.equal(form.page, 3);
+  assert.deepEqual(out.calendar.map(e => [e.type, e.local]), [
+    ['preBidMeeting', '2022-12-15T11:30:00+05:30'],
+    ['bidSubmissionDeadline', '2022-12-21T16:00:00+05:30'],
+    ['technicalBidOpening', '2022-12-22T16:00:00+05:30'],
+  ]);
+});
+
+test('checklist pages of a later part are checked against that part only', () => {
+  const addendum = ['Corrigendum No. 1', 'An integrity pact shall be signed by the bidder.'];
+  assert.deepEqual(checkedSubmittals([
+    { item: 'Integrity pact', page: 3, reason: 'Added' },
+    { item: 'Bank guarantee for EMD', page: 2 },
+  ], addendum, 3).map(s => [s.item, s.modelPage, s.page, s.pageVerified]), [
+    ['Integrity pact', 3, 4, true],
+    ['Bank guarantee for EMD', 2, null, false],
+  ]);
+});
+
+test('fails clearly when a prompt has no fixture', async () => {
+  const llm = getProvider({ provider: 'gemini' });
+  await assert.rejects(llm.generate('A prompt nobody recorded'), /No LLM fixture for prompt/);
+});
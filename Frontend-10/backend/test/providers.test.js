@@ -0,0 +1,95 @@
+/**********************************************************************
+  Record / Replay Providers
+  - Fixtures go to a temporary LLM_FIXTURE_DIR; the "live" endpoint is
+    a local OpenAI-compatible server, so nothing leaves the machine
+**********************************************************************/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getProvider, promptHash } = require('../providers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+process.env.LLM_FIXTURE_DIR = dir;
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const withMode = (mode, fn) => async () => {
+  process.env.LLM_FIXTURES = mode;
+  try {
+    await fn();
+  } finally {
+    delete process.env.LLM_FIXTURES;
+  }
+};
+
+test('the fixture key covers the system text but not provider or model', () => {
+  assert.equal(promptHash('Hi'), promptHash('Hi', undefined));
+  assert.notEqual(promptHash('Hi'), promptHash('Hi', 'Be brief'));
+  assert.match(promptHash('Hi'), /^[0-9a-f]{64}$/);
+});
+
+test('replay answers from the fixture of the same prompt, without an API key', withMode('replay', async () => {
+  const hash = promptHash('List the EMD', 'Answer in JSON');
+  fs.writeFileSync(path.join(dir, `${hash}.json`), JSON.stringify({ hash, prompt: 'List the EMD', response: '{"EMD":"Rs. 2,00,000"}' }));
+  const llm = getProvider({ provider: 'openai', model: 'any-model' });
+  assert.equal(llm.mode, 'replay');
+  assert.equal(await llm.generate('List the EMD', { system: 'Answer in JSON' }), '{"EMD":"Rs. 2,00,000"}');
+  await assert.rejects(llm.generate('List the EMD'), /No LLM fixture for prompt/);
+}));
+
+test('record stores the live answer under the prompt hash', withMode('record', async () => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      const { model, messages } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        id: 'chatcmpl-1', object: 'chat.completion', created: 0, model,
+        choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: `echo: ${messages.at(-1).content}` } }],
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  try {
+    const llm = getProvider({ provider: 'openai-compatible', model: 'local-model' });
+    assert.equal(llm.mode, 'record');
+    assert.equal(await llm.generate('Ping'), 'echo: Ping');
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, `${promptHash('Ping')}.json`), 'utf8'));
+    assert.equal(saved.provider, 'openai-compatible');
+    assert.equal(saved.model, 'local-model');
+    assert.equal(saved.prompt, 'Ping');
+    assert.equal(saved.response, 'echo: Ping');
+  } finally {
+    delete process.env.LLM_BASE_URL;
+    server.close();
+  }
+}));
+
+test('a failed live call reaches the server once: retries are left to the rate limiter', async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    req.resume();
+    req.on('end', () => {
+      res.statusCode = 500;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: { message: 'model crashed' } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  try {
+    const llm = getProvider({ provider: 'openai-compatible', model: 'local-model' });
+    await assert.rejects(llm.generate('Ping'), /model crashed/);
+    assert.equal(hits, 1);
+  } finally {
+    delete process.env.LLM_BASE_URL;
+    server.close();
+  }
+});
@@ -0,0 +1,61 @@
+// Fast buckets, so a pause after a 429 lasts milliseconds
+process.env.LLM_LIMITS = JSON.stringify({ 'test-retry': { rpm: 6000 }, 'test-broken': { rpm: 6000 }, 'test-limited': { rpm: 6000 } });
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withRateLimit, createLimiter, estimateTokens } = require('../rateLimit');
+
+test('estimates ~4 characters a token plus the output budget', () => {
+  assert.equal(estimateTokens('x'.repeat(400), { system: 'y'.repeat(100), maxOutputTokens: 1000 }), 1125);
+  assert.equal(estimateTokens('abcd'), 2049);
+});
+
+test('a call waits until the bucket has refilled its tokens', async () => {
+  const limiter = createLimiter({ rpm: 6000, tpm: 60000 });   // 1000 tokens a second
+  await limiter.acquire(60000);
+  const started = Date.now();
+  await limiter.acquire(100);
+  assert.ok(Date.now() - started >= 80, `${Date.now() - started} ms`);
+});
+
+test('an unlimited token budget never holds a call back', async () => {
+  const limiter = createLimiter({ rpm: 6000, tpm: Infinity });
+  for (let i = 0; i < 3; i++) await limiter.acquire(1e9);
+});
+
+test('calls are served in the order they asked', async () => {
+  const limiter = createLimiter({ rpm: 6000, tpm: 60000 });
+  await limiter.acquire(60000);
+  const order = [];
+  await Promise.all([50, 10, 30].map((cost, i) => limiter.acquire(cost).then(() => order.push(i))));
+  assert.deepEqual(order, [0, 1, 2]);
+});
+
+const flaky = (name, failures, error) => {
+  let calls = 0;
+  return {
+    name, model: 'm', mode: 'live',
+    calls: () => calls,
+    async generate() {
+      calls++;
+      if (calls <= failures) throw error();
+      return 'ok';
+    },
+  };
+};
+
+test('rate-limited calls pause for the delay the API asks for and are retried', async () => {
+  const live = flaky('test-retry', 2, () => Object.assign(new Error('429 Too Many Requests, please retry in 0.05s'), { status: 429 }));
+  assert.equal(await withRateLimit(live).generate('Ping'), 'ok');
+  assert.equal(live.calls(), 3);
+});
+
+test('other errors and the last rate-limit error are passed on', async () => {
+  const broken = flaky('test-broken', 5, () => new Error('Invalid API key'));
+  await assert.rejects(withRateLimit(broken).generate('Ping'), /Invalid API key/);
+  assert.equal(broken.calls(), 1);
+
+  const limited = flaky('test-limited', 5, () => new Error('Quota exceeded, retry in 0.01s'));
+  await assert.rejects(withRateLimit(limited).generate('Ping'), /Quota exceeded/);
+  assert.equal(limited.calls(), 3);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reportData, buildPdf, buildDocx } = require('../report');
+const { extractPages } = require('../pdfText');
+
+const keys = ['ClientName', 'NameOfWork', 'EstimatedCost', 'EMD', 'ImportantDates', 'BidValidity', 'EligibilityCriteria'];
+const contract = {
+  pdfName: 'tender.pdf',
+  provider: 'gemini',
+  model: 'gemini-2.5-flash',
+  fields: {
+    ClientName: { value: 'IIT Madras', page: 1, quote: 'Client: IIT Madras', verified: true },
+    NameOfWork: { value: 'Construction of Hostel Block', page: 1, quote: 'Name of Work', verified: true },
+    EstimatedCost: { value: 'Rs. 10,00,000', page: 2, quote: 'Estimated cost', verified: true, money: { amount: 1000000 } },
+    EMD: { value: 'Rs. 20,00,000', page: 3, quote: 'EMD', verified: false, note: 'Quote not found in PDF text', money: { amount: 2000000 } },
+    BidValidity: { value: '90 days', page: 4, quote: 'Bid validity', verified: true, conflicts: [{ value: '120 days', page: 9 }] },
+  },
+  submittals: [
+    { item: 'Bank guarantee for EMD', page: 3, pageVerified: true, reason: 'Clause 4.2', status: 'ready', assignee: 'Priya' },
+    { item: 'Integrity pact', page: null, pageVerified: false },
+  ],
+  calendar: [{ type: 'bidSubmissionDeadline', label: 'Bid submission deadline', date: new Date('2022-12-21T10:30:00Z'), local: '2022-12-21T16:00:00+05:30', page: 2 }],
+};
+
+test('flags the risks a bid team should check', () => {
+  const data = reportData(contract, { keys });
+  assert.equal(data.client, 'IIT Madras');
+  assert.equal(data.model, 'gemini / gemini-2.5-flash');
+  assert.deepEqual(data.risks, [
+    'EMD exceeds the estimated cost',
+    'EMD (Earnest Money Deposit): value not backed by a verified quote (Quote not found in PDF text)',
+    'Bid Validity: document gives different values – "120 days" (p. 9)',
+    'Important Dates not found in the document',
+    'Eligibility Criteria not found in the document',
+    'The bid submission deadline has passed',
+    '1 checklist item(s) without a verified page reference',
+  ]);
+  assert.deepEqual(data.pageRefs.map(r => r.page), [1, 1, 2, 3, 3, 4]);
+  assert.deepEqual(data.checklist[0], { no: 1, item: 'Bank guarantee for EMD', page: 3, done: true, reason: 'Clause 4.2 · Owner: Priya' });
+  assert.equal(data.checklist[1].done, false);
+});
+
+test('the PDF holds the key facts, checklist and risks', async () => {
+  const pdf = await buildPdf(contract, { keys });
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  const text = (await extractPages(pdf)).pages.join(' ');
+  for (const s of ['Tender Appreciation Report', 'Construction of Hostel Block', 'Bank guarantee for EMD', 'EMD exceeds the estimated cost']) {
+    assert.ok(text.includes(s), s);
+  }
+});
+
+test('the DOCX is a Word document', async () => {
+  const docxFile = await buildDocx(contract, { keys });
+  assert.equal(docxFile.subarray(0, 2).toString(), 'PK');
+  assert.ok(docxFile.length > 5000);
+});
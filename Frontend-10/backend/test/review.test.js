@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reviewField, revertField, reviewSubmittal, carryReviews } = require('../review');
+
+const model = () => ({ EMD: { value: 'Rs. 2,00,000', page: 4, quote: 'EMD Rs. 2,00,000', verified: false } });
+
+test('a reviewed field keeps the model answer once under original', () => {
+  const fields = model();
+  const r = reviewField(fields, 'EMD', { value: 'Rs. 2,50,000', verified: true, note: 'see corrigendum' }, 'asha');
+  assert.deepEqual(r.before, { value: 'Rs. 2,00,000', page: 4, quote: 'EMD Rs. 2,00,000', verified: false });
+  assert.equal(fields.EMD.value, 'Rs. 2,50,000');
+  assert.equal(fields.EMD.verified, true);
+  assert.equal(fields.EMD.review.by, 'asha');
+  assert.equal(fields.EMD.review.note, 'see corrigendum');
+
+  reviewField(fields, 'EMD', { value: 'Rs. 3,00,000' }, 'ravi');
+  assert.equal(fields.EMD.original.value, 'Rs. 2,00,000');
+  assert.equal(fields.EMD.review.verified, true);
+  assert.equal(fields.EMD.review.note, 'see corrigendum');
+
+  const back = revertField(fields, 'EMD');
+  assert.equal(back.before.value, 'Rs. 3,00,000');
+  assert.deepEqual(fields.EMD, model().EMD);
+  assert.equal(revertField(fields, 'EMD'), null);
+});
+
+test('bad review bodies are refused', () => {
+  const fields = model();
+  assert.match(reviewField(fields, 'EMD', { colour: 'red' }, 'asha').error, /^Nothing to update/);
+  assert.equal(reviewField(fields, 'EMD', { verified: 'yes' }, 'asha').error, 'verified must be true or false');
+  assert.equal(reviewField(fields, 'EMD', { page: 0 }, 'asha').error, 'page must be a positive integer or null');
+  assert.deepEqual(fields, model());
+});
+
+test('legacy string fields and missing template fields can be reviewed', () => {
+  const fields = { Scope: 'Civil works' };
+  reviewField(fields, 'Scope', { page: 2 }, 'asha');
+  assert.equal(fields.Scope.value, 'Civil works');
+  assert.equal(fields.Scope.page, 2);
+  reviewField(fields, 'PBG', { value: '5%' }, 'asha');
+  assert.deepEqual(fields.PBG.original, { value: null, page: null, quote: null, verified: false });
+});
+
+test('submittal reviews rename and re-page the item', () => {
+  const item = { item: 'PAN', page: 5, reason: '', pageVerified: false, review: { added: true } };
+  assert.equal(reviewSubmittal(item, { item: '' }, 'asha').error, 'item cannot be empty');
+  const r = reviewSubmittal(item, { item: ' Copy of PAN card ', page: 6 }, 'asha');
+  assert.deepEqual(r, { before: { item: 'PAN', page: 5, reason: '' }, after: { item: 'Copy of PAN card', page: 6, reason: '' } });
+  assert.equal(item.pageVerified, true);
+  assert.equal(item.review.added, true);
+  assert.equal(item.review.by, 'asha');
+});
+
+test('reviewed fields survive a new accepted run', () => {
+  const previous = model();
+  reviewField(previous, 'EMD', { value: 'Rs. 2,50,000' }, 'asha');
+  const next = { EMD: { value: 'Rs. 2,10,000', page: 3, quote: 'EMD 2,10,000', verified: true }, PBG: { value: '5%' } };
+  const out = carryReviews(previous, next);
+  assert.equal(out.EMD.value, 'Rs. 2,50,000');
+  assert.deepEqual(out.EMD.original, next.EMD);
+  assert.equal(out.PBG, next.PBG);
+});
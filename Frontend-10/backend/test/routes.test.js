@@ -0,0 +1,220 @@
+/**********************************************************************
+  API against MongoDB, LLM replayed
+  - A tender PDF is uploaded and read by the job worker
+    (processContract), then reviewed, re-run, amended by an addendum,
+    exported and checked for eligibility over HTTP
+  - The LLM answers are replayed from test/fixtures/llm, so no API key
+    or network is needed; a MongoDB is, and its database is dropped:
+    MONGO_TEST_URL=mongodb://localhost:27017/tender_test npm test
+    Skipped without MONGO_TEST_URL
+  - Re-record with a live key: LLM_FIXTURES=record MONGO_TEST_URL=… node --test test/routes.test.js
+**********************************************************************/
+
+const path = require('path');
+
+process.env.LLM_FIXTURES = process.env.LLM_FIXTURES || 'replay';
+process.env.LLM_FIXTURE_DIR = process.env.LLM_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'llm');
+process.env.RULES_MODE = 'fallback';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const { app, stopJobWorkers } = require('../server');
+const tender = require('./fixtures/tender.json');
+
+const MONGO = process.env.MONGO_TEST_URL;
+const skip = !MONGO && 'needs a MongoDB (MONGO_TEST_URL)';
+
+// The sample tender plus a page of eligibility criteria
+const TENDER = [
+  ...tender.pages,
+  'ELIGIBILITY CRITERIA\nAverage annual turnover during the last 3 financial years should be at least 30% of the estimated cost.'
+];
+const CORRIGENDUM = [
+  'CORRIGENDUM No. 1\nThe period of completion is revised to 15 months from the date of award.\nAdditional document: Integrity Pact signed by the bidder.'
+];
+
+function pdf(pages) {
+  const doc = new PDFDocument({ margin: 50 });
+  const chunks = [];
+  doc.on('data', c => chunks.push(c));
+  pages.forEach((p, i) => {
+    if (i) doc.addPage();
+    doc.fontSize(11).text(p);
+  });
+  doc.end();
+  return new Promise(resolve => doc.on('end', () => resolve(Buffer.concat(chunks))));
+}
+
+let server, base, id;
+
+async function call(method, url, body) {
+  const json = body && !(body instanceof FormData);
+  const r = await fetch(base + url, {
+    method,
+    headers: json ? { 'Content-Type': 'application/json' } : undefined,
+    body: json ? JSON.stringify(body) : body,
+  });
+  const type = r.headers.get('content-type') || '';
+  return { status: r.status, type, body: type.includes('json') ? await r.json() : Buffer.from(await r.arrayBuffer()) };
+}
+
+const upload = async (url, name, pages) => {
+  const form = new FormData();
+  form.append('pdf', new Blob([await pdf(pages)], { type: 'application/pdf' }), name);
+  return call('POST', url, form);
+};
+
+// Polls a GET route until done(body) holds
+async function until(url, done, ms = 60000) {
+  const end = Date.now() + ms;
+  for (;;) {
+    const { body } = await call('GET', url);
+    if (done(body)) return body;
+    if (Date.now() > end) assert.fail(`${url} did not get there: ${JSON.stringify(body)}`);
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+}
+
+test.before(async () => {
+  if (skip) return;
+  await mongoose.connect(MONGO);
+  await mongoose.connection.dropDatabase();
+  await new Promise(resolve => {
+    server = app.listen(0, () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+});
+
+test.after(async () => {
+  if (skip) return;
+  stopJobWorkers();
+  await new Promise(resolve => server.close(resolve));
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+});
+
+test('an uploaded tender is read by the job worker', { skip }, async () => {
+  const r = await upload('/api/summarize', 'sample_tender.pdf', TENDER);
+  assert.equal(r.status, 200);
+  assert.equal(r.body.status, 'pending');
+  id = r.body._id;
+
+  const status = await until(`/api/status/${id}`, s => s.job && ['done', 'failed'].includes(s.job.status));
+  assert.equal(status.status, 'completed', status.errorMessage);
+  assert.equal(status.hasFields, true);
+  assert.equal(status.hasSubmittals, true);
+  assert.deepEqual(status.ocrPages, []);
+  assert.equal((await call('GET', `/api/status/${new mongoose.Types.ObjectId()}`)).status, 404);
+});
+
+test('fields come with the quote that was found on their page', { skip }, async () => {
+  const { status, body } = await call('GET', `/api/summarize/${id}`);
+  assert.equal(status, 200);
+  assert.equal(body.fields.EMD, 'Rs. 2,35,000/-');
+  assert.equal(body.evidence.EMD.page, 1);
+  assert.equal(body.evidence.EMD.verified, true);
+  assert.equal(body.evidence.EMD.money.amount, 235000);
+  // The model's quote for SiteVisit is not in the PDF
+  assert.equal(body.evidence.SiteVisit.verified, false);
+  assert.equal(body.evidence.SiteVisit.note, 'Quote not found in PDF text');
+
+  const { body: checklist } = await call('GET', `/api/submittals/${id}`);
+  assert.deepEqual(checklist.submittals.filter(s => s.page === 2).map(s => s.pageVerified), [true, true, true]);
+  assert.ok(checklist.submittals.some(s => s.source === 'forms' && s.page === 3), 'the bid form on page 3');
+});
+
+test('review edits are attributed and audited', { skip }, async () => {
+  const anonymous = await call('PUT', `/api/review/${id}/fields/SiteVisit`, { value: 'Not mentioned' });
+  assert.equal(anonymous.status, 400);
+
+  const edit = await call('PUT', `/api/review/${id}/fields/SiteVisit`, { by: 'reviewer', value: 'Not mentioned', verified: true });
+  assert.equal(edit.status, 200);
+  assert.equal(edit.body.value, 'Not mentioned');
+  assert.equal(edit.body.field.original.value, 'Bidders must visit the site before bidding');
+  assert.equal(edit.body.reviewStatus, 'in review');
+
+  const done = await call('PUT', `/api/review/${id}/status`, { by: 'reviewer', status: 'reviewed' });
+  assert.equal(done.body.reviewedBy, 'reviewer');
+  const { body } = await call('GET', `/api/review/${id}/audit`);
+  assert.deepEqual(body.audit.map(a => [a.action, a.target]), [['status', 'reviewStatus'], ['field', 'SiteVisit']]);
+});
+
+test('a re-run is compared with the first and accepted without losing the review', { skip }, async () => {
+  const r = await call('POST', `/api/reprocess/${id}`, {});
+  assert.equal(r.status, 200);
+  const runs = await until(`/api/runs/${id}`, b => b.queued === 0 && b.runs.length === 2);
+  assert.deepEqual(runs.runs.map(x => [x.number, x.status]), [[1, 'completed'], [2, 'completed']]);
+
+  const { body: diff } = await call('GET', `/api/compare/${id}?a=1&b=2`);
+  assert.equal(diff.changed, 0);
+  assert.deepEqual(diff.submittals.onlyInB, []);
+
+  assert.equal((await call('POST', `/api/runs/${id}/2/accept`)).body.acceptedRun, 2);
+  const { body } = await call('GET', `/api/summarize/${id}`);
+  assert.equal(body.fields.SiteVisit, 'Not mentioned');
+  assert.equal(body.evidence.SiteVisit.review.by, 'reviewer');
+});
+
+test('an addendum changes only what its own pages quote', { skip }, async () => {
+  const r = await upload(`/api/addenda/${id}`, 'corrigendum-1.pdf', CORRIGENDUM);
+  assert.equal(r.status, 200);
+  const { addenda: [addendum] } = await until(`/api/addenda/${id}`, b => ['completed', 'failed'].includes(b.addenda[0].status));
+  assert.equal(addendum.status, 'completed', addendum.errorMessage);
+  assert.deepEqual(addendum.changedFields, ['CompletionPeriod']);
+  // The model quoted the tender itself for a new bid validity: held back
+  assert.deepEqual(addendum.unverifiedChanges.map(c => [c.key, c.page]), [['BidValidity', null]]);
+  assert.deepEqual(addendum.addedSubmittals, ['Integrity Pact signed by the bidder']);
+
+  const { body } = await call('GET', `/api/summarize/${id}`);
+  assert.equal(body.fields.CompletionPeriod, '15 months');
+  assert.equal(body.evidence.CompletionPeriod.page, 5);
+  assert.equal(body.evidence.CompletionPeriod.amendedBy, 'corrigendum-1.pdf');
+  assert.equal(body.fields.BidValidity, '90 days from the date of opening of technical bid');
+  // Review and checklist survive the addendum
+  assert.equal(body.fields.SiteVisit, 'Not mentioned');
+  const { body: checklist } = await call('GET', `/api/submittals/${id}`);
+  const pact = checklist.submittals.find(s => s.item === 'Integrity Pact signed by the bidder');
+  assert.equal(pact.page, 5);
+  assert.equal(pact.amendedBy, 'corrigendum-1.pdf');
+});
+
+test('the tender appreciation workbook is exported', { skip }, async () => {
+  const bad = await call('GET', '/api/export.xlsx?ids=nope');
+  assert.equal(bad.status, 400);
+
+  const r = await call('GET', `/api/export.xlsx?ids=${id}`);
+  assert.equal(r.status, 200);
+  assert.match(r.type, /spreadsheetml/);
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(r.body);
+  assert.equal(wb.worksheets.length, 1);
+  const cells = [];
+  wb.worksheets[0].eachRow(row => row.eachCell(c => cells.push(String(c.value))));
+  assert.ok(cells.includes('Construction of Hostel Block at IIT Madras Campus, Chennai'));
+  assert.ok(cells.includes('15 months'));
+
+  assert.equal((await call('GET', `/api/export/${id}.xlsx`)).status, 200);
+});
+
+test('eligibility is judged from the company profile', { skip }, async () => {
+  const none = await call('GET', `/api/eligibility/${id}`);
+  assert.equal(none.status, 400);
+
+  const company = await call('POST', '/api/companies', {
+    name: 'Sample Builders',
+    turnovers: ['2019-20', '2020-21', '2021-22'].map(year => ({ year, amount: '1 Cr' }))
+  });
+  assert.equal(company.status, 201);
+  const { status, body } = await call('GET', `/api/eligibility/${id}`);
+  assert.equal(status, 200);
+  assert.equal(body.company.name, 'Sample Builders');
+  assert.equal(body.referenceDateSource, 'bid submission deadline');
+  assert.deepEqual(body.source, { key: 'EligibilityCriteria', page: 4, file: 'sample_tender.pdf', filePage: 4 });
+  assert.deepEqual(body.criteria.map(c => [c.kind, c.required, c.status]), [['turnover', '₹70.50 lakh (average)', 'pass']]);
+  assert.equal(body.verdict, 'go');
+});
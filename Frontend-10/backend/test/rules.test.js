@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ruleExtract, combineWithRules, agrees } = require('../rules');
+
+const pages = [
+  'Earnest Money Deposit: Rs. 2,00,000/- (Rupees Two Lakhs only).\nCost of tender document: Rs. 5,000/-\n'
+  + 'Period of completion: 12 months from the date of award.\nBid validity: 90 days from the date of opening.'
+];
+
+test('reads fixed-pattern fields with their page and a verbatim quote', () => {
+  const found = ruleExtract(pages);
+  assert.equal(found.TenderDocumentCost.value, 'Rs. 5,000/-');
+  assert.equal(found.CompletionPeriod.value, '12 months from the date of award');
+  assert.equal(found.BidValidity.value, '90 days from the date of opening');
+  for (const f of Object.values(found)) {
+    assert.equal(f.source, 'rules');
+    assert.equal(f.verified, true);
+    assert.equal(f.page, 1);
+    assert.ok(pages[0].includes(f.quote), f.quote);
+  }
+});
+
+test('values agree when the amounts match even if the text differs', () => {
+  assert.equal(agrees('Rs. 2,00,000/-', '2 lakhs'), true);
+  assert.equal(agrees('Rs. 2,00,000/-', 'Rs. 3,00,000/-'), false);
+});
+
+test('fills empty fields and keeps a verified rule value over an unverified LLM one', () => {
+  const found = ruleExtract(pages);
+  const fields = combineWithRules({
+    EMD: { value: 'Rs. 3,00,000', page: null, quote: null, verified: false, note: 'No evidence quote returned' },
+    TenderDocumentCost: { value: null },
+  }, found);
+  assert.equal(fields.TenderDocumentCost.source, 'rules');
+  assert.equal(fields.EMD.source, 'rules');
+  assert.equal(fields.EMD.conflicts[0].value, 'Rs. 3,00,000');
+  assert.match(fields.EMD.note, /rule-based value used/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Run, promptVersion, tracedProvider, carryChecklist, summary, compareRuns } = require('../runs');
+
+test('the prompt version follows the prompt text and the template fields', () => {
+  const prompt = t => `Extract from ${t}`;
+  const v = promptVersion([prompt], [{ key: 'EMD' }]);
+  assert.match(v, /^[0-9a-f]{12}$/);
+  assert.equal(promptVersion([prompt], [{ key: 'EMD' }]), v);
+  assert.notEqual(promptVersion([prompt], [{ key: 'EMD' }, { key: 'PBG' }]), v);
+  assert.notEqual(promptVersion([t => `Read ${t}`], [{ key: 'EMD' }]), v);
+});
+
+test('the traced provider logs answers and failures under the current stage', async () => {
+  let fail = false;
+  const { provider, calls, setContext } = tracedProvider({
+    name: 'fake', model: 'm1', mode: 'live',
+    generate: async () => { if (fail) throw new Error('quota'); return '{"ok":true}'; },
+  });
+  assert.equal(provider.model, 'm1');
+  setContext({ stage: 'extract', chunk: 0 });
+  assert.equal(await provider.generate('prompt'), '{"ok":true}');
+  fail = true;
+  setContext({ stage: 'extract', chunk: 1 });
+  await assert.rejects(provider.generate('prompt 2'), /quota/);
+  assert.deepEqual(calls.map(c => [c.stage, c.chunk, c.promptChars, c.output, c.error]), [
+    ['extract', 0, 6, '{"ok":true}', undefined],
+    ['extract', 1, 8, undefined, 'quota'],
+  ]);
+});
+
+test('runs cannot be updated', async () => {
+  await assert.rejects(Run.updateOne({}, { status: 'failed' }), /Runs are immutable/);
+});
+
+test('checklist progress carries over to items with the same name', () => {
+  const previous = [{ _id: 'a1', item: 'Bank Guarantee for EMD', status: 'ready', assignee: 'Priya' }];
+  const carried = carryChecklist(previous, [{ item: 'bank guarantee for EMD.', page: 3 }, { item: 'PAN card', page: 5 }]);
+  assert.deepEqual(carried, [
+    { item: 'bank guarantee for EMD.', page: 3, _id: 'a1', status: 'ready', assignee: 'Priya' },
+    { item: 'PAN card', page: 5 },
+  ]);
+});
+
+test('comparing two runs lists changed fields and checklist differences', () => {
+  const a = {
+    number: 1, status: 'completed', model: 'm1', calls: [{}, {}],
+    output: {
+      fields: { EMD: { value: 'Rs. 2,00,000', page: 4, verified: true }, Scope: 'Civil works' },
+      submittals: [{ item: 'PAN card' }, { item: 'Bank guarantee' }],
+    },
+  };
+  const b = {
+    number: 2, status: 'completed', model: 'm2', repairRetries: 1,
+    output: {
+      fields: { EMD: { value: 'Rs. 2,50,000', page: 4, verified: false }, Scope: 'civil works.' },
+      submittals: [{ item: 'pan card' }, { item: 'Integrity pact' }],
+    },
+  };
+  const diff = compareRuns(a, b);
+  assert.equal(diff.changed, 1);
+  assert.deepEqual(diff.fields[0], {
+    key: 'EMD', same: false,
+    a: { value: 'Rs. 2,00,000', page: 4, verified: true },
+    b: { value: 'Rs. 2,50,000', page: 4, verified: false },
+  });
+  assert.equal(diff.fields[1].same, true);
+  assert.deepEqual(diff.submittals, { onlyInA: ['Bank guarantee'], onlyInB: ['Integrity pact'], inBoth: 1 });
+  assert.equal(diff.a.llmCalls, 2);
+  assert.equal(summary(b).repairRetries, 1);
+});
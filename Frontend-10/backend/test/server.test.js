@@ -0,0 +1,53 @@
+/**********************************************************************
+  API without Mongo or LLM
+  - require('../server') only builds the app: no connection, no ping
+  - Routes that don't need the database are driven over HTTP
+**********************************************************************/
+
+process.env.LLM_FIXTURES = 'replay';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app } = require('../server');
+
+let server, base;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('health reports the replay provider', async () => {
+  const r = await fetch(`${base}/health`);
+  assert.equal(r.status, 200);
+  const body = await r.json();
+  assert.equal(body.status, 'healthy');
+  assert.equal(body.llm_mode, 'replay');
+  assert.ok(body.providers.includes('rules'));
+});
+
+test('upload without a PDF is rejected', async () => {
+  const r = await fetch(`${base}/api/summarize`, { method: 'POST', body: new FormData() });
+  assert.equal(r.status, 400);
+  assert.deepEqual(await r.json(), { error: 'No PDF uploaded' });
+});
+
+test('question sheet import preview returns the template and its warnings', async () => {
+  const form = new FormData();
+  form.append('file', new Blob(['Question\nClient Name\n2 Bid validity period\n']), 'questions.csv');
+  form.append('preview', 'true');
+  const r = await fetch(`${base}/api/templates/import`, { method: 'POST', body: form });
+  assert.equal(r.status, 200);
+  const body = await r.json();
+  assert.equal(body.template.name, 'questions');
+  assert.deepEqual(body.template.fields.map(f => f.key), ['ClientName', 'Q2BidValidityPeriod']);
+  assert.equal(body.warnings.length, 1);
+});
+
+test('workbook export refuses ids that are not contract ids', async () => {
+  const r = await fetch(`${base}/api/export.xlsx?ids=64b7f0c2a1b2c3d4e5f60718,nope`);
+  assert.equal(r.status, 400);
+  assert.deepEqual(await r.json(), { error: 'Invalid contract id "nope"' });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJson, validate, generateJson, fieldSchema, SUBMITTAL_SCHEMA } = require('../structured');
+
+test('strips code fences and chatter around the JSON', () => {
+  assert.deepEqual(extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(extractJson('Here you go: {"a": {"b": [1, 2]}} Hope this helps!'), { a: { b: [1, 2] } });
+  assert.throws(() => extractJson('No JSON here'), /not valid JSON/);
+});
+
+test('reports every schema violation with its path', () => {
+  assert.deepEqual(validate(SUBMITTAL_SCHEMA, { submittals: [{ item: 'PAN card', page: 2 }] }), []);
+  assert.deepEqual(validate(SUBMITTAL_SCHEMA, { submittals: [{ item: '', page: '2' }, { reason: null }] }), [
+    '$.submittals[0].item: must not be empty',
+    '$.submittals[0].page: expected integer|null, got string',
+    '$.submittals[1].item: is required',
+  ]);
+  assert.deepEqual(validate(fieldSchema(['EMD']), { EMD: { value: 200000, page: null } }), []);
+  assert.deepEqual(validate(fieldSchema(['SiteVisit', 'Forms']), {
+    SiteVisit: { value: true, page: 3 }, Forms: { value: ['Form 1', 'Form 2'], page: 4 },
+  }), []);
+  assert.deepEqual(validate(fieldSchema(['EMD']), { EMD: { page: 1.5 } }), [
+    '$.EMD.value: is required',
+    '$.EMD.page: expected integer|null, got number',
+  ]);
+});
+
+// Answers one scripted response per call and keeps the prompts it got
+const scripted = (...responses) => {
+  const prompts = [];
+  return {
+    prompts,
+    async generate(prompt, opts) {
+      prompts.push({ prompt, opts });
+      return responses.shift();
+    },
+  };
+};
+
+test('valid output is returned as is', async () => {
+  const llm = scripted('{"submittals": []}');
+  assert.deepEqual(await generateJson(llm, 'List', SUBMITTAL_SCHEMA), { data: { submittals: [] }, retries: 0, errors: [] });
+});
+
+test('invalid output is repaired with the errors in the prompt', async () => {
+  const llm = scripted('{"submittals": [{"page": 3}]}', '{"submittals": [{"item": "PAN card", "page": 3}]}');
+  const r = await generateJson(llm, 'List', SUBMITTAL_SCHEMA);
+  assert.deepEqual(r.data.submittals, [{ item: 'PAN card', page: 3 }]);
+  assert.equal(r.retries, 1);
+  assert.deepEqual(r.errors, [{ attempt: 1, errors: ['$.submittals[0].item: is required'] }]);
+  assert.match(llm.prompts[1].prompt, /• \$\.submittals\[0\]\.item: is required/);
+});
+
+test('cut-off output is asked again with a larger budget', async () => {
+  const llm = scripted('{"submittals": [{"item": "PAN', '{"submittals": []}');
+  const r = await generateJson(llm, 'List', SUBMITTAL_SCHEMA, { maxOutputTokens: 1024 });
+  assert.equal(r.retries, 1);
+  assert.equal(llm.prompts[1].opts.maxOutputTokens, 2048);
+  assert.match(llm.prompts[1].prompt, /was cut off/);
+});
+
+test('gives up with a permanent error after the repair attempts', async () => {
+  const llm = scripted('nope', 'still nope', 'no');
+  await assert.rejects(generateJson(llm, 'List', SUBMITTAL_SCHEMA), e => {
+    assert.equal(e.permanent, true);
+    assert.equal(e.validation.length, 3);
+    assert.match(e.message, /failed schema validation after 3 attempt\(s\)/);
+    return true;
+  });
+});
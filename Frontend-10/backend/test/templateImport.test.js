@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuestionSheet, parseCsv } = require('../templateImport');
+
+const QUESTION_SHEET = path.join(__dirname, '../../../Tender Docs to Study/Model/Question for Contract doc.xlsx');
+
+test('reads the question sheet the course uses, reusing the standard keys', async () => {
+  const { fields, warnings } = await parseQuestionSheet(fs.readFileSync(QUESTION_SHEET), 'Question for Contract doc.xlsx');
+  assert.deepEqual(warnings, []);
+  assert.equal(fields.length, 25);
+  const byKey = Object.fromEntries(fields.map(f => [f.key, f]));
+  assert.equal(byKey.ClientName.type, 'text');
+  assert.equal(byKey.EMD.label, 'Earnest Money Deposit (EMD) / Tender Security');
+  assert.equal(byKey.EMD.type, 'money');
+  assert.equal(byKey.ImportantDatesPreBidMeeting.type, 'date');
+  assert.equal(byKey.JointVenture.type, 'boolean');
+  assert.equal(byKey.EligibilityCriteria.type, 'list');
+});
+
+test('builds keys and types from the questions of a CSV', async () => {
+  const csv = 'Question,Key,Type,Description\n'
+    + '"Defect liability period, in months",,,DLP\n'
+    + 'Last date of bid submission?,,,\n'
+    + 'Is a joint venture allowed?,,,\n'
+    + 'Retention money,Retention,amount,\n'
+    + 'Weird,,colour,\n';
+  const { fields, warnings } = await parseQuestionSheet(Buffer.from(csv), 'questions.csv');
+  assert.deepEqual(fields.map(f => [f.key, f.type]), [
+    ['DefectLiabilityPeriodInMonths', 'text'],
+    ['LastDateOfBidSubmission', 'date'],
+    ['IsAJointVentureAllowed', 'boolean'],
+    ['Retention', 'money'],
+    ['Weird', 'text'],
+  ]);
+  assert.equal(fields[0].description, 'DLP');
+  assert.equal(fields[1].description, 'Last date of bid submission?');
+  assert.deepEqual(warnings, ['Row 6: unknown type "colour" (use one of: text, money, date, boolean, list)']);
+});
+
+test('questions starting with a number get a prefixed key', async () => {
+  const csv = 'Question\n2 years experience required?\n';
+  const { fields, warnings } = await parseQuestionSheet(Buffer.from(csv), 'questions.csv');
+  assert.deepEqual(fields.map(f => f.key), ['Q2YearsExperienceRequired']);
+  assert.deepEqual(warnings, ['Row 2: question starts with a number, its key is "Q2YearsExperienceRequired"']);
+});
+
+test('CSV cells may hold commas, quotes and CRLF line ends', () => {
+  assert.deepEqual(parseCsv('a,"b,c"\r\n"d""e",f\n'), [['a', 'b,c'], ['d"e', 'f']]);
+});
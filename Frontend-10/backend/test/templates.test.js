@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_FIELDS, validateTemplate, templateSnapshot, contractFields } = require('../templates');
+
+test('the default template holds the 20 original fields', () => {
+  assert.equal(DEFAULT_FIELDS.length, 20);
+  assert.deepEqual(DEFAULT_FIELDS.filter(f => f.type === 'money').map(f => f.key), ['EstimatedCost', 'TenderDocumentCost', 'EMD', 'TenderSecurity']);
+  assert.deepEqual(DEFAULT_FIELDS.filter(f => f.type === 'date').map(f => f.key), ['ImportantDates']);
+});
+
+test('fills in labels and types and trims the name', () => {
+  const body = { name: '  Metro rail ', fields: [{ key: 'DefectLiabilityPeriod' }, { key: 'EMD', label: 'EMD', type: 'money', description: 'Bid security' }] };
+  assert.equal(validateTemplate(body), null);
+  assert.equal(body.name, 'Metro rail');
+  assert.deepEqual(body.fields, [
+    { key: 'DefectLiabilityPeriod', label: 'Defect Liability Period', type: 'text', description: '' },
+    { key: 'EMD', label: 'EMD', type: 'money', description: 'Bid security' },
+  ]);
+});
+
+test('rejects templates the prompt and schema cannot use', () => {
+  assert.equal(validateTemplate({ fields: [{ key: 'A' }] }), 'name is required');
+  assert.equal(validateTemplate({ name: 'x', fields: [] }), 'fields must be a non-empty array');
+  assert.equal(validateTemplate({ name: 'x', fields: [{ key: 'Bid validity' }] }), 'fields[0]: key must be an identifier (letters, digits, _)');
+  assert.equal(validateTemplate({ name: 'x', fields: [{ key: 'A' }, { key: 'A' }] }), 'fields[1]: duplicate key "A"');
+  assert.match(validateTemplate({ name: 'x', fields: [{ key: 'A', type: 'number' }] }), /^fields\[0\]: invalid type "number"/);
+  // Partial updates only check what they change
+  assert.equal(validateTemplate({ description: 'new' }, { partial: true }), null);
+});
+
+test('contracts keep a copy of the fields they were extracted with', () => {
+  const snapshot = templateSnapshot({ _id: 'id1', name: 'Metro', fields: [{ key: 'EMD', label: 'EMD', type: 'money', description: '', extra: 1 }] });
+  assert.deepEqual(snapshot, { _id: 'id1', name: 'Metro', fields: [{ key: 'EMD', label: 'EMD', type: 'money', description: '' }] });
+  assert.deepEqual(contractFields({ template: snapshot }), snapshot.fields);
+  assert.equal(contractFields({}), DEFAULT_FIELDS);
+});
@@ -4,7 +4,7 @@ const multer = require("multer");
 const cors = require("cors");
 const fs = require("fs").promises;
 const pdf = require("pdf-parse");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { getProvider } = require("../providers");
 
 const app = express();
 
@@ -28,34 +28,29 @@ const upload = multer({
   }
 });
 
-// Initialize Gemini AI
-if (!process.env.GEMINI_API_KEY) {
-  console.error('❌ GEMINI_API_KEY not found in .env file');
+// Initialize LLM provider (LLM_PROVIDER / LLM_MODEL, Gemini by default)
+let llm = null;
+try {
+  llm = getProvider({ provider: process.env.LLM_PROVIDER || 'gemini' });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-let geminiModel = null;
-
-// Initialize Gemini model and test connection
+// Test provider connection
 (async () => {
   try {
-    console.log("🔑 Gemini API Key:", process.env.GEMINI_API_KEY ? "✅ Found" : "❌ Missing");
-    console.log("🧪 Testing Gemini connection...");
-
-    // Use Gemini Pro model (free tier available)
-    geminiModel = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    console.log(`🧪 Testing ${llm.name} connection...`);
 
     // Test with a simple prompt
-    const testResult = await geminiModel.generateContent("Hello");
-    const testText = testResult.response.text();
+    const testText = await llm.generate("Hello");
 
-    console.log("✅ Gemini connection successful!");
-    console.log("🤖 Model: gemini-pro");
+    console.log(`✅ ${llm.name} connection successful!`);
+    console.log(`🤖 Model: ${llm.model}`);
     console.log("📝 Test response:", testText.substring(0, 50) + "...");
 
   } catch (error) {
-    console.error("❌ Gemini connection failed:", error.message);
+    console.error(`❌ ${llm.name} connection failed:`, error.message);
     if (error.message.includes('API_KEY_INVALID')) {
       console.log("💡 Check your GEMINI_API_KEY in .env file");
       console.log("🔗 Get key at: https://makersuite.google.com/app/apikey");
@@ -108,7 +103,7 @@ function preprocessText(text) {
 // Generate contract summary using Gemini
 async function generateContractSummary(textChunks, fileName) {
   try {
-    if (!geminiModel) {
+    if (!llm) {
       throw new Error("Gemini model not initialized");
     }
 
@@ -180,12 +175,11 @@ ${text}
 Provide a detailed analysis following the exact structure specified above. Remember to only include information explicitly stated in the contract.`;
 
   try {
-    const result = await geminiModel.generateContent(userPrompt + "\n\n" + systemPrompt);
-    const responseText = result.response.text();
+    const responseText = await llm.generate(userPrompt + "\n\n" + systemPrompt);
 
     return {
       summary: responseText,
-      model: "gemini-pro",
+      model: llm.model,
       processingMethod: "single_chunk",
       chunks: 1
     };
@@ -220,8 +214,7 @@ Extract and summarize:
 IMPORTANT: Only report what is explicitly stated. If this section seems incomplete, note that it's "a partial section of a larger document."`;
 
     try {
-      const result = await geminiModel.generateContent(chunkPrompt);
-      const chunkSummary = result.response.text();
+      const chunkSummary = await llm.generate(chunkPrompt);
 
       chunkSummaries.push({
         chunkIndex: i + 1,
@@ -261,12 +254,11 @@ Create a final comprehensive summary with these sections:
 CRITICAL: Only include information explicitly mentioned in the section summaries above. If sections contain contradictory information, note the discrepancy. If information appears incomplete, clearly state what's missing.`;
 
   try {
-    const finalResult = await geminiModel.generateContent(consolidationPrompt);
-    const finalSummary = finalResult.response.text();
+    const finalSummary = await llm.generate(consolidationPrompt);
 
     return {
       summary: finalSummary,
-      model: "gemini-pro", 
+      model: llm.model, 
       processingMethod: "multi_chunk",
       chunks: textChunks.length
     };
@@ -281,8 +273,8 @@ CRITICAL: Only include information explicitly mentioned in the section summaries
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
-    ai_provider: 'google-gemini',
-    model: 'gemini-pro',
+    ai_provider: llm.name,
+    model: llm.model,
     timestamp: new Date().toISOString()
   });
 });
@@ -290,19 +282,18 @@ app.get('/health', (req, res) => {
 // Test Gemini connection endpoint
 app.get('/test-gemini', async (req, res) => {
   try {
-    if (!geminiModel) {
+    if (!llm) {
       return res.status(500).json({
         error: "Gemini model not initialized",
         solution: "Check your GEMINI_API_KEY in .env file"
       });
     }
 
-    const testResult = await geminiModel.generateContent("Test connection - respond with 'Connected successfully'");
-    const response = testResult.response.text();
+    const response = await llm.generate("Test connection - respond with 'Connected successfully'");
 
     res.json({
       status: "✅ Gemini API working",
-      model: "gemini-pro",
+      model: llm.model,
       testResponse: response,
       message: "Ready to analyze contracts!"
     });
@@ -330,7 +321,7 @@ app.post("/api/summarize", upload.single("pdf"), async (req, res) => {
       });
     }
 
-    if (!geminiModel) {
+    if (!llm) {
       return res.status(500).json({
         error: "Gemini AI not available",
         code: "AI_NOT_READY",
@@ -376,7 +367,7 @@ app.post("/api/summarize", upload.single("pdf"), async (req, res) => {
         chunksProcessed: summaryResult.chunks,
         processingMethod: summaryResult.processingMethod,
         model: summaryResult.model,
-        aiProvider: 'google-gemini',
+        aiProvider: llm.name,
         processedAt: new Date().toISOString()
       }
     });
@@ -5,8 +5,8 @@ const cors = require("cors");
 const fs = require("fs").promises;
 const path = require("path");
 const pdf = require("pdf-parse");
-const OpenAI = require("openai");
 const rateLimit = require("express-rate-limit");
+const { getProvider } = require("../providers");
 
 const app = express();
 
@@ -89,42 +89,30 @@ const upload = multer({
 });
 
 // ============================================================================
-// OPENAI CONFIGURATION WITH ERROR HANDLING
+// LLM PROVIDER CONFIGURATION WITH ERROR HANDLING
 // ============================================================================
 
-// Validate OpenAI API key on startup
-if (!process.env.OPENAI_API_KEY) {
-  console.error('❌ OPENAI_API_KEY environment variable is required');
+// Provider/model come from LLM_PROVIDER / LLM_MODEL (defaults to OpenAI here)
+let llm;
+try {
+  llm = getProvider({ provider: process.env.LLM_PROVIDER || 'openai' });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
   process.exit(1);
 }
 
-console.log("🔑 OpenAI API Key:", process.env.OPENAI_API_KEY ? "✅ Found" : "❌ Missing");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: 60000, // 60 seconds timeout
-  maxRetries: 3, // Retry failed requests up to 3 times
-});
-
-// Validate OpenAI connection on startup
+// Validate provider connection on startup
 (async () => {
   try {
-    console.log("🧪 Testing OpenAI connection...");
-    const models = await openai.models.list();
-    console.log("✅ OpenAI connection successful!");
-
-    // Check if GPT-4 models are available
-    const availableModels = models.data.map(model => model.id);
-    const preferredModels = ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo', 'gpt-4'];
-    const modelToUse = preferredModels.find(model => availableModels.includes(model)) || 'gpt-3.5-turbo';
-
-    console.log(`🤖 Using model: ${modelToUse}`);
-    process.env.SELECTED_MODEL = modelToUse;
+    console.log(`🧪 Testing ${llm.name} connection...`);
+    await llm.generate("Ping", { maxOutputTokens: 16 });
+    console.log(`✅ ${llm.name} connection successful!`);
+    console.log(`🤖 Using model: ${llm.model}`);
 
   } catch (err) {
-    console.error("❌ OpenAI connection failed:", err.message);
+    console.error(`❌ ${llm.name} connection failed:`, err.message);
     if (err.status === 401) {
-      console.error("💡 Please check your OPENAI_API_KEY in the .env file");
+      console.error("💡 Please check your API key in the .env file");
     }
     // Don't exit in development mode to allow testing other endpoints
     if (process.env.NODE_ENV === 'production') {
@@ -191,7 +179,7 @@ function preprocessText(text) {
  */
 async function generateContractSummary(textChunks, originalFileName = 'contract') {
   try {
-    const model = process.env.SELECTED_MODEL || 'gpt-3.5-turbo';
+    const model = llm.model;
 
     // If document is small enough, process as single chunk
     if (textChunks.length === 1 && textChunks[0].length <= 6000) {
@@ -237,20 +225,14 @@ ${text}
 
 Remember: Only include information that is explicitly stated in the contract. If something is unclear, mention that explicitly.`;
 
-  const completion = await openai.chat.completions.create({
-    model: model,
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ],
+  const summary = await llm.generate(userPrompt, {
+    system: systemPrompt,
     temperature: 0.1, // Low temperature for consistency and accuracy
-    max_tokens: 2000,
-    presence_penalty: 0,
-    frequency_penalty: 0.1
+    maxOutputTokens: 2000
   });
 
   return {
-    summary: completion.choices[0].message.content.trim(),
+    summary,
     wordCount: text.split(' ').length,
     processingMethod: 'single_chunk',
     model: model
@@ -281,19 +263,15 @@ ${textChunks[i]}
 Provide a concise summary of the key information in this section.`;
 
     try {
-      const chunkCompletion = await openai.chat.completions.create({
-        model: model,
-        messages: [
-          { role: "system", content: chunkSystemPrompt },
-          { role: "user", content: chunkUserPrompt }
-        ],
+      const chunkSummary = await llm.generate(chunkUserPrompt, {
+        system: chunkSystemPrompt,
         temperature: 0.1,
-        max_tokens: 500
+        maxOutputTokens: 500
       });
 
       chunkSummaries.push({
         chunkIndex: i + 1,
-        summary: chunkCompletion.choices[0].message.content.trim()
+        summary: chunkSummary.trim()
       });
 
       // Add delay to respect rate limits
@@ -326,18 +304,14 @@ Create a comprehensive contract summary with these sections:
 
 CRITICAL: Only include information explicitly mentioned in the section summaries. If sections seem contradictory, note the discrepancy. If information is incomplete, clearly state what's missing.`;
 
-  const finalCompletion = await openai.chat.completions.create({
-    model: model,
-    messages: [
-      { role: "system", content: "You are a legal expert consolidating contract analysis from multiple document sections. Focus on accuracy and completeness while avoiding hallucinations." },
-      { role: "user", content: consolidationPrompt }
-    ],
+  const finalSummary = await llm.generate(consolidationPrompt, {
+    system: "You are a legal expert consolidating contract analysis from multiple document sections. Focus on accuracy and completeness while avoiding hallucinations.",
     temperature: 0.1,
-    max_tokens: 2000
+    maxOutputTokens: 2000
   });
 
   return {
-    summary: finalCompletion.choices[0].message.content.trim(),
+    summary: finalSummary.trim(),
     wordCount: textChunks.join(' ').split(' ').length,
     processingMethod: 'multi_chunk',
     chunksProcessed: textChunks.length,
@@ -421,17 +395,17 @@ app.post("/api/summarize", upload.single("pdf"), async (req, res) => {
       await fs.unlink(filePath).catch(console.error);
     }
 
-    // Handle specific OpenAI errors
+    // Handle specific provider errors
     if (err.status === 401) {
       return res.status(500).json({ 
-        error: "OpenAI authentication failed. Please check API key configuration.", 
+        error: `${llm.name} authentication failed. Please check API key configuration.`, 
         code: "AUTH_ERROR" 
       });
     }
 
     if (err.status === 429) {
       return res.status(429).json({ 
-        error: "OpenAI rate limit exceeded. Please try again in a few minutes.", 
+        error: `${llm.name} rate limit exceeded. Please try again in a few minutes.`, 
         code: "RATE_LIMIT",
         retryAfter: "5 minutes"
       });
@@ -494,7 +468,7 @@ const server = app.listen(PORT, () => {
   console.log(`\n🚀 Contract Summarization Server Started`);
   console.log(`📍 Port: ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🤖 AI Model: ${process.env.SELECTED_MODEL || 'detecting...'}`);
+  console.log(`🤖 AI Model: ${llm.name} / ${llm.model}`);
   console.log(`⚡ Ready to process contract documents!\n`);
 });
 